@@ -0,0 +1,91 @@
+// ========================================
+// Analytics Pipeline - Worker Client
+// ========================================
+
+// Scores a universe in the analytics worker (js/analytics-worker.js) so a large
+// dataset doesn't block the UI while it loads. Where workers are unavailable,
+// or the worker fails to start, the scoring runs on the main thread instead.
+class AnalyticsPipeline {
+    constructor(workerUrl = AnalyticsPipeline.WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.disabled = false;
+        this.runId = 0;
+        this.pending = {}; // run id -> { resolve, reject, onProgress, companies, profile }
+    }
+
+    getWorker() {
+        if (this.worker || this.disabled) return this.worker;
+        if (typeof Worker === 'undefined') return null;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Analytics worker unavailable, scoring on the main thread:', error);
+            this.disabled = true;
+            return null;
+        }
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => this.handleFailure(e);
+        return this.worker;
+    }
+
+    // Resolves with the analyzed companies (MLEngine.analyzeAllWithML);
+    // onProgress(done, total) reports scoring progress
+    run(companies, profile, onProgress = () => {}) {
+        const worker = this.getWorker();
+        if (!worker) {
+            return new Promise(resolve => resolve(AnalyticsPipeline.runLocally(companies, profile, onProgress)));
+        }
+
+        const id = ++this.runId;
+        return new Promise((resolve, reject) => {
+            this.pending[id] = { resolve, reject, onProgress, companies, profile };
+            worker.postMessage({ id, companies, profile });
+        });
+    }
+
+    handleMessage(message) {
+        const run = this.pending[message.id];
+        if (!run) return;
+
+        if (message.type === 'progress') {
+            run.onProgress(message.done, message.total);
+            return;
+        }
+
+        delete this.pending[message.id];
+        if (message.type === 'result') run.resolve(message.analyzed);
+        else run.reject(new Error(message.message));
+    }
+
+    // The worker script failed to load or crashed: finish the pending runs
+    // here and stop using the worker
+    handleFailure(event) {
+        console.warn('Analytics worker failed, scoring on the main thread:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
+        this.disabled = true;
+
+        const runs = Object.values(this.pending);
+        this.pending = {};
+        runs.forEach(run => {
+            try {
+                run.resolve(AnalyticsPipeline.runLocally(run.companies, run.profile, run.onProgress));
+            } catch (error) {
+                run.reject(error);
+            }
+        });
+    }
+
+    static runLocally(companies, profile, onProgress) {
+        const analyzer = new FinancialAnalyzer(companies, { profile });
+        return new MLEngine(companies, analyzer).analyzeAllWithML(onProgress);
+    }
+}
+
+AnalyticsPipeline.WORKER_URL = 'js/analytics-worker.js';
+
+// Make AnalyticsPipeline available globally
+window.AnalyticsPipeline = AnalyticsPipeline;
@@ -0,0 +1,28 @@
+// ========================================
+// Analytics Worker - Scoring Off the Main Thread
+// ========================================
+
+// Runs MLEngine.analyzeAllWithML in a Web Worker (see AnalyticsPipeline).
+// Message in:  { id, companies, profile }
+// Messages out: { id, type: 'progress', done, total }
+//               { id, type: 'result', analyzed } | { id, type: 'error', message }
+// Sector models come from sector-models.js as loaded here, so models registered
+// at runtime on the page are not seen by the worker.
+
+// The analytics scripts register their classes on `window`
+self.window = self;
+importScripts('utils.js', 'scoring-profiles.js', 'sector-models.js', 'financials.js', 'forecasting.js', 'ml-engine.js');
+
+self.onmessage = (e) => {
+    const { id, companies, profile } = e.data;
+    try {
+        const analyzer = new FinancialAnalyzer(companies, { profile });
+        const mlEngine = new MLEngine(companies, analyzer);
+        const analyzed = mlEngine.analyzeAllWithML((done, total) => {
+            self.postMessage({ id, type: 'progress', done, total });
+        });
+        self.postMessage({ id, type: 'result', analyzed });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
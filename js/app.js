@@ -8,30 +8,65 @@ class App {
         this.analyzer = null;
         this.mlEngine = null;
         this.chartManager = new ChartManager();
+        this.pipeline = new AnalyticsPipeline();
+        this.datasetCache = new DatasetCache();
+        this.datasetHash = null; // content hash of the loaded dataset (cache key)
+        this.uploader = new DatasetUploader((rows, fileName) => this.loadUploadedDataset(rows, fileName));
+        this.datasetName = 'indian_companies_financials.csv';
+        this.profileStore = new ScoringProfileStore();
+        this.scoringProfile = this.profileStore.getActive();
+        this.scoringPanel = new ScoringPanel(this);
+        this.compareView = new CompareView(this);
+        this.sectorView = new SectorView(this);
+        this.portfolioPanel = new PortfolioPanel(this);
+        this.watchlistPanel = new WatchlistPanel(this);
+        this.scenarioPanel = new ScenarioPanel(this);
+        this.screenerPanel = new ScreenerPanel(this);
+        this.stockTable = new StockTable(this);
+        this.reports = new ReportGenerator(this);
+        this.router = new Router(this);
+        this.stocksView = 'cards';
+        this.currentSection = 'dashboard';
         this.currentCategory = 'all';
         this.currentSector = 'all';
         this.currentRisk = 'all';
         this.searchQuery = '';
+        this.openTicker = null; // company shown in the modal
+        this.valuationAssumptions = this.loadValuationAssumptions();
+        this.macroNotes = []; // editorial notes from data/macro_drivers.json
         this.allAnalyzedData = [];
+        this.analysisId = 0; // latest scoring run; older results are dropped
     }
 
     async init() {
         try {
-            // Load CSV data
-            await this.dataLoader.loadCSV('data/indian_companies_financials.csv');
-            
-            // Initialize analyzers
-            this.analyzer = new FinancialAnalyzer(this.dataLoader.companies);
-            this.mlEngine = new MLEngine(this.dataLoader.companies, this.analyzer);
+            this.registerServiceWorker();
+
+            // Load CSV data (validation policy is chosen in the Data Health panel)
+            this.dataLoader.validationPolicy = localStorage.getItem('mi.validationPolicy') || 'keep';
+            await this.loadBundledDataset();
+
+            // Editorial macro notes merged into the sector outlooks (optional)
+            try {
+                this.macroNotes = await OutlookGenerator.loadNotes('data/macro_drivers.json');
+            } catch (error) {
+                console.warn('Macro notes unavailable, outlooks use computed data only:', error);
+            }
             
-            // Analyze all companies
-            this.allAnalyzedData = this.mlEngine.analyzeAllWithML();
+            // Initialize analyzers and score all companies in the analytics worker
+            await this.runAnalysisInWorker((done, total) => this.showLoadingProgress(done, total));
             
             // Setup UI
             this.setupEventListeners();
             this.populateFilters();
-            this.renderDashboard();
             this.hideLoading();
+
+            // Alert on watched companies that changed since the last dataset version
+            this.watchlistPanel.checkForChanges();
+
+            // Open the view in the URL (section, filters, comparison, company)
+            await this.router.restore(this.router.initialRoute());
+            this.router.update({ replace: true });
             
             Utils.notify('Market Intelligence Loaded Successfully!', 'success');
         } catch (error) {
@@ -41,6 +76,166 @@ class App {
         }
     }
 
+    // Cache the app shell and data files for offline use (see sw.js)
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+        navigator.serviceWorker.register(App.SERVICE_WORKER_URL).catch(error => {
+            console.warn('Service worker registration failed, offline use unavailable:', error);
+        });
+    }
+
+    // Bundled financials plus market-cap snapshots. Processed companies are
+    // restored from the dataset cache while the files' content is unchanged
+    async loadBundledDataset() {
+        const financials = await DataLoader.fetchText(App.DATA_FILES.financials);
+
+        // Market-cap snapshots are optional - a missing file leaves valuations as N/A
+        let market = null;
+        try {
+            market = await DataLoader.fetchText(App.DATA_FILES.marketData);
+        } catch (error) {
+            console.warn('Market data unavailable, valuation metrics limited to dataset values:', error);
+        }
+
+        this.datasetHash = App.hashContent(`${financials}\n${market || ''}`);
+        const policy = this.dataLoader.validationPolicy;
+        const cached = await this.datasetCache.getDataset(this.datasetHash, policy);
+        if (cached) {
+            this.dataLoader.restore(cached);
+            return;
+        }
+
+        this.dataLoader.loadRows(DataLoader.parseCSV(financials));
+        if (market !== null) this.dataLoader.setMarketData(DataLoader.parseCSV(market));
+        this.datasetCache.putDataset(this.datasetHash, policy, this.dataLoader.snapshot());
+    }
+
+    // djb2 plus length, to make collisions between dataset versions unlikely
+    static hashContent(text) {
+        return `${Utils.hashString(text)}-${text.length.toString(16)}`;
+    }
+
+    // Everything besides the data that the scores depend on
+    getAnalyticsConfig() {
+        return {
+            policy: this.dataLoader.validationPolicy,
+            periodType: this.dataLoader.periodType,
+            profile: this.scoringProfile
+        };
+    }
+
+    // Build analyzers from the loaded companies and score every company in the
+    // analytics worker (large datasets load without blocking the page);
+    // onProgress(done, total). Scores are reused from the dataset cache when
+    // neither the data nor the config changed. A run started after this one
+    // (e.g. the period toggled again) supersedes it, so its result is dropped.
+    async runAnalysisInWorker(onProgress) {
+        const id = ++this.analysisId;
+        const config = this.getAnalyticsConfig();
+        let analyzed = this.datasetHash ? await this.datasetCache.getAnalytics(this.datasetHash, config) : null;
+        if (!analyzed) {
+            analyzed = await this.pipeline.run(this.dataLoader.companies, this.scoringProfile, onProgress);
+            if (this.datasetHash) this.datasetCache.putAnalytics(this.datasetHash, config, analyzed);
+        }
+        if (id !== this.analysisId) return;
+        this.createAnalyzers();
+        this.setAnalyzedData(analyzed);
+    }
+
+    createAnalyzers() {
+        this.analyzer = new FinancialAnalyzer(this.dataLoader.companies, { profile: this.scoringProfile });
+        this.mlEngine = new MLEngine(this.dataLoader.companies, this.analyzer);
+    }
+
+    // Scored companies plus the models built on top of them
+    setAnalyzedData(analyzed) {
+        this.allAnalyzedData = analyzed;
+        this.peerRanking = new PeerRanking(this.allAnalyzedData, this.analyzer, this.dataLoader);
+        this.valuation = new ValuationModel(this.allAnalyzedData, this.analyzer);
+        this.outlook = new OutlookGenerator(this.allAnalyzedData, this.mlEngine, this.analyzer, this.macroNotes);
+        this.screener = new Screener(this.allAnalyzedData, this.analyzer, this.dataLoader);
+    }
+
+    // DCF assumptions set in the company modal (kept across sessions)
+    loadValuationAssumptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('mi.valuationAssumptions') || '{}');
+            const assumptions = { ...ValuationModel.DEFAULT_ASSUMPTIONS };
+            Object.keys(assumptions).forEach(key => {
+                if (Utils.isValidNumber(saved[key])) assumptions[key] = saved[key];
+            });
+            return assumptions;
+        } catch (error) {
+            return { ...ValuationModel.DEFAULT_ASSUMPTIONS };
+        }
+    }
+
+    // Live re-score with a (possibly unsaved) scoring profile
+    async applyScoringProfile(profile) {
+        this.scoringProfile = profile;
+        await this.runAnalysisInWorker();
+    }
+
+    // Health, undervaluation and category per ticker under another profile (for diffs)
+    scoreWithProfile(profile) {
+        const analyzer = new FinancialAnalyzer(this.dataLoader.companies, { profile });
+        const mlEngine = new MLEngine(this.dataLoader.companies, analyzer);
+        const result = {};
+        this.dataLoader.companies.forEach(company => {
+            result[company.ticker] = {
+                category: mlEngine.classifyCompany(company).category,
+                healthScore: analyzer.calculateHealthScore(company),
+                undervalScore: mlEngine.calculateUndervaluationScore(company)
+            };
+        });
+        return result;
+    }
+
+    // Re-process the raw data (e.g. after a policy change) and refresh the active view
+    async reprocess() {
+        this.dataLoader.processData();
+        if (!this.dataLoader.hasQuarterlyData()) this.dataLoader.setPeriodType('annual');
+        await this.runAnalysisInWorker();
+        this.populateFilters();
+        this.syncPeriodToggle();
+        this.switchSection(this.currentSection);
+    }
+
+    // Swap in a user-uploaded dataset and re-run the full pipeline
+    async loadUploadedDataset(rows, fileName) {
+        this.dataLoader.loadRows(rows, { clearMarketData: true });
+        if (!this.dataLoader.hasQuarterlyData()) this.dataLoader.setPeriodType('annual');
+        if (this.dataLoader.companies.length === 0) {
+            Utils.notify(`No usable rows in ${fileName} - check the column mapping`, 'error');
+            return;
+        }
+
+        this.datasetName = fileName;
+        this.datasetHash = App.hashContent(JSON.stringify(rows));
+        try {
+            await this.runAnalysisInWorker();
+        } catch (error) {
+            console.error('Analysis error:', error);
+            Utils.notify(`Could not analyze ${fileName}: ${error.message}`, 'error');
+            return;
+        }
+        this.populateFilters();
+        this.syncPeriodToggle();
+        this.watchlistPanel.checkForChanges();
+        this.switchSection(this.currentSection);
+
+        const { summary } = this.dataLoader.validation;
+        Utils.notify(`Loaded ${this.dataLoader.companies.length} companies from ${fileName} (${summary.errors} errors, ${summary.warnings} warnings)`, 'success');
+    }
+
+    showLoadingProgress(done, total) {
+        const status = document.getElementById('loadingStatus');
+        if (status) status.textContent = `Scoring companies... ${done.toLocaleString('en-IN')} / ${total.toLocaleString('en-IN')}`;
+
+        const bar = document.getElementById('loadingProgress');
+        if (bar) bar.style.width = `${total > 0 ? (done / total) * 100 : 100}%`;
+    }
+
     hideLoading() {
         const loader = document.getElementById('loadingScreen');
         if (loader) {
@@ -50,10 +245,18 @@ class App {
     }
 
     setupEventListeners() {
+        // Company cards and rows (.company-link with a data-ticker) open that
+        // company's details; buttons inside them have their own actions
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('button')) return;
+            const link = e.target.closest('.company-link[data-ticker]');
+            if (link) this.showCompanyDetails(link.dataset.ticker);
+        });
+
         // Navigation
         document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.switchSection(e.target.dataset.section);
+            btn.addEventListener('click', () => {
+                this.switchSection(btn.dataset.section);
             });
         });
 
@@ -64,6 +267,7 @@ class App {
                 document.querySelectorAll('.category-tab').forEach(t => t.classList.remove('active'));
                 e.target.classList.add('active');
                 this.renderStocks();
+                this.router.update();
             });
         });
 
@@ -73,6 +277,7 @@ class App {
             sectorFilter.addEventListener('change', (e) => {
                 this.currentSector = e.target.value;
                 this.renderStocks();
+                this.router.update();
             });
         }
 
@@ -81,6 +286,7 @@ class App {
             riskFilter.addEventListener('change', (e) => {
                 this.currentRisk = e.target.value;
                 this.renderStocks();
+                this.router.update();
             });
         }
 
@@ -90,26 +296,185 @@ class App {
             searchInput.addEventListener('input', Utils.debounce((e) => {
                 this.searchQuery = e.target.value.toLowerCase();
                 this.renderStocks();
+                this.router.update({ replace: true });
             }, 300));
         }
 
+        // Cards / table toggle
+        document.querySelectorAll('.view-toggle').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.stocksView = e.target.dataset.view;
+                document.querySelectorAll('.view-toggle').forEach(b => b.classList.toggle('active', b === e.target));
+                this.renderStocks();
+                this.router.update();
+            });
+        });
+        this.stockTable.setup();
+
+        // Screener rule builder (filters the Stock Explorer)
+        this.screenerPanel.setup();
+
+        // Dataset upload (button + drag & drop)
+        this.uploader.setup();
+
+        // Scoring profile panel
+        this.scoringPanel.setup();
+
+        // Comparison workspace
+        this.compareView.setup();
+
+        // Sector drill-down pages
+        this.sectorView.setup();
+
+        // Portfolio builder
+        this.portfolioPanel.setup();
+
+        // Watchlists and alerts inbox
+        this.watchlistPanel.setup();
+
+        // Scenario / stress tests
+        this.scenarioPanel.setup();
+
+        // Report buttons in the company modal
+        this.reports.setup();
+
+        // Annual / quarterly (TTM) view
+        const periodToggle = document.getElementById('periodToggle');
+        if (periodToggle) {
+            periodToggle.addEventListener('change', async (e) => {
+                await this.setPeriodType(e.target.value);
+                this.switchSection(this.currentSection);
+                if (this.openTicker) this.showCompanyDetails(this.openTicker);
+            });
+        }
+        this.syncPeriodToggle();
+
+        // Data health policy
+        const policySelect = document.getElementById('validationPolicy');
+        if (policySelect) {
+            policySelect.value = this.dataLoader.validationPolicy;
+            policySelect.addEventListener('change', async (e) => {
+                this.dataLoader.validationPolicy = e.target.value;
+                localStorage.setItem('mi.validationPolicy', e.target.value);
+                await this.reprocess();
+                Utils.notify(`Data re-validated with "${e.target.value}" policy`, 'success');
+            });
+        }
+
+        const severityFilter = document.getElementById('issueSeverityFilter');
+        if (severityFilter) {
+            severityFilter.addEventListener('change', () => this.renderDataHealth());
+        }
+
         // Modal close
         const modalClose = document.querySelector('.modal-close');
         if (modalClose) {
-            modalClose.addEventListener('click', () => {
-                document.getElementById('companyModal').classList.remove('show');
-            });
+            modalClose.addEventListener('click', () => this.closeCompanyDetails());
         }
 
         // Close modal on outside click
         document.getElementById('companyModal').addEventListener('click', (e) => {
-            if (e.target.id === 'companyModal') {
-                e.target.classList.remove('show');
-            }
+            if (e.target.id === 'companyModal') this.closeCompanyDetails();
         });
+
+        // Back/forward restores the view in the URL
+        this.router.setup();
+    }
+
+    // Current view as a route for the URL (see Router)
+    getRoute() {
+        const params = new URLSearchParams();
+        if (this.currentSection === 'stocks') {
+            if (this.currentCategory !== 'all') params.set('category', this.currentCategory);
+            if (this.currentSector !== 'all') params.set('sector', this.currentSector);
+            if (this.currentRisk !== 'all') params.set('risk', this.currentRisk);
+            if (this.searchQuery) params.set('q', this.searchQuery);
+            if (this.stocksView !== 'cards') params.set('view', this.stocksView);
+        }
+        if (this.currentSection === 'sectors' && this.sectorView.sector) params.set('sector', this.sectorView.sector);
+        if (this.compareView.selected.length > 0) params.set('compare', this.compareView.selected.join(','));
+        if (this.openTicker) params.set('company', this.openTicker);
+        if (this.dataLoader.periodType !== 'annual') params.set('period', this.dataLoader.periodType);
+        return { section: this.currentSection, params };
+    }
+
+    // Show the view described by a route; unknown sections and values fall back to defaults
+    async applyRoute(route) {
+        const { params } = route;
+        const isOption = (selector, key, value) => [...document.querySelectorAll(selector)].some(el => el.dataset[key] === value);
+        const section = isOption('.nav-btn', 'section', route.section) ? route.section : 'dashboard';
+
+        // Period first - it decides which companies and sectors exist
+        await this.setPeriodType(params.get('period') === 'quarterly' ? 'quarterly' : 'annual');
+
+        if (section === 'stocks') {
+            const category = params.get('category');
+            const sector = params.get('sector');
+            const risk = params.get('risk');
+            this.currentCategory = isOption('.category-tab', 'category', category) ? category : 'all';
+            this.currentSector = this.dataLoader.getSectors().includes(sector) ? sector : 'all';
+            this.currentRisk = ['low', 'medium', 'high'].includes(risk) ? risk : 'all';
+            this.searchQuery = (params.get('q') || '').toLowerCase();
+            this.stocksView = params.get('view') === 'table' ? 'table' : 'cards';
+            this.syncStockControls();
+        }
+        if (section === 'sectors') {
+            const sector = params.get('sector');
+            this.sectorView.sector = this.dataLoader.getSectors().includes(sector) ? sector : null;
+        }
+
+        this.compareView.setSelection((params.get('compare') || '').split(','));
+        this.switchSection(section);
+
+        const ticker = params.get('company');
+        if (ticker && this.allAnalyzedData.some(c => c.ticker === ticker)) {
+            this.showCompanyDetails(ticker);
+        } else {
+            this.closeCompanyDetails();
+        }
+    }
+
+    // Switch between the annual and quarterly (TTM) views and re-score; datasets
+    // without four consecutive quarters for any company stay annual
+    async setPeriodType(periodType) {
+        const type = periodType === 'quarterly' && this.dataLoader.hasQuarterlyData() ? 'quarterly' : 'annual';
+        if (type !== this.dataLoader.periodType) {
+            this.dataLoader.setPeriodType(type);
+            await this.runAnalysisInWorker();
+            this.populateFilters();
+        }
+        this.syncPeriodToggle();
+    }
+
+    syncPeriodToggle() {
+        const toggle = document.getElementById('periodToggle');
+        if (!toggle) return;
+        const available = this.dataLoader.hasQuarterlyData();
+        toggle.value = this.dataLoader.periodType;
+        toggle.disabled = !available;
+        toggle.title = available
+            ? 'Annual FY figures, or trailing-twelve-month (TTM) figures from quarterly results'
+            : 'No quarterly results (e.g. Q3FY24) in this dataset';
+    }
+
+    // Reflect the explorer's filter state in its controls
+    syncStockControls() {
+        document.querySelectorAll('.category-tab').forEach(t => t.classList.toggle('active', t.dataset.category === this.currentCategory));
+        document.querySelectorAll('.view-toggle').forEach(b => b.classList.toggle('active', b.dataset.view === this.stocksView));
+
+        const sectorFilter = document.getElementById('sectorFilter');
+        if (sectorFilter) sectorFilter.value = this.currentSector;
+
+        const riskFilter = document.getElementById('riskFilter');
+        if (riskFilter) riskFilter.value = this.currentRisk;
+
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = this.searchQuery;
     }
 
     switchSection(sectionId) {
+        this.currentSection = sectionId;
+
         // Update nav
         document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
         document.querySelector(`[data-section="${sectionId}"]`).classList.add('active');
@@ -121,8 +486,19 @@ class App {
         // Render appropriate content
         if (sectionId === 'dashboard') this.renderDashboard();
         if (sectionId === 'sectors') this.renderSectors();
-        if (sectionId === 'stocks') this.renderStocks();
+        if (sectionId === 'stocks') {
+            this.screenerPanel.render();
+            this.renderStocks();
+        }
         if (sectionId === 'analysis') this.renderAnalysis();
+        if (sectionId === 'data-health') this.renderDataHealth();
+        if (sectionId === 'scoring') this.scoringPanel.render();
+        if (sectionId === 'compare') this.compareView.render();
+        if (sectionId === 'portfolios') this.portfolioPanel.render();
+        if (sectionId === 'watchlists') this.watchlistPanel.render();
+        if (sectionId === 'scenarios') this.scenarioPanel.render();
+
+        this.router.update();
     }
 
     populateFilters() {
@@ -130,6 +506,11 @@ class App {
         const sectorFilter = document.getElementById('sectorFilter');
         
         if (sectorFilter) {
+            // Keep only the "All Sectors" option when repopulating
+            sectorFilter.querySelectorAll('option:not([value="all"])').forEach(option => option.remove());
+            if (!sectors.includes(this.currentSector)) this.currentSector = 'all';
+            sectorFilter.value = this.currentSector;
+
             sectors.forEach(sector => {
                 const option = document.createElement('option');
                 option.value = sector;
@@ -168,29 +549,50 @@ class App {
         this.renderTopCompanies();
     }
 
+    // Sector outlooks built from the scores, growth and forecasts, plus any
+    // macro notes tagged with the sector
     render2026Predictions() {
-        const predictions = [
-            {
-                title: '🤖 AI & Technology',
-                desc: '75% of companies investing in agentic AI. Semiconductor earnings growth at 26% annually. Strongest economic force for 2026.'
-            },
-            {
-                title: '🛡️ Defense & Aerospace',
-                desc: 'India\'s ₹6.81L Cr defense budget driven by geopolitical tensions. ₹4L Cr procurement pipeline over 5-7 years.'
-            },
-            {
-                title: '⚡ Renewable Energy',
-                desc: 'Sector projected to grow 25%. AI data centers driving unprecedented power demand across infrastructure.'
-            }
-        ];
-
         const container = document.getElementById('sectorPredictions');
         if (!container) return;
 
-        container.innerHTML = predictions.map(p => `
-            <div class="prediction-item">
-                <div class="prediction-title">${p.title}</div>
-                <div class="prediction-desc">${p.desc}</div>
+        container.innerHTML = this.outlook.generate().map(outlook => `
+            <div class="prediction-item" data-sector="${Utils.escapeHtml(outlook.sector)}" style="cursor: pointer;">
+                <div class="prediction-title">
+                    ${Utils.escapeHtml(outlook.sector)}
+                    <span class="yoy ${outlook.stance.tone}">${outlook.stance.label}</span>
+                </div>
+                <div class="prediction-desc">${Utils.escapeHtml(outlook.narrative.join(' '))}</div>
+                ${outlook.notes.map(note => `
+                    <div class="prediction-note">${Utils.escapeHtml(note.icon)} ${Utils.escapeHtml(note.text)} ${this.renderNoteMeta(note)}</div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    renderNoteMeta(note) {
+        const meta = [note.source, note.date].filter(Boolean).join(', ');
+        return meta ? `<span class="note-meta">(${Utils.escapeHtml(meta)})</span>` : '';
+    }
+
+    // Macro notes from data/macro_drivers.json
+    renderMacroDrivers() {
+        const container = document.getElementById('macroDrivers');
+        if (!container) return;
+
+        if (this.macroNotes.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-muted);">No macro notes loaded. Add them to data/macro_drivers.json.</p>';
+            return;
+        }
+
+        container.innerHTML = this.macroNotes.map(note => `
+            <div class="driver-card">
+                <div class="driver-icon">${Utils.escapeHtml(note.icon)}</div>
+                <h4>${Utils.escapeHtml(note.title)}</h4>
+                <p>${Utils.escapeHtml(note.text)}</p>
+                <div class="driver-meta">
+                    ${note.sectors.length > 0 ? Utils.escapeHtml(note.sectors.join(' · ')) : 'All sectors'}<br>
+                    ${Utils.escapeHtml([note.source, note.date].filter(Boolean).join(' · '))}
+                </div>
             </div>
         `).join('');
     }
@@ -207,13 +609,13 @@ class App {
             const classification = this.mlEngine.classifyCompany(company);
 
             return `
-                <div class="company-card" onclick="app.showCompanyDetails('${company.ticker}')">
+                <div class="company-card company-link" data-ticker="${Utils.escapeHtml(company.ticker)}">
                     <div class="company-header">
                         <div>
-                            <div class="company-name">${company.company}</div>
-                            <div class="company-sector">${company.sector}</div>
+                            <div class="company-name">${Utils.escapeHtml(company.company)}</div>
+                            <div class="company-sector">${Utils.escapeHtml(company.sector)}</div>
                         </div>
-                        <div class="company-ticker">${company.ticker}</div>
+                        <div class="company-ticker">${Utils.escapeHtml(company.ticker)}</div>
                     </div>
                     <div class="company-metrics">
                         <div class="metric">
@@ -239,8 +641,10 @@ class App {
         const sectorStats = this.dataLoader.getSectorStats();
         const sectorPredictions = this.mlEngine.getSectorPredictions();
 
-        this.chartManager.createSectorChart(sectorStats);
+        this.chartManager.createSectorChart(sectorStats, (sector) => this.sectorView.open(sector));
         this.chartManager.createMomentumChart(sectorPredictions);
+        this.renderMacroDrivers();
+        this.sectorView.render();
     }
 
     renderStocks() {
@@ -276,8 +680,20 @@ class App {
             );
         }
 
-        // Render
+        // Apply custom screen
+        filteredData = this.screenerPanel.apply(filteredData);
+
+        // Table mode renders the same filtered set
         const container = document.getElementById('stocksGrid');
+        const table = document.getElementById('stocksTable');
+        if (table) table.style.display = this.stocksView === 'table' ? 'block' : 'none';
+        if (container) container.style.display = this.stocksView === 'table' ? 'none' : '';
+        if (this.stocksView === 'table') {
+            this.stockTable.render(filteredData);
+            return;
+        }
+
+        // Render
         if (!container) return;
 
         if (filteredData.length === 0) {
@@ -291,13 +707,13 @@ class App {
             const risk = this.analyzer.calculateRisk(company);
 
             return `
-                <div class="company-card" onclick="app.showCompanyDetails('${company.ticker}')">
+                <div class="company-card company-link" data-ticker="${Utils.escapeHtml(company.ticker)}">
                     <div class="company-header">
                         <div>
-                            <div class="company-name">${company.company}</div>
-                            <div class="company-sector">${company.sector}</div>
+                            <div class="company-name">${Utils.escapeHtml(company.company)}</div>
+                            <div class="company-sector">${Utils.escapeHtml(company.sector)}</div>
                         </div>
-                        <div class="company-ticker">${company.ticker}</div>
+                        <div class="company-ticker">${Utils.escapeHtml(company.ticker)}</div>
                     </div>
                     <div class="company-metrics">
                         <div class="metric">
@@ -310,7 +726,7 @@ class App {
                         </div>
                         <div class="metric">
                             <span class="metric-label">D/E Ratio</span>
-                            <span class="metric-value">${metrics.debtToEquity.toFixed(2)}</span>
+                            <span class="metric-value">${Utils.formatRatio(metrics.debtToEquity)}</span>
                         </div>
                         <div class="metric">
                             <span class="metric-label">Health Score</span>
@@ -318,7 +734,9 @@ class App {
                         </div>
                     </div>
                     <span class="badge ${company.ml.classification.category}">${company.ml.classification.category.toUpperCase()}</span>
+                    ${company.ml.hasValuation ? '' : '<span class="badge no-valuation">NO VALUATION DATA</span>'}
                     <span class="badge" style="background: ${risk === 'low' ? '#00FF88' : risk === 'medium' ? '#FFB020' : '#FF4560'}22; color: ${risk === 'low' ? '#00FF88' : risk === 'medium' ? '#FFB020' : '#FF4560'};">${risk.toUpperCase()} RISK</span>
+                    ${this.compareView.renderToggle(company.ticker)}
                 </div>
             `;
         }).join('');
@@ -331,19 +749,194 @@ class App {
         this.chartManager.createDebtEquityChart(this.dataLoader.companies);
     }
 
+    renderDataHealth() {
+        const validation = this.dataLoader.validation;
+        const container = document.getElementById('dataHealthBody');
+        if (!container || !validation) return;
+
+        const { summary } = validation;
+        const datasetLabel = document.getElementById('datasetName');
+        if (datasetLabel) datasetLabel.textContent = this.datasetName;
+        const severity = document.getElementById('issueSeverityFilter')?.value || 'all';
+        const issues = validation.issues.filter(i => severity === 'all' || i.severity === severity);
+
+        const stats = [
+            { label: 'Rows Read', value: summary.totalRows },
+            { label: 'Rows Kept', value: summary.keptRows },
+            { label: 'Rows Dropped', value: summary.droppedRows },
+            { label: 'Values Imputed', value: summary.imputedValues },
+            { label: 'Errors', value: summary.errors },
+            { label: 'Warnings', value: summary.warnings }
+        ];
+
+        container.innerHTML = `
+            <div class="health-summary">
+                ${stats.map(s => `
+                    <div class="health-stat">
+                        <div class="health-stat-value">${s.value}</div>
+                        <div class="health-stat-label">${s.label}</div>
+                    </div>
+                `).join('')}
+            </div>
+
+            ${issues.length === 0 ? '<p style="text-align:center;color:var(--text-muted);padding:2rem;">No issues found.</p>' : `
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Severity</th>
+                                <th>Line</th>
+                                <th>Ticker</th>
+                                <th>FY</th>
+                                <th>Field</th>
+                                <th>Issue</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${issues.map(issue => `
+                                <tr>
+                                    <td><span class="badge issue-${issue.severity}">${issue.severity.toUpperCase()}</span></td>
+                                    <td>${issue.row ?? '-'}</td>
+                                    <td>${Utils.escapeHtml(issue.ticker ?? '-')}</td>
+                                    <td>${Utils.escapeHtml(issue.fy ?? '-')}</td>
+                                    <td>${Utils.escapeHtml(issue.field ?? '-')}</td>
+                                    <td>${Utils.escapeHtml(issue.message)}${issue.imputed !== undefined ? ` (imputed ${Utils.formatNumber(issue.imputed)})` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+    // Every metric and score as a percentile within the sector and the universe
+    renderPeerRanking(company) {
+        const rankings = this.peerRanking.rankCompany(company.ticker);
+        if (rankings.length === 0) return '';
+
+        return `
+            <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">Versus Peers</h3>
+            <div class="table-wrapper" style="margin-bottom: 2rem;">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Metric</th><th>Value</th><th>vs Peers</th><th>vs Universe</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rankings.map(r => `
+                            <tr>
+                                <td style="color: var(--text-muted);">${r.field.label}</td>
+                                <td>${Screener.formatValue(r.field, r.value)}</td>
+                                <td>${r.sector ? PeerRanking.describe(r.sector, `in ${Utils.escapeHtml(company.sector)}`) : 'No sector peers'}</td>
+                                <td>${PeerRanking.describe(r.universe, `of ${r.universe ? r.universe.count : 0}`)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Extra ratios shown when a sector-specific scoring model applies
+    renderSectorModelMetrics(company, metrics) {
+        const model = this.analyzer.getSectorModel(company);
+        if (!model) return '';
+
+        const rows = [
+            { label: 'Equity-to-Assets', value: metrics.equityToAssets },
+            { label: 'ROA', value: metrics.roa },
+            { label: 'NIM', value: metrics.nim },
+            { label: 'Gross NPA', value: metrics.gnpa },
+            { label: 'Net NPA', value: metrics.nnpa },
+            { label: 'CASA Ratio', value: metrics.casa }
+        ];
+
+        return `
+            <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">${model.label} Metrics</h3>
+            <p style="color: var(--text-muted); margin-bottom: 1rem; font-size: 0.9rem;">
+                Scored with the ${model.label} model - debt-to-equity is not used for health or risk.
+            </p>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 2rem;">
+                ${rows.map(r => `
+                    <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
+                        <span style="color: var(--text-muted);">${r.label}</span>
+                        <span style="font-weight: 600;">${r.value === null || r.value === undefined ? 'N/A' : Utils.formatPercent(r.value)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     showCompanyDetails(ticker) {
         const company = this.allAnalyzedData.find(c => c.ticker === ticker);
         if (!company) return;
 
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2 style="color: var(--accent); margin-bottom: 1rem;">${Utils.escapeHtml(company.company)}</h2>
+            <p style="color: var(--text-muted); margin-bottom: 1.5rem;">${Utils.escapeHtml(company.ticker)} | ${Utils.escapeHtml(company.sector)} ${this.watchlistPanel.renderToggle(company.ticker)} ${ReportGenerator.renderButtons('company', company.ticker)}</p>
+
+            <div class="modal-tabs">
+                ${App.MODAL_TABS.map((tab, i) => `
+                    <button class="modal-tab ${i === 0 ? 'active' : ''}" data-tab="${tab.key}">${tab.label}</button>
+                `).join('')}
+            </div>
+
+            <div class="modal-pane active" data-pane="overview">${this.renderOverviewTab(company)}</div>
+            <div class="modal-pane" data-pane="financials">${this.renderFinancialsTab(company)}</div>
+            <div class="modal-pane" data-pane="ratios">${this.renderRatiosTab(company)}</div>
+            <div class="modal-pane" data-pane="charts">${this.renderChartsTab(company)}</div>
+            <div class="modal-pane" data-pane="valuation">${this.renderValuationTab(company)}</div>
+        `;
+
+        document.getElementById('companyModal').classList.add('show');
+        this.bindModalTabs(company);
+        this.bindScoreBreakdown(company);
+        this.bindValuation(company);
+
+        this.openTicker = ticker;
+        this.router.update();
+    }
+
+    closeCompanyDetails() {
+        document.getElementById('companyModal').classList.remove('show');
+        if (!this.openTicker) return;
+        this.openTicker = null;
+        this.router.update();
+    }
+
+    // Switch modal panes; a pane's charts are drawn the first time it is shown
+    // since Chart.js can't size a canvas inside a hidden pane
+    bindModalTabs(company) {
+        const drawn = new Set();
+        const draw = (key) => {
+            if (drawn.has(key)) return;
+            drawn.add(key);
+            if (key === 'ratios') {
+                this.chartManager.createRatioTrendChart('ratioTrendChart', this.analyzer.calculateMetricsByYear(company));
+            }
+            if (key === 'charts') {
+                this.chartManager.createFinancialsChart('financialsChart', company, company.ml.revenueForecast, company.ml.profitForecast);
+                this.chartManager.createForecastChart('forecastChart', company, company.ml.revenueForecast);
+            }
+        };
+
+        document.querySelectorAll('.modal-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                const key = e.target.dataset.tab;
+                document.querySelectorAll('.modal-tab').forEach(t => t.classList.toggle('active', t === e.target));
+                document.querySelectorAll('.modal-pane').forEach(pane => pane.classList.toggle('active', pane.dataset.pane === key));
+                draw(key);
+            });
+        });
+    }
+
+    renderOverviewTab(company) {
         const latest = company.years[company.years.length - 1];
         const metrics = this.analyzer.calculateMetrics(company);
         const insights = company.ml.insights;
 
-        const modalBody = document.getElementById('modalBody');
-        modalBody.innerHTML = `
-            <h2 style="color: var(--accent); margin-bottom: 1rem;">${company.company}</h2>
-            <p style="color: var(--text-muted); margin-bottom: 2rem;">${company.ticker} | ${company.sector}</p>
-            
+        return `
             <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; margin-bottom: 2rem;">
                 <div style="background: var(--secondary); padding: 1rem; border-radius: 10px;">
                     <div style="color: var(--text-muted); font-size: 0.9rem;">Health Score</div>
@@ -359,6 +952,8 @@ class App {
                 </div>
             </div>
 
+            ${this.renderScoreBreakdown(company)}
+
             <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">Financial Metrics</h3>
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 2rem;">
                 <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
@@ -370,8 +965,8 @@ class App {
                     <span style="font-weight: 600;">${Utils.formatCurrency(latest.netProfit)}</span>
                 </div>
                 <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
-                    <span style="color: var(--text-muted);">Market Cap</span>
-                    <span style="font-weight: 600;">${Utils.formatCurrency(latest.marketCap)}</span>
+                    <span style="color: var(--text-muted);">Market Cap${latest.marketCapAsOf ? ` (as of ${latest.marketCapAsOf})` : ''}</span>
+                    <span style="font-weight: 600;">${Utils.formatCurrency(metrics.marketCap)}</span>
                 </div>
                 <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
                     <span style="color: var(--text-muted);">Profit Margin</span>
@@ -383,10 +978,22 @@ class App {
                 </div>
                 <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
                     <span style="color: var(--text-muted);">Debt-to-Equity</span>
-                    <span style="font-weight: 600;">${metrics.debtToEquity.toFixed(2)}</span>
+                    <span style="font-weight: 600;">${Utils.formatRatio(metrics.debtToEquity)}</span>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
+                    <span style="color: var(--text-muted);">Price-to-Book</span>
+                    <span style="font-weight: 600;">${Utils.formatRatio(metrics.priceToEquity)}</span>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid var(--glass-border);">
+                    <span style="color: var(--text-muted);">Price-to-Sales</span>
+                    <span style="font-weight: 600;">${Utils.formatRatio(metrics.priceToSales)}</span>
                 </div>
             </div>
 
+            ${this.renderSectorModelMetrics(company, metrics)}
+
+            ${this.renderPeerRanking(company)}
+
             <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">AI Insights</h3>
             <div style="display: flex; flex-direction: column; gap: 0.75rem;">
                 ${insights.map(insight => `
@@ -404,7 +1011,7 @@ class App {
                 `).join('')}
             </div>
 
-            ${company.ml.predicted2026Revenue ? `
+            ${company.ml.predicted2026Revenue !== null ? `
                 <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">2026 Predictions</h3>
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
                     <div style="background: var(--secondary); padding: 1rem; border-radius: 10px;">
@@ -418,11 +1025,328 @@ class App {
                 </div>
             ` : ''}
         `;
+    }
 
-        document.getElementById('companyModal').classList.add('show');
+    // FY history (TTM per quarter in the quarterly view), each value against a
+    // year earlier, followed by the reported quarters when there are any
+    renderFinancialsTab(company) {
+        const fields = App.FINANCIAL_FIELDS.filter(f => !f.optional || company.years.some(y => Utils.isValidNumber(y[f.key])));
+        const ttm = Utils.periodsPerYear(company.years) > 1;
+
+        const cell = (field, year, prevYear) => {
+            const value = year[field.key];
+            if (!Utils.isValidNumber(value)) return '<td>N/A</td>';
+
+            const text = field.percent ? Utils.formatPercent(value) : Utils.formatCurrency(value);
+            const prev = prevYear ? prevYear[field.key] : null;
+            if (!Utils.isValidNumber(prev) || (!field.percent && prev === 0)) return `<td>${text}</td>`;
+
+            // Ratios change in percentage points, amounts in percent
+            const delta = field.percent ? value - prev : ((value - prev) / Math.abs(prev)) * 100;
+            const trend = delta === 0 ? '' : (delta > 0) !== Boolean(field.lowerIsBetter) ? 'up' : 'down';
+            return `
+                <td>
+                    ${text}
+                    <div class="yoy ${trend}">${delta >= 0 ? '▲' : '▼'} ${Math.abs(delta).toFixed(1)}${field.percent ? ' pp' : '%'}</div>
+                </td>
+            `;
+        };
+
+        return `
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>${ttm ? 'TTM to' : 'FY'}</th>${fields.map(f => `<th>${f.label}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${company.years.map((year, i) => `
+                            <tr>
+                                <td>${Utils.escapeHtml(year.fy)}</td>
+                                ${fields.map(f => cell(f, year, Utils.priorYear(company.years, i))).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderQuarterlyTable(company)}
+        `;
+    }
+
+    // Reported quarters with QoQ and YoY growth (calculateQuarterlyGrowth)
+    renderQuarterlyTable(company) {
+        const rows = this.analyzer.calculateQuarterlyGrowth(company);
+        if (rows.length === 0) return '';
+
+        const growth = (value) => {
+            if (value === null) return '<td>N/A</td>';
+            const trend = value === 0 ? '' : value > 0 ? 'up' : 'down';
+            return `<td><span class="yoy ${trend}">${value >= 0 ? '▲' : '▼'} ${Math.abs(value).toFixed(1)}%</span></td>`;
+        };
+
+        return `
+            <h3 style="margin: 1.5rem 0 0.5rem;">Quarterly Results</h3>
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Quarter</th><th>Revenue</th><th>QoQ</th><th>YoY</th><th>Net Profit</th><th>QoQ</th><th>YoY</th><th>Margin</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(q => `
+                            <tr>
+                                <td>${Utils.escapeHtml(q.fy)}</td>
+                                <td>${Utils.formatCurrency(q.revenue)}</td>
+                                ${growth(q.revenueQoQ)}
+                                ${growth(q.revenueYoY)}
+                                <td>${Utils.formatCurrency(q.netProfit)}</td>
+                                ${growth(q.profitQoQ)}
+                                ${growth(q.profitYoY)}
+                                <td>${Utils.formatPercent(q.profitMargin)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Ratios as of each FY (calculateMetricsByYear), charted then tabulated
+    renderRatiosTab(company) {
+        const model = this.analyzer.getSectorModel(company);
+
+        return `
+            ${model ? `<p style="color: var(--text-muted); margin-bottom: 1rem; font-size: 0.9rem;">Debt-to-equity is shown for reference; the ${model.label} model does not score it.</p>` : ''}
+            <canvas id="ratioTrendChart"></canvas>
+            ${this.renderRatioTable(company)}
+        `;
+    }
+
+    // One row per ratio, one column per FY
+    renderRatioTable(company) {
+        const byYear = this.analyzer.calculateMetricsByYear(company);
+        const ratios = App.RATIO_ROWS.filter(r => byYear.some(y => Utils.isValidNumber(y.metrics[r.key])));
+
+        return `
+            <div class="table-wrapper" style="margin-top: 1.5rem;">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Ratio</th>${byYear.map(y => `<th>${Utils.escapeHtml(y.fy)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${ratios.map(r => `
+                            <tr>
+                                <td style="color: var(--text-muted);">${r.label}</td>
+                                ${byYear.map(y => `<td>${Utils.isValidNumber(y.metrics[r.key]) ? Screener.formatValue(r, y.metrics[r.key]) : 'N/A'}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderChartsTab(company) {
+        return `
+            <h3 style="color: var(--accent); margin-bottom: 1rem;">Revenue & Profit</h3>
+            <p style="color: var(--text-muted); margin-bottom: 1rem; font-size: 0.9rem;">Faded bars (FY…E) are model forecasts.</p>
+            <canvas id="financialsChart"></canvas>
+
+            ${company.ml.revenueForecast ? `
+                <h3 style="color: var(--accent); margin: 2rem 0 1rem;">Revenue Forecast</h3>
+                <p style="color: var(--text-muted); margin-bottom: 1rem; font-size: 0.9rem;">
+                    Model: ${company.ml.revenueForecast.label}
+                    · Backtest error (last FY held out): ${company.ml.revenueForecast.backtestError === null ? 'N/A' : Utils.formatPercent(company.ml.revenueForecast.backtestError)}
+                    · Shaded band: ${Math.round(company.ml.revenueForecast.level * 100)}% prediction interval
+                </p>
+                <canvas id="forecastChart"></canvas>
+            ` : ''}
+
+        `;
+    }
+
+    renderValuationTab(company) {
+        const input = (key, label, step) => `
+            <label class="profile-field">
+                <span>${label}</span>
+                <input type="number" class="profile-input" data-assumption="${key}" value="${this.valuationAssumptions[key]}" step="${step}">
+            </label>
+        `;
+
+        return `
+            <div class="profile-fields" id="valuationInputs">
+                ${input('discountRate', 'Discount rate (%)', 0.5)}
+                ${input('terminalGrowth', 'Terminal growth (%)', 0.5)}
+                ${input('payoutRatio', 'Payout ratio (%)', 5)}
+            </div>
+            <div id="valuationResults">${this.renderValuationResults(company)}</div>
+        `;
+    }
+
+    // Re-value as assumptions change; they apply to every company
+    bindValuation(company) {
+        const inputs = document.getElementById('valuationInputs');
+        if (!inputs) return;
+
+        inputs.addEventListener('input', (e) => {
+            const key = e.target.dataset.assumption;
+            const value = parseFloat(e.target.value);
+            if (!key || !Utils.isValidNumber(value)) return;
+            this.valuationAssumptions[key] = value;
+            localStorage.setItem('mi.valuationAssumptions', JSON.stringify(this.valuationAssumptions));
+            document.getElementById('valuationResults').innerHTML = this.renderValuationResults(company);
+        });
+    }
+
+    renderValuationResults(company) {
+        const assumptions = this.valuationAssumptions;
+        const result = this.valuation.value(company, assumptions);
+        const { dcf, multiple } = result;
+        const { peers } = multiple;
+
+        const upsideText = (upside) => (upside === null ? 'N/A' : `${upside >= 0 ? '+' : ''}${upside.toFixed(1)}%`);
+        const upsideColor = (upside) => (upside === null ? 'var(--text-muted)' : upside >= 0 ? 'var(--success)' : 'var(--danger)');
+        const card = (label, value, upside, note) => `
+            <div style="background: var(--secondary); padding: 1rem; border-radius: 10px;">
+                <div style="color: var(--text-muted); font-size: 0.9rem;">${label}</div>
+                <div style="color: var(--accent); font-size: 1.5rem; font-weight: 700;">${value === null ? 'N/A' : Utils.formatCurrency(Math.round(value))}</div>
+                <div style="color: ${upsideColor(upside)}; font-weight: 600;">${upsideText(upside)} vs market cap</div>
+                <div style="color: var(--text-muted); font-size: 0.8rem; margin-top: 0.25rem;">${note}</div>
+            </div>
+        `;
+
+        const dcfNote = dcf
+            ? `Forecast payouts ${Utils.formatCurrency(Math.round(dcf.pvCashFlows))} + terminal ${Utils.formatCurrency(Math.round(dcf.pvTerminal))}`
+            : (company.ml.profitForecast ? 'Discount rate must exceed terminal growth' : 'Needs 3+ years of profit history');
+        const multipleNote = peers
+            ? `Median P/E ${peers.median.toFixed(1)} across ${peers.count} ${peers.scope} peers${result.pe !== null ? ` (own P/E ${result.pe.toFixed(1)})` : ''}`
+            : 'No peers with a market cap and positive profit';
+
+        const rates = ValuationModel.around(assumptions.discountRate);
+        const growths = ValuationModel.around(assumptions.terminalGrowth);
+        const grid = this.valuation.sensitivity(company, assumptions, rates, growths);
+
+        return `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; margin: 1.5rem 0;">
+                <div style="background: var(--secondary); padding: 1rem; border-radius: 10px;">
+                    <div style="color: var(--text-muted); font-size: 0.9rem;">Market Cap</div>
+                    <div style="color: var(--text); font-size: 1.5rem; font-weight: 700;">${Utils.formatCurrency(result.marketCap)}</div>
+                    ${result.marketCap === null ? '<div style="color: var(--text-muted); font-size: 0.8rem; margin-top: 0.25rem;">No market-cap data - upside unavailable</div>' : ''}
+                </div>
+                ${card('DCF Fair Value', dcf ? dcf.fairValue : null, result.dcfUpside, dcfNote)}
+                ${card('P/E-Based Fair Value', multiple.fairValue, multiple.upside, multipleNote)}
+            </div>
+
+            <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">DCF Sensitivity</h3>
+            <p style="color: var(--text-muted); margin-bottom: 1rem; font-size: 0.9rem;">Upside vs market cap by discount rate (rows) and terminal growth (columns); hover a cell for the fair value.</p>
+            <div class="table-wrapper">
+                <table class="data-table sensitivity-grid">
+                    <thead>
+                        <tr><th>Discount ↓ / Growth →</th>${growths.map(g => `<th>${g}%</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${grid.map((row, i) => `
+                            <tr>
+                                <th>${rates[i]}%</th>
+                                ${row.map(cell => `
+                                    <td class="${cell.discountRate === assumptions.discountRate && cell.terminalGrowth === assumptions.terminalGrowth ? 'current' : ''}"
+                                        style="color: ${upsideColor(cell.upside)};"
+                                        title="${cell.fairValue === null ? 'N/A' : Utils.formatCurrency(Math.round(cell.fairValue))}">
+                                        ${cell.fairValue === null ? 'N/A' : result.marketCap === null ? Utils.formatCurrency(Math.round(cell.fairValue)) : upsideText(cell.upside)}
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Classification reason + waterfall of the selected score's contributions
+    renderScoreBreakdown(company) {
+        const { explanations, classification } = company.ml;
+        const tabs = [
+            { key: 'health', label: 'Health' },
+            { key: 'undervaluation', label: 'Undervaluation' },
+            { key: 'momentum', label: 'Momentum' },
+            { key: 'risk', label: `Risk (${explanations.risk.level})` }
+        ];
+
+        return `
+            <h3 style="color: var(--accent); margin: 1.5rem 0 1rem;">Why These Scores?</h3>
+            <div style="padding: 1rem; background: rgba(0, 217, 255, 0.1); border-left: 4px solid var(--accent); border-radius: 5px; margin-bottom: 1rem;">
+                ${classification.reason}
+            </div>
+            <div class="breakdown-tabs">
+                ${tabs.map((t, i) => `
+                    <button class="breakdown-tab ${i === 0 ? 'active' : ''}" data-explain="${t.key}">${t.label}</button>
+                `).join('')}
+            </div>
+            <canvas id="waterfallChart"></canvas>
+        `;
+    }
+
+    bindScoreBreakdown(company) {
+        const { explanations } = company.ml;
+        const draw = (key) => {
+            const explanation = key === 'risk'
+                ? { score: explanations.risk.score || 0, contributions: explanations.risk.contributions }
+                : explanations[key];
+            this.chartManager.createWaterfallChart('waterfallChart', explanation, key === 'risk' ? 'Risk points' : 'Score');
+        };
+
+        document.querySelectorAll('.breakdown-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                document.querySelectorAll('.breakdown-tab').forEach(t => t.classList.remove('active'));
+                e.target.classList.add('active');
+                draw(e.target.dataset.explain);
+            });
+        });
+
+        draw('health');
     }
 }
 
+App.MODAL_TABS = [
+    { key: 'overview', label: 'Overview' },
+    { key: 'financials', label: 'Financials' },
+    { key: 'ratios', label: 'Ratios' },
+    { key: 'charts', label: 'Charts' },
+    { key: 'valuation', label: 'Valuation' }
+];
+
+// Bundled data files (sw.js caches these for offline use)
+App.DATA_FILES = {
+    financials: 'data/indian_companies_financials.csv',
+    marketData: 'data/market_cap_snapshots.csv'
+};
+
+App.SERVICE_WORKER_URL = 'sw.js';
+
+// Financials tab columns; optional ones only appear when the company reports them
+App.FINANCIAL_FIELDS = [
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'netProfit', label: 'Net Profit' },
+    { key: 'totalDebt', label: 'Total Debt', lowerIsBetter: true },
+    { key: 'totalEquity', label: 'Total Equity' },
+    { key: 'marketCap', label: 'Market Cap', optional: true },
+    { key: 'totalAssets', label: 'Total Assets', optional: true },
+    { key: 'nim', label: 'NIM', percent: true, optional: true },
+    { key: 'gnpa', label: 'Gross NPA', percent: true, optional: true, lowerIsBetter: true },
+    { key: 'nnpa', label: 'Net NPA', percent: true, optional: true, lowerIsBetter: true },
+    { key: 'casa', label: 'CASA', percent: true, optional: true }
+];
+
+// Ratios tab rows (rows with no value in any FY are dropped)
+App.RATIO_ROWS = [
+    { key: 'profitMargin', label: 'Profit Margin', format: 'percent' },
+    { key: 'roe', label: 'ROE', format: 'percent' },
+    { key: 'debtToEquity', label: 'Debt-to-Equity', format: 'ratio' },
+    { key: 'roa', label: 'ROA', format: 'percent' },
+    { key: 'equityToAssets', label: 'Equity-to-Assets', format: 'percent' },
+    { key: 'priceToEquity', label: 'Price-to-Book', format: 'ratio' },
+    { key: 'priceToSales', label: 'Price-to-Sales', format: 'ratio' }
+];
+
 // Initialize app
 const app = new App();
 window.addEventListener('DOMContentLoaded', () => app.init());
\ No newline at end of file
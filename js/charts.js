@@ -44,6 +44,15 @@ class ChartManager {
         }
     }
 
+    // PNG data URL of a drawn chart, redrawn without animation so the image
+    // isn't caught mid-transition; null when nothing was drawn
+    toImage(chartId) {
+        const chart = this.charts[chartId];
+        if (!chart) return null;
+        chart.update('none');
+        return chart.toBase64Image();
+    }
+
     // Market Pulse Chart (Sector Distribution)
     createMarketPulseChart(data) {
         this.destroyChart('marketPulse');
@@ -84,7 +93,7 @@ class ChartManager {
     }
 
     // Sector Performance Chart
-    createSectorChart(sectorStats) {
+    createSectorChart(sectorStats, onSelect = null) {
         this.destroyChart('sector');
         
         const ctx = document.getElementById('sectorChart');
@@ -115,7 +124,13 @@ class ChartManager {
                     }
                 ]
             },
-            options: this.defaultOptions
+            options: {
+                ...this.defaultOptions,
+                // Clicking a sector's bars drills into it
+                onClick: (event, elements) => {
+                    if (onSelect && elements.length > 0) onSelect(sectors[elements[0].index]);
+                }
+            }
         });
     }
 
@@ -324,16 +339,23 @@ class ChartManager {
         const ctx = document.getElementById('debtEquityChart');
         if (!ctx) return;
         
-        // Top 10 by market cap
-        const topCompanies = companies
+        // Top 10 by market cap; companies without a market cap sort last and are marked with *
+        const marketCapOf = (c) => {
+            const mc = c.years[c.years.length - 1].marketCap;
+            return Utils.isValidNumber(mc) && mc > 0 ? mc : null;
+        };
+        const topCompanies = [...companies]
             .sort((a, b) => {
-                const aMC = a.years[a.years.length - 1].marketCap;
-                const bMC = b.years[b.years.length - 1].marketCap;
+                const aMC = marketCapOf(a);
+                const bMC = marketCapOf(b);
+                if (aMC === null && bMC === null) return 0;
+                if (aMC === null) return 1;
+                if (bMC === null) return -1;
                 return bMC - aMC;
             })
             .slice(0, 10);
         
-        const labels = topCompanies.map(c => c.ticker);
+        const labels = topCompanies.map(c => marketCapOf(c) === null ? `${c.ticker}*` : c.ticker);
         const debtToEquity = topCompanies.map(c => {
             const latest = c.years[c.years.length - 1];
             return Utils.safeDivide(latest.totalDebt, latest.totalEquity);
@@ -377,7 +399,504 @@ class ChartManager {
             }
         });
     }
+
+    // Forecast fan: actuals, point forecast and prediction interval band
+    createForecastChart(canvasId, company, forecast, field = 'revenue') {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx || !forecast) return;
+
+        const history = company.years.map(y => y[field]);
+        const labels = [...company.years.map(y => y.fy), ...forecast.points.map(p => p.fy)];
+        const pad = new Array(history.length - 1).fill(null);
+        const last = history[history.length - 1];
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Actual',
+                        data: history,
+                        borderColor: '#00D9FF',
+                        backgroundColor: '#00D9FF',
+                        borderWidth: 2,
+                        tension: 0.3
+                    },
+                    {
+                        label: `Forecast (${forecast.label})`,
+                        data: [...pad, last, ...forecast.points.map(p => p.value)],
+                        borderColor: '#00FF88',
+                        backgroundColor: '#00FF88',
+                        borderDash: [6, 4],
+                        borderWidth: 2,
+                        tension: 0.3
+                    },
+                    {
+                        label: `${Math.round(forecast.level * 100)}% upper`,
+                        data: [...pad, last, ...forecast.points.map(p => p.upper)],
+                        borderColor: 'rgba(0, 255, 136, 0.3)',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: false
+                    },
+                    {
+                        label: `${Math.round(forecast.level * 100)}% lower`,
+                        data: [...pad, last, ...forecast.points.map(p => p.lower)],
+                        borderColor: 'rgba(0, 255, 136, 0.3)',
+                        backgroundColor: 'rgba(0, 255, 136, 0.12)',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: '-1'
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    legend: {
+                        labels: {
+                            color: '#E7EBF0',
+                            font: { size: 11 },
+                            filter: (item) => !item.text.includes('% ')
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Waterfall of score contributions: floating bars from running total, then the total
+    createWaterfallChart(canvasId, explanation, totalLabel = 'Total') {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx || !explanation) return;
+
+        let running = 0;
+        const bars = explanation.contributions.map(c => {
+            const start = running;
+            running += c.points;
+            return { label: `${c.label}: ${c.points >= 0 ? '+' : ''}${c.points.toFixed(1)}`, range: [start, running], points: c.points };
+        });
+        bars.push({ label: `${totalLabel}: ${explanation.score.toFixed(1)}`, range: [0, explanation.score], total: true });
+
+        const colors = bars.map(b => {
+            if (b.total) return '#00D9FF';
+            return b.points >= 0 ? '#00FF88' : '#FF4560';
+        });
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: bars.map(b => b.label),
+                datasets: [{
+                    label: 'Contribution',
+                    data: bars.map(b => b.range),
+                    backgroundColor: colors.map(c => c + 'B3'),
+                    borderColor: colors,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                ...this.defaultOptions,
+                indexAxis: 'y',
+                scales: {
+                    x: {
+                        ...this.defaultOptions.scales.x,
+                        min: Math.min(0, ...bars.map(b => Math.min(...b.range))),
+                        suggestedMax: 100
+                    },
+                    y: {
+                        ...this.defaultOptions.scales.y,
+                        ticks: { color: '#E7EBF0', font: { size: 11 } }
+                    }
+                },
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    legend: { display: false },
+                    tooltip: {
+                        ...this.defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: (context) => context.label
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // One line per company for a field, aligned on the union of FYs
+    createCompareLineChart(canvasId, companies, field, title) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        const labels = Utils.unique(companies.flatMap(c => c.years.map(y => y.fy)))
+            .sort(Utils.comparePeriods);
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: companies.map((company, i) => {
+                    const color = ChartManager.COMPARE_COLORS[i % ChartManager.COMPARE_COLORS.length];
+                    const byFy = {};
+                    company.years.forEach(y => { byFy[y.fy] = y[field]; });
+                    return {
+                        label: company.ticker,
+                        data: labels.map(fy => (fy in byFy ? byFy[fy] : null)),
+                        borderColor: color,
+                        backgroundColor: color,
+                        borderWidth: 2,
+                        tension: 0.3,
+                        spanGaps: true
+                    };
+                })
+            },
+            options: {
+                ...this.defaultOptions,
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    title: { display: true, text: title, color: '#E7EBF0' }
+                }
+            }
+        });
+    }
+
+    // Radar of the 0-100 model scores for each company
+    createCompareRadarChart(canvasId, companies) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'radar',
+            data: {
+                labels: ['Health', 'Undervaluation', 'Momentum'],
+                datasets: companies.map((company, i) => {
+                    const color = ChartManager.COMPARE_COLORS[i % ChartManager.COMPARE_COLORS.length];
+                    return {
+                        label: company.ticker,
+                        data: [company.ml.healthScore, company.ml.undervalScore, company.ml.momentum],
+                        borderColor: color,
+                        backgroundColor: color + '26',
+                        borderWidth: 2
+                    };
+                })
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    r: {
+                        angleLines: { color: 'rgba(139, 152, 168, 0.2)' },
+                        grid: { color: 'rgba(139, 152, 168, 0.2)' },
+                        pointLabels: { color: '#8B98A8', font: { size: 11 } },
+                        ticks: { color: '#8B98A8', backdropColor: 'transparent' },
+                        min: 0,
+                        max: 100
+                    }
+                }
+            }
+        });
+    }
+
+    // Margin and ROE (%) per FY on the left axis, debt-to-equity on the right
+    createRatioTrendChart(canvasId, byYear) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        const series = (key) => byYear.map(y => (Utils.isValidNumber(y.metrics[key]) ? +y.metrics[key].toFixed(2) : null));
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: byYear.map(y => y.fy),
+                datasets: [
+                    {
+                        label: 'Profit Margin %',
+                        data: series('profitMargin'),
+                        borderColor: '#00D9FF',
+                        backgroundColor: '#00D9FF',
+                        borderWidth: 2,
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'ROE %',
+                        data: series('roe'),
+                        borderColor: '#00FF88',
+                        backgroundColor: '#00FF88',
+                        borderWidth: 2,
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Debt-to-Equity',
+                        data: series('debtToEquity'),
+                        borderColor: '#FFB020',
+                        backgroundColor: '#FFB020',
+                        borderDash: [6, 4],
+                        borderWidth: 2,
+                        tension: 0.3,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    ...this.defaultOptions.scales,
+                    y: {
+                        ...this.defaultOptions.scales.y,
+                        title: { display: true, text: '%', color: '#8B98A8' }
+                    },
+                    y1: {
+                        position: 'right',
+                        ticks: { color: '#8B98A8' },
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'D/E', color: '#8B98A8' }
+                    }
+                }
+            }
+        });
+    }
+
+    // Revenue and net profit bars per FY, with forecast years appended as faded bars
+    createFinancialsChart(canvasId, company, revenueForecast, profitForecast) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        const forecastYears = revenueForecast ? revenueForecast.points.map(p => p.fy) : [];
+        const forecastValue = (forecast, fy) => {
+            const point = forecast ? forecast.points.find(p => p.fy === fy) : null;
+            return point ? point.value : null;
+        };
+        const actualCount = company.years.length;
+        const colorsFor = (color, faded) => [
+            ...new Array(actualCount).fill(color),
+            ...new Array(forecastYears.length).fill(faded)
+        ];
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [...company.years.map(y => y.fy), ...forecastYears.map(fy => `${fy}E`)],
+                datasets: [
+                    {
+                        label: 'Revenue',
+                        data: [...company.years.map(y => y.revenue), ...forecastYears.map(fy => forecastValue(revenueForecast, fy))],
+                        backgroundColor: colorsFor('#00D9FF', 'rgba(0, 217, 255, 0.35)'),
+                        borderRadius: 4
+                    },
+                    {
+                        label: 'Net Profit',
+                        data: [...company.years.map(y => y.netProfit), ...forecastYears.map(fy => forecastValue(profitForecast, fy))],
+                        backgroundColor: colorsFor('#00FF88', 'rgba(0, 255, 136, 0.35)'),
+                        borderRadius: 4
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    tooltip: {
+                        ...this.defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}${context.dataIndex >= actualCount ? ' (forecast)' : ''}: ${Utils.formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Sector revenue and net profit totals per FY
+    createSectorTrendChart(canvasId, totals) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: totals.map(t => t.fy),
+                datasets: [
+                    {
+                        label: 'Revenue (Cr)',
+                        data: totals.map(t => t.revenue),
+                        backgroundColor: 'rgba(0, 217, 255, 0.7)',
+                        borderColor: '#00D9FF',
+                        borderWidth: 2
+                    },
+                    {
+                        label: 'Net Profit (Cr)',
+                        data: totals.map(t => t.netProfit),
+                        backgroundColor: 'rgba(0, 255, 136, 0.7)',
+                        borderColor: '#00FF88',
+                        borderWidth: 2
+                    }
+                ]
+            },
+            options: this.defaultOptions
+        });
+    }
+
+    // Median line with the interquartile range shaded between Q1 and Q3
+    createDistributionChart(canvasId, distribution, title) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        const round = (v) => (v === null ? null : +v.toFixed(2));
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: distribution.map(d => d.fy),
+                datasets: [
+                    {
+                        label: 'Median',
+                        data: distribution.map(d => round(d.median)),
+                        borderColor: '#00D9FF',
+                        backgroundColor: '#00D9FF',
+                        borderWidth: 2,
+                        tension: 0.3
+                    },
+                    {
+                        label: 'Q3',
+                        data: distribution.map(d => round(d.q3)),
+                        borderColor: 'rgba(0, 217, 255, 0.3)',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: false
+                    },
+                    {
+                        label: 'Q1',
+                        data: distribution.map(d => round(d.q1)),
+                        borderColor: 'rgba(0, 217, 255, 0.3)',
+                        backgroundColor: 'rgba(0, 217, 255, 0.12)',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: '-1'
+                    }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    title: { display: true, text: `${title} (median & IQR)`, color: '#E7EBF0' },
+                    legend: {
+                        labels: {
+                            color: '#E7EBF0',
+                            font: { size: 11 },
+                            filter: (item) => item.text === 'Median'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Each company's share of sector revenue per FY, stacked to 100%
+    createRevenueShareChart(canvasId, share) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        const colors = ['#00D9FF', '#00FF88', '#FFB020', '#FF4560', '#8B5CF6', '#EC4899', '#F59E0B', '#10B981'];
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: share.years,
+                datasets: share.series.map((s, i) => ({
+                    label: s.ticker,
+                    data: s.shares.map(v => +v.toFixed(2)),
+                    borderColor: colors[i % colors.length],
+                    backgroundColor: colors[i % colors.length] + '66',
+                    borderWidth: 1,
+                    pointRadius: 2,
+                    fill: true
+                }))
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    ...this.defaultOptions.scales,
+                    y: { ...this.defaultOptions.scales.y, stacked: true, min: 0, max: 100 }
+                },
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    tooltip: {
+                        ...this.defaultOptions.plugins.tooltip,
+                        mode: 'index',
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${context.parsed.y}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Portfolio weight by sector
+    createPortfolioSectorChart(canvasId, sectors) {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: sectors.map(s => s.sector),
+                datasets: [{
+                    data: sectors.map(s => +(s.weight * 100).toFixed(2)),
+                    backgroundColor: [
+                        '#00D9FF', '#00FF88', '#FFB020', '#FF4560',
+                        '#8B5CF6', '#EC4899', '#F59E0B', '#10B981'
+                    ],
+                    borderWidth: 2,
+                    borderColor: '#0A1929'
+                }]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {},
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    legend: {
+                        position: 'right',
+                        labels: { color: '#E7EBF0', font: { size: 11 } }
+                    },
+                    tooltip: {
+                        ...this.defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: (context) => `${context.label}: ${context.parsed}%`
+                        }
+                    }
+                }
+            }
+        });
+    }
 }
 
+ChartManager.COMPARE_COLORS = ['#00D9FF', '#00FF88', '#FFB020', '#FF4560', '#8B5CF6'];
+
 // Make ChartManager available globally
 window.ChartManager = ChartManager;
\ No newline at end of file
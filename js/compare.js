@@ -0,0 +1,212 @@
+// ========================================
+// Company Comparison Workspace
+// ========================================
+
+class CompareView {
+    constructor(app) {
+        this.app = app;
+        this.selected = [];
+        this.fy = null; // defaults to the latest FY of the selection
+    }
+
+    setup() {
+        const fySelect = document.getElementById('compareFySelect');
+        if (fySelect) {
+            fySelect.addEventListener('change', (e) => {
+                this.fy = e.target.value;
+                this.renderTable();
+            });
+        }
+
+        const openBtn = document.getElementById('compareOpen');
+        if (openBtn) openBtn.addEventListener('click', () => this.app.switchSection('compare'));
+
+        const clearBtn = document.getElementById('compareClear');
+        if (clearBtn) clearBtn.addEventListener('click', () => this.clear());
+
+        // Compare buttons and tray chips (data-compare holds the ticker) are
+        // re-rendered with their lists, so their clicks are handled here
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-compare]');
+            if (target) this.toggle(target.dataset.compare);
+        });
+    }
+
+    // Compare buttons currently on the page for a ticker (all of them by default)
+    toggleButtons(ticker = null) {
+        return [...document.querySelectorAll('.compare-toggle[data-compare]')]
+            .filter(btn => ticker === null || btn.dataset.compare === ticker);
+    }
+
+    // Replace the selection (e.g. from a shared link), dropping unknown tickers
+    setSelection(tickers) {
+        const known = Utils.unique(tickers.map(t => t.trim())).filter(t => this.findCompany(t));
+        this.selected = known.slice(0, CompareView.MAX);
+        this.renderTray();
+        this.toggleButtons().forEach(btn => {
+            btn.classList.toggle('active', this.isSelected(btn.dataset.compare));
+        });
+    }
+
+    findCompany(ticker) {
+        return this.app.allAnalyzedData.find(c => c.ticker === ticker) || null;
+    }
+
+    isSelected(ticker) {
+        return this.selected.includes(ticker);
+    }
+
+    toggle(ticker) {
+        if (this.isSelected(ticker)) {
+            this.selected = this.selected.filter(t => t !== ticker);
+        } else if (this.selected.length >= CompareView.MAX) {
+            Utils.notify(`Compare up to ${CompareView.MAX} companies at a time`, 'error');
+            return;
+        } else {
+            this.selected.push(ticker);
+        }
+
+        this.syncUrl();
+        this.renderTray();
+        this.toggleButtons(ticker).forEach(btn => {
+            btn.classList.toggle('active', this.isSelected(ticker));
+        });
+        if (this.app.currentSection === 'compare') this.render();
+    }
+
+    clear() {
+        this.selected = [];
+        this.syncUrl();
+        this.renderTray();
+        this.toggleButtons().forEach(btn => btn.classList.remove('active'));
+        if (this.app.currentSection === 'compare') this.render();
+    }
+
+    // Keep the selection in the URL so the view can be shared
+    syncUrl() {
+        this.app.router.update({ replace: true });
+    }
+
+    // Toggle button rendered on explorer cards
+    renderToggle(ticker) {
+        return `
+            <button class="compare-toggle ${this.isSelected(ticker) ? 'active' : ''}" data-compare="${Utils.escapeHtml(ticker)}">⚖ Compare</button>
+        `;
+    }
+
+    // Floating tray listing the current selection
+    renderTray() {
+        const tray = document.getElementById('compareTray');
+        if (!tray) return;
+
+        tray.classList.toggle('show', this.selected.length > 0);
+        const chips = document.getElementById('compareChips');
+        if (chips) {
+            chips.innerHTML = this.selected.map(t => `
+                <span class="compare-chip">${Utils.escapeHtml(t)} <span class="compare-chip-remove" data-compare="${Utils.escapeHtml(t)}">&times;</span></span>
+            `).join('');
+        }
+    }
+
+    render() {
+        const empty = document.getElementById('compareEmpty');
+        const body = document.getElementById('compareBody');
+        const companies = this.selected.map(t => this.findCompany(t)).filter(Boolean);
+
+        if (companies.length < 2) {
+            if (empty) empty.style.display = 'block';
+            if (body) body.style.display = 'none';
+            return;
+        }
+        if (empty) empty.style.display = 'none';
+        if (body) body.style.display = 'block';
+
+        this.renderFyOptions(companies);
+        this.renderTable();
+        this.app.chartManager.createCompareLineChart('compareRevenueChart', companies, 'revenue', 'Revenue (Cr)');
+        this.app.chartManager.createCompareLineChart('compareProfitChart', companies, 'netProfit', 'Net Profit (Cr)');
+        this.app.chartManager.createCompareRadarChart('compareRadarChart', companies);
+    }
+
+    renderFyOptions(companies) {
+        const select = document.getElementById('compareFySelect');
+        if (!select) return;
+
+        const years = Utils.unique(companies.flatMap(c => c.years.map(y => y.fy)))
+            .sort(Utils.comparePeriods);
+        if (!years.includes(this.fy)) this.fy = years[years.length - 1];
+
+        select.innerHTML = years.map(fy => `
+            <option value="${Utils.escapeHtml(fy)}" ${fy === this.fy ? 'selected' : ''}>${Utils.escapeHtml(fy)}</option>
+        `).join('');
+    }
+
+    // Metric table for the chosen FY with best/worst highlighted per row
+    renderTable() {
+        const container = document.getElementById('compareTable');
+        if (!container) return;
+
+        const analyzer = this.app.analyzer;
+        const companies = this.selected.map(t => this.findCompany(t)).filter(Boolean);
+        const columns = companies.map(company => {
+            const entry = analyzer.calculateMetricsByYear(company).find(e => e.fy === this.fy);
+            return { company, metrics: entry ? entry.metrics : null };
+        });
+
+        const rows = CompareView.ROWS.map(row => {
+            const values = columns.map(col => (col.metrics ? col.metrics[row.key] : null));
+            const valid = values.filter(v => Utils.isValidNumber(v));
+            let best = null;
+            let worst = null;
+            if (row.better && valid.length >= 2) {
+                best = row.better === 'high' ? Math.max(...valid) : Math.min(...valid);
+                worst = row.better === 'high' ? Math.min(...valid) : Math.max(...valid);
+            }
+            return { ...row, values, best, worst };
+        });
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>${Utils.escapeHtml(this.fy)}</th>
+                        ${columns.map(col => `<th>${Utils.escapeHtml(col.company.company)} <span style="color: var(--text-muted);">${Utils.escapeHtml(col.company.ticker)}</span></th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td style="color: var(--text-muted);">${row.label}</td>
+                            ${row.values.map(v => {
+                                if (!Utils.isValidNumber(v)) return '<td>N/A</td>';
+                                let cls = '';
+                                if (row.best !== row.worst) {
+                                    if (v === row.best) cls = 'cell-best';
+                                    else if (v === row.worst) cls = 'cell-worst';
+                                }
+                                return `<td class="${cls}">${row.format(v)}</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+CompareView.MAX = 5;
+
+// Rows of the comparison table; `better` marks which end is highlighted as best
+CompareView.ROWS = [
+    { key: 'revenue', label: 'Revenue', better: 'high', format: Utils.formatCurrency },
+    { key: 'netProfit', label: 'Net Profit', better: 'high', format: Utils.formatCurrency },
+    { key: 'profitMargin', label: 'Profit Margin', better: 'high', format: Utils.formatPercent },
+    { key: 'roe', label: 'ROE', better: 'high', format: Utils.formatPercent },
+    { key: 'debtToEquity', label: 'Debt-to-Equity', better: 'low', format: v => v.toFixed(2) },
+    { key: 'marketCap', label: 'Market Cap', better: null, format: Utils.formatCurrency },
+    { key: 'priceToEquity', label: 'Price-to-Book', better: 'low', format: v => v.toFixed(2) },
+    { key: 'priceToSales', label: 'Price-to-Sales', better: 'low', format: v => v.toFixed(2) }
+];
+
+// Make CompareView available globally
+window.CompareView = CompareView;
@@ -3,10 +3,18 @@
 // ========================================
 
 class DataLoader {
-    constructor() {
+    constructor(options = {}) {
         this.rawData = [];
         this.processedData = [];
         this.companies = [];
+        this.marketData = [];
+        // Every company with its FY records and quarterly records (`quarters`);
+        // `companies` is the subset/shape analysed in the current period view
+        this.allCompanies = [];
+        this.periodType = options.periodType || 'annual';
+        // How rows flagged by DataValidator are handled: 'keep' | 'drop' | 'impute'
+        this.validationPolicy = options.validationPolicy || 'keep';
+        this.validation = null;
     }
 
     // Load CSV file
@@ -30,6 +38,51 @@ class DataLoader {
         });
     }
 
+    // File contents as text (the caller hashes it before parsing)
+    static async fetchText(filePath) {
+        const response = await fetch(filePath);
+        if (!response.ok) throw new Error(`HTTP ${response.status} loading ${filePath}`);
+        return response.text();
+    }
+
+    // CSV text into rows, parsed as loadCSV does
+    static parseCSV(text) {
+        return Papa.parse(text, {
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true
+        }).data;
+    }
+
+    // Load already-parsed rows (e.g. a user upload) in place of the bundled CSV
+    loadRows(rows, options = {}) {
+        this.rawData = rows;
+        if (options.clearMarketData) this.marketData = [];
+        this.processData();
+        return this.processedData;
+    }
+
+    // Processed state as plain data (storable in IndexedDB, see DatasetCache)
+    snapshot() {
+        return {
+            rawData: this.rawData,
+            marketData: this.marketData,
+            allCompanies: this.allCompanies,
+            validation: this.validation
+        };
+    }
+
+    // Pick up a snapshot() in place of parsing and processing the files again
+    restore(snapshot) {
+        this.rawData = snapshot.rawData;
+        this.marketData = snapshot.marketData;
+        this.allCompanies = snapshot.allCompanies;
+        this.validation = snapshot.validation;
+        this.companies = this.buildView();
+        this.processedData = this.companies;
+        return this.processedData;
+    }
+
     // Process raw data
     processData() {
         // Clean headers (remove whitespace)
@@ -42,10 +95,14 @@ class DataLoader {
             return cleaned;
         });
 
+        // Validate rows and apply the drop / impute / keep policy
+        const validator = new DataValidator({ policy: this.validationPolicy });
+        this.validation = validator.validate(this.rawData);
+
         // Group by company
         const companyGroups = {};
         
-        this.rawData.forEach(row => {
+        this.validation.rows.forEach(row => {
             const ticker = row.Ticker;
             if (!ticker) return;
 
@@ -54,33 +111,231 @@ class DataLoader {
                     company: row.Company,
                     ticker: row.Ticker,
                     sector: row.Sector,
-                    years: []
+                    years: [],
+                    quarters: []
                 };
             }
 
-            companyGroups[ticker].years.push({
-                fy: row.FY,
-                revenue: row.Revenue_Cr || 0,
-                netProfit: row.Net_Profit_Cr || 0,
-                totalDebt: row.Total_Debt_Cr || 0,
-                totalEquity: row.Total_Equity_Cr || 0,
-                marketCap: row.Market_Cap_Cr || 0
-            });
+            // Quarterly rows ('Q3FY24') are kept apart from the FY history
+            const period = Utils.parsePeriod(row.FY);
+            const quarterly = Boolean(period && period.quarter);
+            const record = {
+                fy: quarterly ? Utils.normalizePeriod(row.FY) : String(row.FY ?? '').trim(),
+                // Missing values stay null so they are skipped rather than scored as 0
+                revenue: Utils.toNumber(row.Revenue_Cr),
+                netProfit: Utils.toNumber(row.Net_Profit_Cr),
+                totalDebt: Utils.toNumber(row.Total_Debt_Cr),
+                totalEquity: Utils.toNumber(row.Total_Equity_Cr),
+                marketCap: Utils.toNumber(row.Market_Cap_Cr),
+                marketCapSource: Utils.toNumber(row.Market_Cap_Cr) !== null ? 'dataset' : null,
+                marketCapAsOf: null,
+                // Bank/NBFC-specific fields (optional columns)
+                totalAssets: Utils.toNumber(row.Total_Assets_Cr),
+                nim: Utils.toNumber(row.NIM_Pct),
+                gnpa: Utils.toNumber(row.GNPA_Pct),
+                nnpa: Utils.toNumber(row.NNPA_Pct),
+                casa: Utils.toNumber(row.CASA_Pct)
+            };
+            if (quarterly) {
+                record.quarter = period.quarter;
+                companyGroups[ticker].quarters.push(record);
+            } else {
+                companyGroups[ticker].years.push(record);
+            }
         });
 
-        // Convert to array and sort years
-        this.companies = Object.values(companyGroups).map(company => {
+        // Convert to array and sort periods; complete FYs with no annual row are
+        // filled in from their four quarters
+        this.allCompanies = Object.values(companyGroups).map(company => {
+            company.quarters.sort((a, b) => Utils.comparePeriods(a.fy, b.fy));
+            company.years.push(...DataLoader.yearsFromQuarters(company));
+
+            // Malformed FY strings (kept under the 'keep' policy) sort last
             company.years.sort((a, b) => {
-                const yearA = parseInt(a.fy.replace('FY', ''));
-                const yearB = parseInt(b.fy.replace('FY', ''));
+                const yearA = Utils.parseFiscalYear(a.fy);
+                const yearB = Utils.parseFiscalYear(b.fy);
+                if (yearA === null || yearB === null) return (yearA === null) - (yearB === null);
                 return yearA - yearB;
             });
             return company;
         });
 
+        this.applyMarketData();
+    }
+
+    // The four consecutive quarters ending at `end`, or null when any is missing
+    static trailingQuarters(quarters, end) {
+        const endIndex = Utils.periodIndex(end.fy);
+        const window = quarters.filter(q => {
+            const index = Utils.periodIndex(q.fy);
+            return index > endIndex - 4 && index <= endIndex;
+        });
+        return window.length === 4 ? window : null;
+    }
+
+    // A record for the four quarters ending at the last one: revenue and profit
+    // are summed, balance-sheet fields and market cap are as of the last quarter
+    static sumQuarters(window) {
+        const last = window[window.length - 1];
+        // A quarter with a missing value leaves the trailing total missing too
+        const total = (field) => (window.every(q => Utils.isValidNumber(q[field]))
+            ? window.reduce((sum, q) => sum + q[field], 0)
+            : null);
+        return {
+            ...last,
+            revenue: total('revenue'),
+            netProfit: total('netProfit')
+        };
+    }
+
+    // FY records built from Q1-Q4 for the FYs with no annual row
+    static yearsFromQuarters(company) {
+        const reported = new Set(company.years.map(y => y.fy));
+        return company.quarters
+            .filter(q => q.quarter === 4 && !reported.has(`FY${Utils.parsePeriod(q.fy).fy}`))
+            .map(q4 => {
+                const window = DataLoader.trailingQuarters(company.quarters, q4);
+                if (!window) return null;
+                const { quarter, ...year } = DataLoader.sumQuarters(window);
+                return { ...year, fy: `FY${Utils.parsePeriod(q4.fy).fy}`, derivedFromQuarters: true };
+            })
+            .filter(Boolean);
+    }
+
+    // Trailing-twelve-month series: one record per quarter that has the three
+    // quarters before it, labelled by that quarter
+    static ttmSeries(quarters) {
+        return quarters
+            .map(q => {
+                const window = DataLoader.trailingQuarters(quarters, q);
+                return window ? { ...DataLoader.sumQuarters(window), period: 'ttm' } : null;
+            })
+            .filter(Boolean);
+    }
+
+    // Companies as analysed in a period view (default: the current one): their
+    // FY history ('annual'), or a TTM series ('quarterly' - companies without
+    // four consecutive quarters are left out)
+    buildView(periodType = this.periodType) {
+        const companies = periodType === 'quarterly'
+            ? this.allCompanies.map(c => ({ ...c, years: DataLoader.ttmSeries(c.quarters) }))
+            : this.allCompanies;
+
+        return companies.filter(c => c.years.length > 0).map(company => {
+            const latest = company.years[company.years.length - 1];
+            company.hasValuation = Utils.isValidNumber(latest.marketCap) && latest.marketCap > 0;
+            return company;
+        });
+    }
+
+    // Switch between the annual and quarterly (TTM) views
+    setPeriodType(periodType) {
+        this.periodType = DataLoader.PERIOD_TYPES.includes(periodType) ? periodType : 'annual';
+        this.companies = this.buildView();
+        this.processedData = this.companies;
+        return this.companies;
+    }
+
+    // Whether any company has enough quarters for the quarterly view
+    hasQuarterlyData() {
+        return this.allCompanies.some(c => DataLoader.ttmSeries(c.quarters).length > 0);
+    }
+
+    // Load market-cap snapshots or price/shares-outstanding file
+    async loadMarketData(filePath) {
+        return new Promise((resolve, reject) => {
+            Papa.parse(filePath, {
+                download: true,
+                header: true,
+                dynamicTyping: true,
+                skipEmptyLines: true,
+                complete: (results) => {
+                    this.setMarketData(results.data);
+                    resolve(this.marketData);
+                },
+                error: (error) => {
+                    console.error('Error loading market data:', error);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    // Normalize market data rows and join them onto the FY records.
+    // Accepted layouts:
+    //   Ticker, As_Of, Market_Cap_Cr                   (dated snapshot)
+    //   Ticker, Date, Price, Shares_Outstanding_Cr     (price x shares)
+    setMarketData(rows) {
+        this.marketData = rows.map(row => {
+            const cleaned = {};
+            Object.keys(row).forEach(key => {
+                cleaned[key.trim()] = row[key];
+            });
+
+            const ticker = cleaned.Ticker ? String(cleaned.Ticker).trim() : null;
+            const asOf = cleaned.As_Of || cleaned.Date || null;
+            const fy = cleaned.FY || (asOf ? Utils.fiscalYearOf(asOf) : null);
+            if (!ticker || !fy) return null;
+
+            let marketCap = Utils.toNumber(cleaned.Market_Cap_Cr);
+            let source = 'snapshot';
+            if (marketCap === null) {
+                const price = Utils.toNumber(cleaned.Price);
+                const shares = Utils.toNumber(cleaned.Shares_Outstanding_Cr);
+                if (price === null || shares === null) return null;
+                marketCap = price * shares;
+                source = 'price';
+            }
+            if (marketCap <= 0) return null;
+
+            // Dated entries also join onto the quarter they fall in
+            const quarter = asOf ? Utils.fiscalQuarterOf(asOf) : null;
+            return { ticker, fy, quarter, asOf: asOf ? String(asOf) : null, marketCap, source };
+        }).filter(Boolean);
+
+        this.applyMarketData();
+        return this.marketData;
+    }
+
+    // Join market data onto each FY and quarterly record (the latest entry
+    // within a FY or quarter wins), then rebuild the current view
+    applyMarketData() {
+        const byKey = {};
+        const keep = (key, entry) => {
+            const existing = byKey[key];
+            if (!existing || String(entry.asOf || '') >= String(existing.asOf || '')) {
+                byKey[key] = entry;
+            }
+        };
+        this.marketData.forEach(entry => {
+            keep(`${entry.ticker}|${entry.fy}`, entry);
+            if (entry.quarter) keep(`${entry.ticker}|${entry.quarter}`, entry);
+        });
+
+        this.allCompanies.forEach(company => {
+            [...company.years, ...company.quarters].forEach(record => {
+                const entry = byKey[`${company.ticker}|${record.fy}`];
+                if (!entry) return;
+                record.marketCap = entry.marketCap;
+                record.marketCapSource = entry.source;
+                record.marketCapAsOf = entry.asOf;
+            });
+        });
+
+        this.companies = this.buildView();
         this.processedData = this.companies;
     }
 
+    // Companies whose latest FY has no market cap
+    getCompaniesWithoutValuation() {
+        return this.companies.filter(c => !c.hasValuation);
+    }
+
+    // Issues found by the last validation run
+    getValidationIssues() {
+        return this.validation ? this.validation.issues : [];
+    }
+
     // Get all unique sectors
     getSectors() {
         return Utils.unique(this.companies.map(c => c.sector)).filter(Boolean);
@@ -140,44 +395,63 @@ class DataLoader {
         });
     }
 
-    // Get top companies by market cap
+    // Get top companies by market cap (companies without valuation data are excluded)
     getTopByMarketCap(limit = 10) {
-        const latest = this.getLatestData();
+        const latest = this.getLatestData().filter(c => c.hasValuation);
         return Utils.sortBy(latest, 'latest.marketCap', true).slice(0, limit);
     }
 
-    // Calculate year-over-year growth for all companies
+    // Calculate year-over-year growth for all companies (a TTM series compares
+    // each quarter's trailing year with the one four quarters earlier)
     calculateGrowthMetrics() {
         return this.companies.map(company => {
             const years = company.years;
-            if (years.length < 2) {
-                return { ...company, growth: null };
-            }
-
             const revenueGrowth = [];
             const profitGrowth = [];
 
             for (let i = 1; i < years.length; i++) {
-                const prevYear = years[i - 1];
+                const prevYear = Utils.priorYear(years, i);
                 const currYear = years[i];
+                if (!prevYear) continue;
 
                 revenueGrowth.push(Utils.growthRate(prevYear.revenue, currYear.revenue));
                 profitGrowth.push(Utils.growthRate(prevYear.netProfit, currYear.netProfit));
             }
 
+            if (revenueGrowth.length === 0) {
+                return { ...company, growth: null };
+            }
+
+            // Periods with a missing value have null growth and are left out of the averages
+            const valid = (rates) => rates.filter(Utils.isValidNumber);
+
+            // CAGR over the last n years (null when history is shorter); full history by default
+            const perYear = Utils.periodsPerYear(years);
+            const cagr = (field, n = (years.length - 1) / perYear) => {
+                const back = Math.round(n * perYear);
+                if (years.length <= back) return null;
+                return Utils.cagr(years[years.length - 1 - back][field], years[years.length - 1][field], n);
+            };
+
             return {
                 ...company,
                 growth: {
-                    avgRevenueGrowth: Utils.average(revenueGrowth),
-                    avgProfitGrowth: Utils.average(profitGrowth),
+                    avgRevenueGrowth: Utils.average(valid(revenueGrowth)),
+                    avgProfitGrowth: Utils.average(valid(profitGrowth)),
                     revenueGrowthTrend: revenueGrowth,
                     profitGrowthTrend: profitGrowth,
-                    consistentGrowth: revenueGrowth.every(g => g > 0) && profitGrowth.every(g => g > 0)
+                    consistentGrowth: revenueGrowth.every(g => g > 0) && profitGrowth.every(g => g > 0),
+                    revenueCagr: cagr('revenue'),
+                    revenueCagr3: cagr('revenue', 3),
+                    profitCagr: cagr('netProfit'),
+                    profitCagr3: cagr('netProfit', 3)
                 }
             };
         });
     }
 }
 
+DataLoader.PERIOD_TYPES = ['annual', 'quarterly'];
+
 // Make DataLoader available globally
 window.DataLoader = DataLoader;
\ No newline at end of file
@@ -0,0 +1,124 @@
+// ========================================
+// Dataset Cache - IndexedDB Store
+// ========================================
+
+// Keeps processed datasets and their scored companies in IndexedDB so a repeat
+// visit skips parsing and scoring:
+//   datasets:  DataLoader.snapshot() keyed by dataset content hash + validation policy
+//   analytics: MLEngine.analyzeAllWithML() output keyed by dataset hash + scoring config
+// Every key starts with APP_VERSION (js/version.js), so entries written by an
+// older release of the code are never read.
+// Only the most recent LIMIT entries of each store are kept. Where IndexedDB is
+// unavailable (or fails) every lookup misses and nothing is stored.
+class DatasetCache {
+    constructor(dbName = DatasetCache.DB_NAME) {
+        this.dbName = dbName;
+        this.db = null; // Promise of the open database
+        this.disabled = typeof indexedDB === 'undefined';
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DatasetCache.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    DatasetCache.STORES.forEach(name => {
+                        if (db.objectStoreNames.contains(name)) return;
+                        db.createObjectStore(name, { keyPath: 'key' }).createIndex('savedAt', 'savedAt');
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Runs `action(store)` in a transaction; resolves with the last request's
+    // result once the transaction completes
+    async transact(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            let result;
+            const request = action(tx.objectStore(storeName));
+            if (request) request.onsuccess = () => { result = request.result; };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async get(storeName, key) {
+        if (this.disabled) return null;
+        try {
+            const entry = await this.transact(storeName, 'readonly', store => store.get(key));
+            return entry ? entry.value : null;
+        } catch (error) {
+            console.warn(`Dataset cache read failed (${storeName}):`, error);
+            return null;
+        }
+    }
+
+    async put(storeName, key, value) {
+        if (this.disabled) return;
+        try {
+            await this.transact(storeName, 'readwrite', store => store.put({ key, savedAt: Date.now(), value }));
+            await this.prune(storeName);
+        } catch (error) {
+            console.warn(`Dataset cache write failed (${storeName}):`, error);
+        }
+    }
+
+    // Drop all but the newest LIMIT entries
+    prune(storeName) {
+        return this.transact(storeName, 'readwrite', store => {
+            const keys = [];
+            const cursor = store.index('savedAt').openKeyCursor();
+            cursor.onsuccess = () => {
+                if (cursor.result) {
+                    keys.push(cursor.result.primaryKey);
+                    cursor.result.continue();
+                    return;
+                }
+                keys.slice(0, Math.max(0, keys.length - DatasetCache.LIMIT)).forEach(key => store.delete(key));
+            };
+            return null;
+        });
+    }
+
+    static datasetKey(datasetHash, policy) {
+        return `${APP_VERSION}|${datasetHash}|${policy}`;
+    }
+
+    // Everything the scores depend on besides the data: validation policy,
+    // period view and scoring profile
+    static analyticsKey(datasetHash, config) {
+        return `${APP_VERSION}|${datasetHash}|${Utils.hashString(JSON.stringify(config))}`;
+    }
+
+    getDataset(datasetHash, policy) {
+        return this.get('datasets', DatasetCache.datasetKey(datasetHash, policy));
+    }
+
+    putDataset(datasetHash, policy, snapshot) {
+        return this.put('datasets', DatasetCache.datasetKey(datasetHash, policy), snapshot);
+    }
+
+    getAnalytics(datasetHash, config) {
+        return this.get('analytics', DatasetCache.analyticsKey(datasetHash, config));
+    }
+
+    putAnalytics(datasetHash, config, analyzed) {
+        return this.put('analytics', DatasetCache.analyticsKey(datasetHash, config), analyzed);
+    }
+}
+
+DatasetCache.DB_NAME = 'mi-cache';
+DatasetCache.DB_VERSION = 1;
+DatasetCache.STORES = ['datasets', 'analytics'];
+DatasetCache.LIMIT = 3;
+
+// Make DatasetCache available globally
+window.DatasetCache = DatasetCache;
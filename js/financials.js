@@ -3,78 +3,168 @@
 // ========================================
 
 class FinancialAnalyzer {
-    constructor(companies) {
+    constructor(companies, options = {}) {
         this.companies = companies;
+        // Per-sector scoring models (e.g. banks); see sector-models.js
+        this.sectorModels = options.sectorModels || SectorModels;
+        // Weights & thresholds; see scoring-profiles.js
+        this.profile = ScoringProfileStore.normalize(options.profile || DEFAULT_SCORING_PROFILE);
+        // Metrics and scores per company object, computed once for this analyzer's profile
+        this.cache = new WeakMap();
+    }
+
+    // First profile bucket the value falls in ({ above } or { below }), or null
+    // (a missing value falls in none)
+    matchBucket(value, buckets) {
+        if (!Utils.isValidNumber(value)) return null;
+        return buckets.find(b => ('above' in b ? value > b.above : value < b.below)) || null;
+    }
+
+    // Points for the first profile bucket the value falls in
+    bucketPoints(value, buckets) {
+        const hit = this.matchBucket(value, buckets);
+        return hit ? hit.points : 0;
+    }
+
+    // Itemized contribution for a bucketed metric, e.g. "ROE 18.2% > 15%: +15"
+    bucketContribution(name, value, buckets, unit = '%', digits = 1) {
+        const hit = this.matchBucket(value, buckets);
+        const shown = Utils.isValidNumber(value) ? `${value.toFixed(digits)}${unit}` : 'N/A';
+        if (!hit) return { label: `${name} ${shown}`, points: 0 };
+        const bound = 'above' in hit ? `> ${hit.above}${unit}` : `< ${hit.below}${unit}`;
+        return { label: `${name} ${shown} ${bound}`, points: hit.points };
+    }
+
+    // Sector-specific model for a company, or null for generic scoring
+    getSectorModel(company) {
+        return this.sectorModels ? this.sectorModels.resolve(company.sector) : null;
+    }
+
+    // Whether debt-to-equity is a meaningful risk signal for this company
+    usesDebtToEquity(company) {
+        const model = this.getSectorModel(company);
+        return !model || model.usesDebtToEquity !== false;
     }
 
     // Calculate financial metrics for a company
     calculateMetrics(company) {
+        return Utils.memo(this.cache, company, 'metrics', () => this.computeMetrics(company));
+    }
+
+    computeMetrics(company) {
         const latestYear = company.years[company.years.length - 1];
+        const hasValuation = Utils.isValidNumber(latestYear.marketCap) && latestYear.marketCap > 0;
+        // Ratios of a missing value are missing (null), not 0
+        const ratio = (a, b, scale = 1) => (Utils.isValidNumber(a) && Utils.isValidNumber(b)
+            ? Utils.safeDivide(a, b) * scale
+            : null);
         
         const metrics = {
             // Profitability
-            profitMargin: Utils.safeDivide(latestYear.netProfit, latestYear.revenue) * 100,
-            roe: Utils.safeDivide(latestYear.netProfit, latestYear.totalEquity) * 100,
+            profitMargin: ratio(latestYear.netProfit, latestYear.revenue, 100),
+            roe: ratio(latestYear.netProfit, latestYear.totalEquity, 100),
             
             // Leverage
-            debtToEquity: Utils.safeDivide(latestYear.totalDebt, latestYear.totalEquity),
+            debtToEquity: ratio(latestYear.totalDebt, latestYear.totalEquity),
             
-            // Valuation
-            priceToEquity: Utils.safeDivide(latestYear.marketCap, latestYear.totalEquity),
-            priceToSales: Utils.safeDivide(latestYear.marketCap, latestYear.revenue),
+            // Valuation (null when no market cap is available)
+            hasValuation,
+            priceToEquity: hasValuation ? ratio(latestYear.marketCap, latestYear.totalEquity) : null,
+            priceToSales: hasValuation ? ratio(latestYear.marketCap, latestYear.revenue) : null,
             
             // Raw values
             revenue: latestYear.revenue,
             netProfit: latestYear.netProfit,
             totalDebt: latestYear.totalDebt,
             totalEquity: latestYear.totalEquity,
-            marketCap: latestYear.marketCap
+            marketCap: hasValuation ? latestYear.marketCap : null
         };
 
-        return metrics;
+        const model = this.getSectorModel(company);
+        return model && model.extendMetrics ? model.extendMetrics(metrics, latestYear) : metrics;
+    }
+
+    // Metrics as of each FY (company history truncated at that year)
+    calculateMetricsByYear(company) {
+        return company.years.map((year, i) => ({
+            fy: year.fy,
+            metrics: this.calculateMetrics({ ...company, years: company.years.slice(0, i + 1) })
+        }));
+    }
+
+    // Reported quarters with QoQ growth (against the previous quarter) and YoY
+    // growth (against the same quarter a year earlier, so seasonality cancels out)
+    calculateQuarterlyGrowth(company) {
+        const quarters = company.quarters || [];
+        const byIndex = {};
+        quarters.forEach(q => { byIndex[Utils.periodIndex(q.fy)] = q; });
+
+        return quarters.map(q => {
+            const index = Utils.periodIndex(q.fy);
+            const previous = byIndex[index - 1] || null;
+            const yearAgo = byIndex[index - 4] || null;
+            const growth = (base, field) => (base ? Utils.growthRate(base[field], q[field]) : null);
+            return {
+                fy: q.fy,
+                revenue: q.revenue,
+                netProfit: q.netProfit,
+                profitMargin: Utils.safeDivide(q.netProfit, q.revenue) * 100,
+                revenueQoQ: growth(previous, 'revenue'),
+                revenueYoY: growth(yearAgo, 'revenue'),
+                profitQoQ: growth(previous, 'netProfit'),
+                profitYoY: growth(yearAgo, 'netProfit')
+            };
+        });
     }
 
     // Calculate financial health score (0-100)
     calculateHealthScore(company) {
+        return this.explainHealthScore(company).score;
+    }
+
+    // Health score with itemized contributions
+    explainHealthScore(company) {
+        return Utils.memo(this.cache, company, 'health', () => this.computeHealthScore(company));
+    }
+
+    computeHealthScore(company) {
+        const model = this.getSectorModel(company);
+        if (model && model.explainHealthScore) return model.explainHealthScore(company, this);
+        if (model && model.calculateHealthScore) {
+            const score = model.calculateHealthScore(company, this);
+            return { score, contributions: [{ label: `${model.label} model`, points: score }] };
+        }
+
         const metrics = this.calculateMetrics(company);
+        const buckets = this.profile.health;
+        const contributions = [];
         
-        let score = 0;
-        
-        // Profitability (40 points)
-        if (metrics.profitMargin > 20) score += 20;
-        else if (metrics.profitMargin > 10) score += 15;
-        else if (metrics.profitMargin > 5) score += 10;
-        else if (metrics.profitMargin > 0) score += 5;
+        // Profitability (40 points by default)
+        contributions.push(this.bucketContribution('Profit margin', metrics.profitMargin, buckets.profitMargin));
+        contributions.push(this.bucketContribution('ROE', metrics.roe, buckets.roe));
         
-        if (metrics.roe > 20) score += 20;
-        else if (metrics.roe > 15) score += 15;
-        else if (metrics.roe > 10) score += 10;
-        else if (metrics.roe > 5) score += 5;
+        // Debt management (30 points by default)
+        contributions.push(this.bucketContribution('D/E', metrics.debtToEquity, buckets.debtToEquity, '', 2));
         
-        // Debt management (30 points)
-        if (metrics.debtToEquity < 0.5) score += 30;
-        else if (metrics.debtToEquity < 1) score += 20;
-        else if (metrics.debtToEquity < 2) score += 10;
-        else if (metrics.debtToEquity < 3) score += 5;
-        
-        // Growth (30 points) - using historical data
-        if (company.years.length >= 2) {
+        // Growth (30 points by default) - latest period against a year earlier
+        const prevYear = Utils.priorYear(company.years);
+        if (prevYear) {
             const recentYear = company.years[company.years.length - 1];
-            const prevYear = company.years[company.years.length - 2];
             
             const revenueGrowth = Utils.growthRate(prevYear.revenue, recentYear.revenue);
             const profitGrowth = Utils.growthRate(prevYear.netProfit, recentYear.netProfit);
             
-            if (revenueGrowth > 20) score += 15;
-            else if (revenueGrowth > 10) score += 10;
-            else if (revenueGrowth > 5) score += 5;
-            
-            if (profitGrowth > 20) score += 15;
-            else if (profitGrowth > 10) score += 10;
-            else if (profitGrowth > 5) score += 5;
+            contributions.push(this.bucketContribution('Revenue growth', revenueGrowth, buckets.revenueGrowth));
+            contributions.push(this.bucketContribution('Profit growth', profitGrowth, buckets.profitGrowth));
+        } else {
+            contributions.push({ label: 'Growth: no year-ago period', points: 0 });
         }
         
-        return Utils.clamp(score, 0, 100);
+        const raw = contributions.reduce((sum, c) => sum + c.points, 0);
+        const score = Utils.clamp(raw, 0, 100);
+        if (score !== raw) contributions.push({ label: 'Capped at 100', points: score - raw });
+        
+        return { score, contributions };
     }
 
     // Identify undervalued stocks
@@ -84,10 +174,11 @@ class FinancialAnalyzer {
             const healthScore = this.calculateHealthScore(company);
             
             return (
+                Utils.isValidNumber(metrics.priceToEquity) && // Can't call it cheap without a price
                 healthScore > 60 && // Good fundamentals
                 metrics.priceToEquity < 3 && // Low valuation
                 metrics.profitMargin > 5 && // Profitable
-                metrics.debtToEquity < 2 // Manageable debt
+                (!this.usesDebtToEquity(company) || (Utils.isValidNumber(metrics.debtToEquity) && metrics.debtToEquity < 2)) // Manageable debt
             );
         }).map(company => ({
             ...company,
@@ -104,9 +195,9 @@ class FinancialAnalyzer {
             
             return (
                 healthScore < 40 && // Poor fundamentals
-                (metrics.priceToEquity > 5 || // High valuation
+                ((metrics.hasValuation && metrics.priceToEquity > 5) || // High valuation
                  metrics.profitMargin < 0 || // Unprofitable
-                 metrics.debtToEquity > 3) // High debt
+                 (this.usesDebtToEquity(company) && metrics.debtToEquity > 3)) // High debt
             );
         }).map(company => ({
             ...company,
@@ -150,8 +241,11 @@ class FinancialAnalyzer {
             
             // Large market cap, consistent profits, low debt
             return (
+                metrics.hasValuation &&
                 metrics.marketCap > 50000 && // Large cap (>50k Cr)
-                metrics.debtToEquity < 1 && // Low debt
+                (this.usesDebtToEquity(company)
+                    ? Utils.isValidNumber(metrics.debtToEquity) && metrics.debtToEquity < 1
+                    : this.calculateRisk(company) === 'low') && // Low debt
                 healthScore > 50 && // Decent health
                 company.years.every(y => y.netProfit > 0) // Always profitable
             );
@@ -164,36 +258,73 @@ class FinancialAnalyzer {
 
     // Calculate risk level
     calculateRisk(company) {
-        const metrics = this.calculateMetrics(company);
+        return this.explainRisk(company).level;
+    }
 
-        let riskScore = 0;
+    // Risk level with the score items that produced it
+    explainRisk(company) {
+        return Utils.memo(this.cache, company, 'risk', () => this.computeRisk(company));
+    }
+
+    computeRisk(company) {
+        const model = this.getSectorModel(company);
+        if (model && model.explainRisk) return model.explainRisk(company, this);
+        if (model && model.calculateRisk) {
+            return { level: model.calculateRisk(company, this), score: null, contributions: [] };
+        }
+
+        const metrics = this.calculateMetrics(company);
+        const contributions = [];
+        const add = (label, points) => contributions.push({ label, points });
 
     // -------------------------
-    // Debt Risk (heaviest weight)
+    // Debt Risk (heaviest weight; skipped when debt or equity is missing)
     // -------------------------
-        if (metrics.debtToEquity > 3) riskScore += 45;
-        else if (metrics.debtToEquity > 2) riskScore += 30;
-        else if (metrics.debtToEquity > 1) riskScore += 15;
+        if (Utils.isValidNumber(metrics.debtToEquity)) {
+            const de = metrics.debtToEquity.toFixed(2);
+            if (metrics.debtToEquity > 3) add(`D/E ${de} > 3`, 45);
+            else if (metrics.debtToEquity > 2) add(`D/E ${de} > 2`, 30);
+            else if (metrics.debtToEquity > 1) add(`D/E ${de} > 1`, 15);
+            else add(`D/E ${de} ≤ 1`, 0);
+        } else {
+            add('No debt/equity data: leverage not scored', 0);
+        }
 
     // -------------------------
-    // Profitability Risk
+    // Profitability Risk (skipped when revenue or profit is missing)
     // -------------------------
-        if (metrics.profitMargin < 0) riskScore += 40;
-        else if (metrics.profitMargin < 5) riskScore += 25;
-        else if (metrics.profitMargin < 10) riskScore += 10;
+        if (Utils.isValidNumber(metrics.profitMargin)) {
+            const margin = metrics.profitMargin.toFixed(1);
+            if (metrics.profitMargin < 0) add(`Margin ${margin}% < 0%`, 40);
+            else if (metrics.profitMargin < 5) add(`Margin ${margin}% < 5%`, 25);
+            else if (metrics.profitMargin < 10) add(`Margin ${margin}% < 10%`, 10);
+            else add(`Margin ${margin}% ≥ 10%`, 0);
+        } else {
+            add('No revenue/profit data: margin not scored', 0);
+        }
 
     // -------------------------
-    // Valuation Risk
+    // Valuation Risk (skipped when no market cap)
     // -------------------------
-        if (metrics.priceToEquity > 12) riskScore += 20;
-        else if (metrics.priceToEquity > 7) riskScore += 10;
+        if (Utils.isValidNumber(metrics.priceToEquity)) {
+            const pb = metrics.priceToEquity.toFixed(2);
+            if (metrics.priceToEquity > 12) add(`P/B ${pb} > 12`, 20);
+            else if (metrics.priceToEquity > 7) add(`P/B ${pb} > 7`, 10);
+            else add(`P/B ${pb} ≤ 7`, 0);
+        } else {
+            add('No market cap: valuation not scored', 0);
+        }
+
+        const score = contributions.reduce((sum, c) => sum + c.points, 0);
 
     // -------------------------
     // FINAL CALIBRATION (KEY FIX)
     // -------------------------
-        if (riskScore >= 65) return 'high';
-        if (riskScore >= 35) return 'medium';
-        return 'low';
+        let level = 'low';
+        if (score >= 65) level = 'high';
+        else if (score >= 35) level = 'medium';
+
+        return { level, score, contributions };
     }
 
 
@@ -205,14 +336,14 @@ class FinancialAnalyzer {
         // Growth companies with good health and low valuation = high potential
         let potential = healthScore;
         
-        if (metrics.priceToEquity < 2) potential += 20;
+        if (Utils.isValidNumber(metrics.priceToEquity) && metrics.priceToEquity < 2) potential += 20;
         if (metrics.profitMargin > 15) potential += 15;
-        if (metrics.debtToEquity < 0.5) potential += 10;
+        if (this.usesDebtToEquity(company) && Utils.isValidNumber(metrics.debtToEquity) && metrics.debtToEquity < 0.5) potential += 10;
         
         // Historical growth
-        if (company.years.length >= 2) {
+        const prevYear = Utils.priorYear(company.years);
+        if (prevYear) {
             const recentYear = company.years[company.years.length - 1];
-            const prevYear = company.years[company.years.length - 2];
             const growth = Utils.growthRate(prevYear.revenue, recentYear.revenue);
             
             if (growth > 20) potential += 15;
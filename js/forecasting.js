@@ -0,0 +1,226 @@
+// ========================================
+// Forecasting Engine
+// ========================================
+
+class ForecastEngine {
+    constructor(options = {}) {
+        this.horizon = options.horizon || 3;
+        // Two-sided prediction interval level
+        this.level = options.level || 0.95;
+        this.models = options.models || Object.keys(ForecastEngine.MODELS);
+    }
+
+    // z-value for the configured interval level
+    getZ() {
+        return ForecastEngine.Z_VALUES[this.level] || 1.96;
+    }
+
+    // ---------------------------------------------------------------
+    // Model fitting. Each fit returns { predict(h), sigma, space } or
+    // null when the series doesn't suit the model. sigma is the
+    // residual standard deviation of one-step fits (in log space for
+    // the log-linear model).
+    // ---------------------------------------------------------------
+
+    // Ordinary least squares on (index, value)
+    fitLinear(series) {
+        const n = series.length;
+        if (n < 3) return null;
+
+        const xs = series.map((y, i) => i);
+        const sumX = xs.reduce((a, b) => a + b, 0);
+        const sumY = series.reduce((a, b) => a + b, 0);
+        const sumXY = xs.reduce((sum, x, i) => sum + x * series[i], 0);
+        const sumX2 = xs.reduce((sum, x) => sum + x * x, 0);
+
+        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+        const intercept = (sumY - slope * sumX) / n;
+
+        const sse = series.reduce((sum, y, i) => sum + Math.pow(y - (intercept + slope * i), 2), 0);
+
+        return {
+            predict: (h) => intercept + slope * (n - 1 + h),
+            sigma: Math.sqrt(sse / Math.max(1, n - 2)),
+            space: 'linear'
+        };
+    }
+
+    // OLS on log values - constant growth rate (CAGR)
+    fitLogLinear(series) {
+        if (series.length < 3 || series.some(y => !(y > 0))) return null;
+
+        const fit = this.fitLinear(series.map(y => Math.log(y)));
+        return {
+            predict: (h) => fit.predict(h),
+            sigma: fit.sigma,
+            space: 'log'
+        };
+    }
+
+    // Holt's linear exponential smoothing (phi = 1) or damped trend (phi < 1)
+    fitSmoothing(series, phiGrid) {
+        const n = series.length;
+        if (n < 3) return null;
+
+        const grid = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+        let best = null;
+
+        grid.forEach(alpha => {
+            grid.forEach(beta => {
+                phiGrid.forEach(phi => {
+                    let level = series[0];
+                    let trend = series[1] - series[0];
+                    const errors = [];
+
+                    for (let t = 1; t < n; t++) {
+                        const oneStep = level + phi * trend;
+                        if (t >= 2) errors.push(series[t] - oneStep);
+                        const prevLevel = level;
+                        level = alpha * series[t] + (1 - alpha) * oneStep;
+                        trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+                    }
+
+                    const sse = errors.reduce((sum, e) => sum + e * e, 0);
+                    if (!best || sse < best.sse) {
+                        best = { sse, level, trend, phi, count: errors.length };
+                    }
+                });
+            });
+        });
+
+        const { level, trend, phi } = best;
+        return {
+            predict: (h) => {
+                let damping = 0;
+                for (let j = 1; j <= h; j++) damping += Math.pow(phi, j);
+                return level + damping * trend;
+            },
+            sigma: Math.sqrt(best.sse / Math.max(1, best.count - 1)),
+            space: 'linear'
+        };
+    }
+
+    fitHolt(series) {
+        return this.fitSmoothing(series, [1]);
+    }
+
+    fitDamped(series) {
+        if (series.length < 4) return null;
+        return this.fitSmoothing(series, [0.8, 0.85, 0.9, 0.95]);
+    }
+
+    fit(model, series) {
+        const method = ForecastEngine.MODELS[model] && ForecastEngine.MODELS[model].method;
+        return method ? this[method](series) : null;
+    }
+
+    // ---------------------------------------------------------------
+    // Forecasts & model selection
+    // ---------------------------------------------------------------
+
+    // Point forecasts with prediction intervals for 1..horizon steps ahead.
+    // Intervals widen with sqrt(h) - an approximation, not an exact formula.
+    project(fit, horizon = this.horizon) {
+        const z = this.getZ();
+        const points = [];
+
+        for (let h = 1; h <= horizon; h++) {
+            const center = fit.predict(h);
+            const spread = z * fit.sigma * Math.sqrt(h);
+
+            if (fit.space === 'log') {
+                points.push({ step: h, value: Math.exp(center), lower: Math.exp(center - spread), upper: Math.exp(center + spread) });
+            } else {
+                points.push({ step: h, value: center, lower: center - spread, upper: center + spread });
+            }
+        }
+
+        return points;
+    }
+
+    // Leave-last-year-out: fit on all but the last value and score the one-step
+    // forecast as absolute percentage error
+    backtest(model, series) {
+        if (series.length < 4) return null;
+
+        const actual = series[series.length - 1];
+        const fit = this.fit(model, series.slice(0, -1));
+        if (!fit || actual === 0) return null;
+
+        const predicted = this.project(fit, 1)[0].value;
+        return Math.abs((predicted - actual) / actual) * 100;
+    }
+
+    // Pick the model with the lowest backtest error (ties go to the simpler model)
+    forecast(series, options = {}) {
+        const horizon = options.horizon || this.horizon;
+        const models = options.model ? [options.model] : this.models;
+
+        const candidates = models
+            .map(model => ({
+                model,
+                label: ForecastEngine.MODELS[model].label,
+                fit: this.fit(model, series),
+                backtestError: this.backtest(model, series)
+            }))
+            .filter(c => c.fit);
+
+        if (candidates.length === 0) return null;
+
+        const ranked = [...candidates].sort((a, b) => {
+            if (a.backtestError === null && b.backtestError === null) return 0;
+            if (a.backtestError === null) return 1;
+            if (b.backtestError === null) return -1;
+            return a.backtestError - b.backtestError;
+        });
+        const chosen = ranked[0];
+
+        return {
+            model: chosen.model,
+            label: chosen.label,
+            backtestError: chosen.backtestError,
+            level: this.level,
+            candidates: candidates.map(({ model, label, backtestError }) => ({ model, label, backtestError })),
+            points: this.project(chosen.fit, horizon)
+        };
+    }
+
+    // Forecast a company field ('revenue', 'netProfit') with FY labels, or
+    // quarter labels for a TTM series; `years` is each point's distance in years
+    forecastCompany(company, field, options = {}) {
+        const years = company.years.filter(y => Utils.isValidNumber(y[field]));
+        const result = this.forecast(years.map(y => y[field]), options);
+        if (!result) return null;
+
+        const last = years[years.length - 1];
+        const lastYear = Utils.parseFiscalYear(last.fy);
+        const lastIndex = Utils.periodIndex(last.fy);
+        const perYear = Utils.periodsPerYear(years);
+        result.points.forEach(point => {
+            if (perYear > 1 && lastIndex !== null) point.fy = Utils.quarterLabel(lastIndex + point.step);
+            else point.fy = lastYear !== null ? `FY${lastYear + point.step}` : `+${point.step}`;
+            point.years = point.step / perYear;
+            if (options.nonNegative) {
+                point.value = Math.max(0, point.value);
+                point.lower = Math.max(0, point.lower);
+                point.upper = Math.max(0, point.upper);
+            }
+        });
+        result.field = field;
+
+        return result;
+    }
+}
+
+// Registered models: id -> fitting method and display label
+ForecastEngine.MODELS = {
+    linear: { method: 'fitLinear', label: 'Linear trend' },
+    logLinear: { method: 'fitLogLinear', label: 'Log-linear (CAGR)' },
+    holt: { method: 'fitHolt', label: "Holt's smoothing" },
+    damped: { method: 'fitDamped', label: 'Damped trend' }
+};
+
+ForecastEngine.Z_VALUES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+// Make ForecastEngine available globally
+window.ForecastEngine = ForecastEngine;
@@ -3,9 +3,14 @@
 // ========================================
 
 class MLEngine {
-    constructor(companies, analyzer) {
+    constructor(companies, analyzer, options = {}) {
         this.companies = companies;
         this.analyzer = analyzer;
+        this.forecaster = new ForecastEngine({ horizon: options.forecastHorizon || 3 });
+        // Scores and forecasts per company object, and the peer statistics the
+        // undervaluation features are scaled against (built on first use)
+        this.cache = new WeakMap();
+        this.peerStats = null;
     }
 
     // Normalize value to 0-1 range
@@ -16,81 +21,178 @@ class MLEngine {
 
     // Calculate undervaluation score using ML-inspired approach
     calculateUndervaluationScore(company) {
+        return this.explainUndervaluationScore(company).score;
+    }
+
+    // Peer statistics for each undervaluation feature, over the universe and per
+    // sector: { valuation, profitability, debt } of { all, bySector }. Valuation
+    // only counts companies with a market cap, leverage only companies scored on
+    // D/E (a bank's deposit-funded D/E would squash everyone else's range).
+    getPeerStats() {
+        if (this.peerStats) return this.peerStats;
+
+        const entries = this.companies.map(c => ({ company: c, metrics: this.analyzer.calculateMetrics(c) }));
+        const group = (pick, include = () => true) => {
+            const all = [];
+            const bySector = {};
+            entries.filter(include).forEach(e => {
+                const value = pick(e.metrics);
+                if (!Utils.isValidNumber(value)) return;
+                all.push(value);
+                (bySector[e.company.sector] = bySector[e.company.sector] || []).push(value);
+            });
+            Object.keys(bySector).forEach(sector => { bySector[sector] = Utils.describe(bySector[sector]); });
+            return { all: Utils.describe(all), bySector };
+        };
+
+        this.peerStats = {
+            valuation: group(m => m.priceToEquity, e => e.metrics.hasValuation),
+            profitability: group(m => m.profitMargin),
+            debt: group(m => m.debtToEquity, e => this.analyzer.usesDebtToEquity(e.company))
+        };
+        return this.peerStats;
+    }
+
+    // Scale a feature to 0-1 against its peers (a getPeerStats group). 'minmax'
+    // uses the universe's min/max; 'sectorZ' maps the z-score within the
+    // company's sector through the normal CDF, falling back to the universe for
+    // sectors under MIN_SECTOR_PEERS.
+    // Returns { value, note } (note describes the z-score basis).
+    scaleFeature(company, value, peers, invert = false) {
+        const method = this.analyzer.profile.undervaluation.normalization;
+        let scaled;
+        let note = '';
+
+        if (method === 'sectorZ') {
+            const sectorStats = peers.bySector[company.sector];
+            const useSector = Boolean(sectorStats) && sectorStats.count >= MLEngine.MIN_SECTOR_PEERS;
+            const z = Utils.standardize(value, useSector ? sectorStats : peers.all);
+            scaled = z === null ? 0.5 : Utils.normalCdf(z);
+            note = ` (z ${z === null ? 'n/a' : z.toFixed(2)} vs ${useSector ? company.sector : 'all'})`;
+        } else {
+            scaled = this.normalize(value, peers.all.min, peers.all.max);
+        }
+
+        return { value: invert ? 1 - scaled : scaled, note };
+    }
+
+    // Undervaluation score with each weighted feature's contribution
+    explainUndervaluationScore(company) {
+        return Utils.memo(this.cache, company, 'undervaluation', () => this.computeUndervaluationScore(company));
+    }
+
+    computeUndervaluationScore(company) {
         const metrics = this.analyzer.calculateMetrics(company);
-        
-        // Get all companies' metrics for normalization
-        const allMetrics = this.companies.map(c => this.analyzer.calculateMetrics(c));
-        
-        // Extract ranges
-        const peRatios = allMetrics.map(m => m.priceToEquity).filter(v => Utils.isValidNumber(v));
-        const margins = allMetrics.map(m => m.profitMargin).filter(v => Utils.isValidNumber(v));
-        const debtRatios = allMetrics.map(m => m.debtToEquity).filter(v => Utils.isValidNumber(v));
-        
-        const peMin = Math.min(...peRatios);
-        const peMax = Math.max(...peRatios);
-        const marginMin = Math.min(...margins);
-        const marginMax = Math.max(...margins);
-        const debtMin = Math.min(...debtRatios);
-        const debtMax = Math.max(...debtRatios);
-        
-        // Feature engineering
+        const peers = this.getPeerStats();
+        const has = (value) => Utils.isValidNumber(value);
+        
+        const valuation = metrics.hasValuation && has(metrics.priceToEquity)
+            ? this.scaleFeature(company, metrics.priceToEquity, peers.valuation, true)
+            : null;
+        const profitability = has(metrics.profitMargin)
+            ? this.scaleFeature(company, metrics.profitMargin, peers.profitability)
+            : null;
+        const debt = this.analyzer.usesDebtToEquity(company) && has(metrics.debtToEquity)
+            ? this.scaleFeature(company, metrics.debtToEquity, peers.debt, true)
+            : null;
+        
+        // Feature engineering (null when the inputs are missing)
         const features = {
-            // Lower PE is better (invert normalization)
-            valuationScore: 1 - this.normalize(metrics.priceToEquity, peMin, peMax),
+            // Lower PE is better (invert normalization); null without a market cap
+            valuationScore: valuation ? valuation.value : null,
             // Higher margin is better
-            profitabilityScore: this.normalize(metrics.profitMargin, marginMin, marginMax),
-            // Lower debt is better (invert normalization)
-            debtScore: 1 - this.normalize(metrics.debtToEquity, debtMin, debtMax),
+            profitabilityScore: profitability ? profitability.value : null,
+            // Lower debt is better (invert normalization); not scored for banks/NBFCs
+            debtScore: debt ? debt.value : null,
             // ROE score
-            roeScore: Utils.clamp(metrics.roe / 30, 0, 1)
+            roeScore: has(metrics.roe) ? Utils.clamp(metrics.roe / this.analyzer.profile.undervaluation.roeCap, 0, 1) : null
         };
         
-        // Weighted scoring
-        const weights = {
-            valuationScore: 0.35,
-            profitabilityScore: 0.30,
-            debtScore: 0.20,
-            roeScore: 0.15
-        };
+        // Weighted scoring (weights come from the active scoring profile)
+        const weights = this.analyzer.profile.undervaluation.weights;
         
-        let score = 0;
+        // Missing features are dropped and the remaining weights renormalized
+        let totalWeight = 0;
         Object.keys(features).forEach(key => {
-            score += features[key] * weights[key];
+            if (features[key] !== null) totalWeight += weights[key];
+        });
+        
+        const shown = (value, digits) => (has(value) ? value.toFixed(digits) : 'N/A');
+        const labels = {
+            valuationScore: valuation ? `Valuation (P/B ${metrics.priceToEquity.toFixed(2)})${valuation.note}` : `Valuation (${metrics.hasValuation ? 'P/B N/A' : 'no market cap'})`,
+            profitabilityScore: `Profitability (margin ${shown(metrics.profitMargin, 1)}%)${profitability ? profitability.note : ''}`,
+            debtScore: `Leverage (D/E ${shown(metrics.debtToEquity, 2)})${debt ? debt.note : ''}`,
+            roeScore: `ROE ${shown(metrics.roe, 1)}%`
+        };
+        
+        const contributions = Object.keys(features).map(key => {
+            if (features[key] === null) return { label: `${labels[key]}: not scored`, points: 0 };
+            const weight = Utils.safeDivide(weights[key], totalWeight);
+            return {
+                label: `${labels[key]} ${features[key].toFixed(2)} × ${weight.toFixed(2)}`,
+                points: features[key] * weight * 100
+            };
         });
         
-        return Utils.clamp(score * 100, 0, 100);
+        const raw = contributions.reduce((sum, c) => sum + c.points, 0);
+        const score = Utils.clamp(raw, 0, 100);
+        if (Math.abs(score - raw) > 1e-9) contributions.push({ label: 'Clamped to 0-100', points: score - raw });
+        
+        return { score, contributions };
     }
 
     // Calculate momentum score based on historical trends
     calculateMomentumScore(company) {
-        if (company.years.length < 3) return 50; // Neutral if insufficient data
+        return this.explainMomentumScore(company).score;
+    }
+
+    // Periods compared for momentum: consecutive FYs, or in the quarterly view
+    // each reported quarter against the same quarter a year earlier, so a
+    // seasonal quarter is never judged against a different season
+    momentumPairs(company) {
+        if (Utils.periodsPerYear(company.years) === 1) {
+            return company.years.slice(1).map((year, i) => ({ prev: company.years[i], curr: year }));
+        }
+
+        const quarters = company.quarters || [];
+        const byIndex = {};
+        quarters.forEach(q => { byIndex[Utils.periodIndex(q.fy)] = q; });
+        return quarters
+            .map(q => ({ prev: byIndex[Utils.periodIndex(q.fy) - 4], curr: q }))
+            .filter(pair => pair.prev);
+    }
+
+    // Momentum score with revenue, profit and acceleration components
+    explainMomentumScore(company) {
+        return Utils.memo(this.cache, company, 'momentum', () => this.computeMomentumScore(company));
+    }
+
+    computeMomentumScore(company) {
+        const pairs = this.momentumPairs(company);
+        const unit = Utils.periodsPerYear(company.years) === 1 ? 'years' : 'quarters YoY';
+        if (pairs.length < 2) {
+            // Neutral if insufficient data
+            const label = unit === 'years' ? 'Under 3 years of history: neutral' : 'Under 2 year-on-year quarters: neutral';
+            return { score: 50, contributions: [{ label, points: 50 }] };
+        }
         
-        const years = company.years;
         let score = 50; // Start neutral
         
+        // Pairs with a missing value on either side are skipped for that field
+        const comparable = (field) => pairs.filter(p => Utils.isValidNumber(p.prev[field]) && Utils.isValidNumber(p.curr[field]));
+        const revenuePairs = comparable('revenue');
+        const profitPairs = comparable('netProfit');
+        
         // Revenue momentum
-        let revenueIncreasing = 0;
-        for (let i = 1; i < years.length; i++) {
-            if (years[i].revenue > years[i - 1].revenue) {
-                revenueIncreasing++;
-            }
-        }
-        const revenueMomentum = revenueIncreasing / (years.length - 1);
+        const revenueIncreasing = revenuePairs.filter(p => p.curr.revenue > p.prev.revenue).length;
+        const revenueMomentum = Utils.safeDivide(revenueIncreasing, revenuePairs.length);
         
         // Profit momentum
-        let profitIncreasing = 0;
-        for (let i = 1; i < years.length; i++) {
-            if (years[i].netProfit > years[i - 1].netProfit) {
-                profitIncreasing++;
-            }
-        }
-        const profitMomentum = profitIncreasing / (years.length - 1);
+        const profitIncreasing = profitPairs.filter(p => p.curr.netProfit > p.prev.netProfit).length;
+        const profitMomentum = Utils.safeDivide(profitIncreasing, profitPairs.length);
         
         // Calculate acceleration (are growth rates increasing?)
-        const revenueGrowthRates = [];
-        for (let i = 1; i < years.length; i++) {
-            revenueGrowthRates.push(Utils.growthRate(years[i - 1].revenue, years[i].revenue));
-        }
+        const revenueGrowthRates = revenuePairs.map(p => Utils.growthRate(p.prev.revenue, p.curr.revenue));
         
         let acceleration = 0;
         if (revenueGrowthRates.length >= 2) {
@@ -105,80 +207,127 @@ class MLEngine {
         // Weighted momentum score
         score = (revenueMomentum * 40) + (profitMomentum * 40) + (acceleration * 20);
         
-        return Utils.clamp(score * 100, 0, 100);
+        const accelerating = Math.round(acceleration * Math.max(0, revenueGrowthRates.length - 1));
+        const contributions = [
+            { label: `Revenue up ${revenueIncreasing}/${revenuePairs.length} ${unit}`, points: revenueMomentum * 40 },
+            { label: `Profit up ${profitIncreasing}/${profitPairs.length} ${unit}`, points: profitMomentum * 40 },
+            { label: `Growth accelerated ${accelerating}/${Math.max(0, revenueGrowthRates.length - 1)} times`, points: acceleration * 20 }
+        ];
+        
+        return { score: Utils.clamp(score, 0, 100), contributions };
     }
 
-    // Predict 2026 revenue using simple linear regression
-    predict2026Revenue(company) {
+    // Forecast revenue for the configured horizon (model picked by backtest);
+    // a TTM series steps a quarter at a time, so it gets four steps per year
+    forecastRevenue(company) {
         if (company.years.length < 3) return null;
-        
-        const years = company.years.map((y, i) => i); // 0, 1, 2, 3, 4
-        const revenues = company.years.map(y => y.revenue);
-        
-        // Calculate linear regression
-        const n = years.length;
-        const sumX = years.reduce((a, b) => a + b, 0);
-        const sumY = revenues.reduce((a, b) => a + b, 0);
-        const sumXY = years.reduce((sum, x, i) => sum + x * revenues[i], 0);
-        const sumX2 = years.reduce((sum, x) => sum + x * x, 0);
-        
-        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-        const intercept = (sumY - slope * sumX) / n;
-        
-        // Predict for next year (years.length index)
-        const predictedRevenue = slope * years.length + intercept;
-        
-        return Math.max(0, predictedRevenue); // No negative predictions
+        const horizon = this.forecaster.horizon * Utils.periodsPerYear(company.years);
+        return Utils.memo(this.cache, company, 'revenueForecast',
+            () => this.forecaster.forecastCompany(company, 'revenue', { nonNegative: true, horizon }));
     }
 
-    // Predict 2026 profit
-    predict2026Profit(company) {
+    // Forecast net profit (can be negative)
+    forecastProfit(company) {
         if (company.years.length < 3) return null;
-        
-        const years = company.years.map((y, i) => i);
-        const profits = company.years.map(y => y.netProfit);
-        
-        const n = years.length;
-        const sumX = years.reduce((a, b) => a + b, 0);
-        const sumY = profits.reduce((a, b) => a + b, 0);
-        const sumXY = years.reduce((sum, x, i) => sum + x * profits[i], 0);
-        const sumX2 = years.reduce((sum, x) => sum + x * x, 0);
-        
-        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-        const intercept = (sumY - slope * sumX) / n;
-        
-        const predictedProfit = slope * years.length + intercept;
-        
-        return predictedProfit; // Can be negative
+        const horizon = this.forecaster.horizon * Utils.periodsPerYear(company.years);
+        return Utils.memo(this.cache, company, 'profitForecast',
+            () => this.forecaster.forecastCompany(company, 'netProfit', { horizon }));
+    }
+
+    // Point forecast for a target fiscal year (a TTM point ending in Q4 covers
+    // the FY). If the data already reaches that year the first forecast step is
+    // used; beyond the horizon gives null.
+    valueForYear(forecast, targetYear) {
+        if (!forecast || forecast.points.length === 0) return null;
+        const target = Utils.periodIndex(`FY${targetYear}`);
+        const point = forecast.points.find(p => Utils.periodIndex(p.fy) === target);
+        if (point) return point.value;
+        const first = Utils.periodIndex(forecast.points[0].fy);
+        return first !== null && first > target ? forecast.points[0].value : null;
+    }
+
+    // Predict FY2026 revenue: the forecast's FY2026 point, so two years out
+    // when the data ends at FY2024
+    predict2026Revenue(company) {
+        return this.valueForYear(this.forecastRevenue(company), 2026);
+    }
+
+    // Predict FY2026 profit
+    predict2026Profit(company) {
+        return this.valueForYear(this.forecastProfit(company), 2026);
     }
 
-    // Classify company into investment category
+    // Classify company into investment category.
+    // Returns the category plus a readable reason and every rule evaluated on the way.
     classifyCompany(company) {
+        return Utils.memo(this.cache, company, 'classification', () => this.computeClassification(company));
+    }
+
+    computeClassification(company) {
         const healthScore = this.analyzer.calculateHealthScore(company);
         const undervalScore = this.calculateUndervaluationScore(company);
         const momentum = this.calculateMomentumScore(company);
         const risk = this.analyzer.calculateRisk(company);
         const metrics = this.analyzer.calculateMetrics(company);
         
-        // Decision tree logic
-        if (undervalScore > 70 && healthScore > 60) {
-            return { category: 'undervalued', confidence: 0.9 };
-        }
-        
-        if (healthScore < 40 && (metrics.debtToEquity > 3 || metrics.profitMargin < 0)) {
-            return { category: 'overvalued', confidence: 0.85 };
-        }
-        
-        if (momentum > 75 && healthScore > 50) {
-            return { category: 'growth', confidence: 0.8 };
-        }
+        const cutoffs = this.analyzer.profile.classification;
+        const fmt = (n) => Number(n).toFixed(0);
+        const checks = [];
+        
+        // Each rule records its conditions so the decision can be explained
+        const evaluate = (category, confidence, conditions) => {
+            const passed = conditions.every(c => c.passed);
+            checks.push({ category, passed, conditions });
+            if (!passed) return null;
+            const reason = `classified '${category}' because ${conditions.map(c => c.text).join(' and ')}`;
+            return { category, confidence, reason, checks };
+        };
         
-        if (risk === 'low' && metrics.marketCap > 50000 && healthScore > 50) {
-            return { category: 'stable', confidence: 0.85 };
-        }
+        // Decision tree logic
+        const undervalued = evaluate('undervalued', 0.9, [
+            { text: 'market cap is available', passed: metrics.hasValuation },
+            { text: `undervaluation ${fmt(undervalScore)} > ${cutoffs.undervalued.minScore}`, passed: undervalScore > cutoffs.undervalued.minScore },
+            { text: `health ${fmt(healthScore)} > ${cutoffs.undervalued.minHealth}`, passed: healthScore > cutoffs.undervalued.minHealth }
+        ]);
+        if (undervalued) return undervalued;
+        
+        const highDebt = this.analyzer.usesDebtToEquity(company) && metrics.debtToEquity > cutoffs.overvalued.minDebtToEquity;
+        const overvalued = evaluate('overvalued', 0.85, [
+            { text: `health ${fmt(healthScore)} < ${cutoffs.overvalued.maxHealth}`, passed: healthScore < cutoffs.overvalued.maxHealth },
+            {
+                text: highDebt
+                    ? `D/E ${metrics.debtToEquity.toFixed(2)} > ${cutoffs.overvalued.minDebtToEquity}`
+                    : `margin ${Utils.isValidNumber(metrics.profitMargin) ? metrics.profitMargin.toFixed(1) : 'N/A'}% < 0%`,
+                passed: highDebt || metrics.profitMargin < 0
+            }
+        ]);
+        if (overvalued) return overvalued;
+        
+        const growth = evaluate('growth', 0.8, [
+            { text: `momentum ${fmt(momentum)} > ${cutoffs.growth.minMomentum}`, passed: momentum > cutoffs.growth.minMomentum },
+            { text: `health ${fmt(healthScore)} > ${cutoffs.growth.minHealth}`, passed: healthScore > cutoffs.growth.minHealth }
+        ]);
+        if (growth) return growth;
+        
+        const stable = evaluate('stable', 0.85, [
+            { text: `risk is ${risk}`, passed: risk === 'low' },
+            { text: `market cap ${Utils.formatCurrency(metrics.marketCap)} > ${Utils.formatCurrency(cutoffs.stable.minMarketCap)}`, passed: metrics.marketCap > cutoffs.stable.minMarketCap },
+            { text: `health ${fmt(healthScore)} > ${cutoffs.stable.minHealth}`, passed: healthScore > cutoffs.stable.minHealth }
+        ]);
+        if (stable) return stable;
         
         // Default to neutral
-        return { category: 'neutral', confidence: 0.5 };
+        return { category: 'neutral', confidence: 0.5, reason: "classified 'neutral' because no category rule matched", checks };
+    }
+
+    // Itemized breakdowns for every score (health, risk, undervaluation, momentum)
+    explainScores(company) {
+        return {
+            health: this.analyzer.explainHealthScore(company),
+            risk: this.analyzer.explainRisk(company),
+            undervaluation: this.explainUndervaluationScore(company),
+            momentum: this.explainMomentumScore(company)
+        };
     }
 
     // Generate ML-powered insights
@@ -188,8 +337,11 @@ class MLEngine {
         const momentum = this.calculateMomentumScore(company);
         const metrics = this.analyzer.calculateMetrics(company);
         const classification = this.classifyCompany(company);
-        const predicted2026Revenue = this.predict2026Revenue(company);
-        const predicted2026Profit = this.predict2026Profit(company);
+        const explanations = this.explainScores(company);
+        const revenueForecast = this.forecastRevenue(company);
+        const profitForecast = this.forecastProfit(company);
+        const predicted2026Revenue = this.valueForYear(revenueForecast, 2026);
+        const predicted2026Profit = this.valueForYear(profitForecast, 2026);
         
         const insights = [];
         
@@ -201,7 +353,9 @@ class MLEngine {
         }
         
         // Valuation insights
-        if (undervalScore > 70) {
+        if (!metrics.hasValuation) {
+            insights.push({ type: 'warning', text: 'No market-cap data - valuation metrics unavailable' });
+        } else if (undervalScore > 70) {
             insights.push({ type: 'positive', text: 'Potentially undervalued with good upside' });
         } else if (metrics.priceToEquity > 8) {
             insights.push({ type: 'warning', text: 'High valuation - may be overpriced' });
@@ -214,10 +368,16 @@ class MLEngine {
             insights.push({ type: 'negative', text: 'Declining momentum - growth slowing' });
         }
         
-        // Debt insights
-        if (metrics.debtToEquity > 3) {
+        // Debt insights (banks/NBFCs are judged on capital and asset quality instead)
+        if (!this.analyzer.usesDebtToEquity(company)) {
+            if (metrics.gnpa !== null && metrics.gnpa > 5) {
+                insights.push({ type: 'negative', text: 'Elevated gross NPAs weigh on asset quality' });
+            } else if (metrics.equityToAssets !== null && metrics.equityToAssets < 6) {
+                insights.push({ type: 'warning', text: 'Thin capital buffer relative to assets' });
+            }
+        } else if (metrics.debtToEquity > 3) {
             insights.push({ type: 'negative', text: 'High debt levels pose risk' });
-        } else if (metrics.debtToEquity < 0.5) {
+        } else if (Utils.isValidNumber(metrics.debtToEquity) && metrics.debtToEquity < 0.5) {
             insights.push({ type: 'positive', text: 'Low debt provides financial flexibility' });
         }
         
@@ -231,20 +391,27 @@ class MLEngine {
         return {
             healthScore,
             undervalScore,
+            hasValuation: metrics.hasValuation,
             momentum,
             classification,
             predicted2026Revenue,
             predicted2026Profit,
+            revenueForecast,
+            profitForecast,
+            explanations,
             insights
         };
     }
 
-    // Analyze all companies with ML
-    analyzeAllWithML() {
-        return this.companies.map(company => ({
-            ...company,
-            ml: this.generateInsights(company)
-        }));
+    // Analyze all companies with ML; onProgress(done, total) is called every
+    // PROGRESS_EVERY companies and at the end
+    analyzeAllWithML(onProgress = null) {
+        const total = this.companies.length;
+        return this.companies.map((company, i) => {
+            const analyzed = { ...company, ml: this.generateInsights(company) };
+            if (onProgress && ((i + 1) % MLEngine.PROGRESS_EVERY === 0 || i + 1 === total)) onProgress(i + 1, total);
+            return analyzed;
+        });
     }
 
     // Get sector predictions for 2026
@@ -270,5 +437,10 @@ class MLEngine {
     }
 }
 
+// Smallest sector used as its own peer group for sector z-scores
+MLEngine.MIN_SECTOR_PEERS = 3;
+
+MLEngine.PROGRESS_EVERY = 50;
+
 // Make MLEngine available globally
 window.MLEngine = MLEngine;
\ No newline at end of file
@@ -0,0 +1,150 @@
+// ========================================
+// Sector Outlook - Narratives From the Data
+// ========================================
+
+// Builds each sector's 2026 outlook from computed numbers (MLEngine sector
+// scores, aggregate growth, FY2026 revenue forecasts and category counts) and
+// merges in the editorial macro notes from data/macro_drivers.json:
+//   { notes: [{ title, icon, sectors: [...], text, date, source }] }
+// A note with no sectors is a general driver shown on its own.
+class OutlookGenerator {
+    constructor(analyzedCompanies, mlEngine, analyzer, notes = []) {
+        this.companies = analyzedCompanies;
+        this.mlEngine = mlEngine;
+        this.analyzer = analyzer;
+        this.notes = notes;
+    }
+
+    static normalizeNote(note) {
+        const source = note || {};
+        const text = (value) => String(value || '').trim();
+        return {
+            title: text(source.title) || 'Untitled',
+            icon: text(source.icon) || '📰',
+            sectors: Array.isArray(source.sectors) ? source.sectors.map(text).filter(Boolean) : [],
+            text: text(source.text),
+            date: text(source.date) || null,
+            source: text(source.source) || null
+        };
+    }
+
+    // Notes file as an array of normalized notes (empty notes dropped)
+    static async loadNotes(filePath) {
+        const response = await fetch(filePath);
+        if (!response.ok) throw new Error(`HTTP ${response.status} loading ${filePath}`);
+        const data = await response.json();
+        const notes = Array.isArray(data) ? data : (data && data.notes) || [];
+        return notes.map(n => OutlookGenerator.normalizeNote(n)).filter(n => n.text);
+    }
+
+    notesFor(sector) {
+        return this.notes.filter(n => n.sectors.includes(sector));
+    }
+
+    static stance(score) {
+        return OutlookGenerator.STANCES.find(s => score >= s.minScore);
+    }
+
+    // One outlook per sector, best score first
+    generate() {
+        const predictions = this.mlEngine.getSectorPredictions();
+        return predictions.map((prediction, i) => this.build(prediction, i + 1, predictions.length));
+    }
+
+    forSector(sector) {
+        return this.generate().find(o => o.sector === sector) || null;
+    }
+
+    build(prediction, rank, sectorCount) {
+        const { sector, score, momentum, health } = prediction;
+        const sectorAnalysis = new SectorAnalyzer(this.companies, this.analyzer);
+        const companies = sectorAnalysis.constituents(sector);
+        const totals = sectorAnalysis.totals(sector);
+
+        const categories = {};
+        companies.forEach(c => {
+            const category = c.ml.classification.category;
+            categories[category] = (categories[category] || 0) + 1;
+        });
+
+        const outlook = {
+            sector,
+            rank,
+            sectorCount,
+            score,
+            momentum,
+            health,
+            stance: OutlookGenerator.stance(score),
+            companyCount: companies.length,
+            categories,
+            growth: {
+                from: totals.length > 0 ? totals[0].fy : null,
+                to: totals.length > 0 ? totals[totals.length - 1].fy : null,
+                revenueCagr: sectorAnalysis.cagr(totals, 'revenue'),
+                profitCagr: sectorAnalysis.cagr(totals, 'netProfit')
+            },
+            forecast: this.forecast(companies),
+            notes: this.notesFor(sector)
+        };
+        outlook.narrative = OutlookGenerator.narrate(outlook);
+        return outlook;
+    }
+
+    // Plain-language sentences, one per computed fact
+    static narrate(outlook) {
+        const sentences = [];
+        const signed = (value) => `${value >= 0 ? '+' : ''}${Utils.formatPercent(value)}`;
+
+        sentences.push(`Ranks ${Utils.ordinal(outlook.rank)} of ${outlook.sectorCount} sectors with an outlook score of ${outlook.score.toFixed(0)} ` +
+            `(momentum ${outlook.momentum.toFixed(0)}, health ${outlook.health.toFixed(0)}).`);
+
+        const { growth } = outlook;
+        if (growth.revenueCagr !== null) {
+            const profit = growth.profitCagr !== null ? ` and net profit ${signed(growth.profitCagr)}` : '';
+            sentences.push(`Aggregate revenue grew ${signed(growth.revenueCagr)} a year${profit} over ${growth.from}-${growth.to}.`);
+        }
+
+        const { forecast } = outlook;
+        if (forecast && forecast.growth !== null) {
+            const coverage = forecast.covered < outlook.companyCount ? ` (${forecast.covered} of ${outlook.companyCount} companies forecast)` : '';
+            sentences.push(`${forecast.fy} revenue is forecast at ${Utils.formatCurrency(forecast.revenue)}, ${signed(forecast.growth)} on the latest reported year${coverage}.`);
+        }
+
+        const counts = Object.entries(outlook.categories)
+            .sort((a, b) => b[1] - a[1])
+            .map(([category, count]) => `${count} ${category}`);
+        if (counts.length > 0) {
+            const list = counts.length > 1 ? `${counts.slice(0, -1).join(', ')} and ${counts[counts.length - 1]}` : counts[0];
+            sentences.push(`Of ${outlook.companyCount} ${outlook.companyCount === 1 ? 'company' : 'companies'}: ${list}.`);
+        }
+
+        return sentences;
+    }
+
+    // Summed FY2026 revenue forecast against the same companies' latest revenue
+    forecast(companies) {
+        const covered = companies.filter(c => Utils.isValidNumber(c.ml.predicted2026Revenue) &&
+            Utils.isValidNumber(c.years[c.years.length - 1].revenue));
+        if (covered.length === 0) return null;
+        const revenue = covered.reduce((sum, c) => sum + c.ml.predicted2026Revenue, 0);
+        const latest = covered.reduce((sum, c) => sum + c.years[c.years.length - 1].revenue, 0);
+        return {
+            fy: `FY${OutlookGenerator.TARGET_YEAR}`,
+            revenue,
+            growth: latest > 0 ? ((revenue - latest) / latest) * 100 : null,
+            covered: covered.length
+        };
+    }
+}
+
+OutlookGenerator.TARGET_YEAR = 2026;
+
+// Outlook score (0.6 x momentum + 0.4 x health) bands, checked in order
+OutlookGenerator.STANCES = [
+    { minScore: 60, label: 'Positive', tone: 'up' },
+    { minScore: 45, label: 'Neutral', tone: '' },
+    { minScore: -Infinity, label: 'Cautious', tone: 'down' }
+];
+
+// Make OutlookGenerator available globally
+window.OutlookGenerator = OutlookGenerator;
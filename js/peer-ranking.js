@@ -0,0 +1,68 @@
+// ========================================
+// Peer Ranking - Sector & Universe Percentiles
+// ========================================
+
+// Percentiles for every numeric screener field (metrics, bank ratios, scores,
+// growth), within the company's sector and within the whole universe.
+// A percentile is the value's position among peers that have the field, so
+// for D/E or GNPA a high percentile means more debt / worse asset quality.
+class PeerRanking {
+    constructor(companies, analyzer, dataLoader) {
+        this.rows = Screener.buildRows(companies, analyzer, dataLoader);
+        this.fields = Screener.FIELDS.filter(f => f.type !== 'enum');
+    }
+
+    getRow(ticker) {
+        return this.rows.find(r => r.company.ticker === ticker) || null;
+    }
+
+    // Non-null values of a field across rows
+    collect(field, rows) {
+        return rows
+            .map(r => Screener.valueOf(r, field))
+            .filter(v => Utils.isValidNumber(v));
+    }
+
+    // { percentile, count } of the row's value among rows, or null when the
+    // value is missing or there is no one to compare against
+    rankWithin(row, field, rows) {
+        const value = Screener.valueOf(row, field);
+        if (!Utils.isValidNumber(value)) return null;
+
+        const values = this.collect(field, rows);
+        if (values.length < 2) return null;
+
+        return { percentile: Utils.percentileRank(value, values), count: values.length };
+    }
+
+    // Sector and universe ranking of one field for a company
+    rank(ticker, fieldId) {
+        const row = this.getRow(ticker);
+        const field = Screener.getField(fieldId);
+        if (!row || !field) return null;
+
+        const sectorRows = this.rows.filter(r => r.company.sector === row.company.sector);
+        return {
+            field,
+            value: Screener.valueOf(row, field),
+            sector: this.rankWithin(row, field, sectorRows),
+            universe: this.rankWithin(row, field, this.rows)
+        };
+    }
+
+    // Rankings for every field the company has a value for
+    rankCompany(ticker) {
+        return this.fields
+            .map(field => this.rank(ticker, field.id))
+            .filter(r => r && Utils.isValidNumber(r.value));
+    }
+
+    // "78th percentile in IT/Technology"
+    static describe(ranking, scopeLabel) {
+        if (!ranking) return 'N/A';
+        return `${Utils.ordinal(Math.round(ranking.percentile))} percentile ${scopeLabel}`;
+    }
+}
+
+// Make PeerRanking available globally
+window.PeerRanking = PeerRanking;
@@ -0,0 +1,282 @@
+// ========================================
+// Portfolio Builder Panel
+// ========================================
+
+class PortfolioPanel {
+    constructor(app) {
+        this.app = app;
+        this.store = new PortfolioStore();
+        this.currentName = null;
+    }
+
+    setup() {
+        const select = document.getElementById('portfolioSelect');
+        if (select) {
+            select.addEventListener('change', (e) => {
+                this.currentName = e.target.value;
+                this.render();
+            });
+        }
+
+        const newBtn = document.getElementById('portfolioNew');
+        if (newBtn) newBtn.addEventListener('click', () => this.createPortfolio());
+
+        const deleteBtn = document.getElementById('portfolioDelete');
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deletePortfolio());
+
+        const basisSelect = document.getElementById('portfolioBasis');
+        if (basisSelect) {
+            basisSelect.addEventListener('change', (e) => this.update(p => { p.basis = e.target.value; }));
+        }
+
+        const jsonBtn = document.getElementById('portfolioExportJson');
+        if (jsonBtn) jsonBtn.addEventListener('click', () => this.exportPortfolios('json'));
+
+        const csvBtn = document.getElementById('portfolioExportCsv');
+        if (csvBtn) csvBtn.addEventListener('click', () => this.exportPortfolios('csv'));
+
+        const importInput = document.getElementById('portfolioImportInput');
+        const importBtn = document.getElementById('portfolioImport');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.importFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        // Holding edits (delegated - rows are re-rendered)
+        const holdings = document.getElementById('portfolioHoldings');
+        if (holdings) {
+            holdings.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                const value = parseFloat(e.target.value);
+                if (isNaN(index) || !Utils.isValidNumber(value)) return;
+                this.update(p => { p.holdings[index].value = value; });
+            });
+            holdings.addEventListener('click', (e) => {
+                if (e.target.dataset.remove !== undefined) {
+                    const index = parseInt(e.target.dataset.remove);
+                    this.update(p => { p.holdings.splice(index, 1); });
+                }
+                if (e.target.id === 'holdingAdd') this.addHolding();
+            });
+        }
+    }
+
+    getCurrent() {
+        return this.currentName ? this.store.get(this.currentName) : null;
+    }
+
+    // Apply a change to the current portfolio, persist it and re-render
+    update(change) {
+        const portfolio = this.getCurrent();
+        if (!portfolio) return;
+        change(portfolio);
+        this.store.save(portfolio);
+        this.render();
+    }
+
+    createPortfolio() {
+        const input = document.getElementById('portfolioName');
+        const name = input ? input.value.trim() : '';
+        if (!name) {
+            Utils.notify('Enter a name for the new portfolio', 'error');
+            return;
+        }
+        if (this.store.get(name)) {
+            Utils.notify(`A portfolio named "${name}" already exists`, 'error');
+            return;
+        }
+
+        this.store.save({ name, basis: 'weight', holdings: [] });
+        this.currentName = name;
+        input.value = '';
+        this.render();
+    }
+
+    deletePortfolio() {
+        if (!this.currentName) return;
+        const name = this.currentName;
+        this.store.remove(name);
+        this.currentName = null;
+        this.render();
+        Utils.notify(`Deleted portfolio "${name}"`, 'success');
+    }
+
+    addHolding() {
+        const tickerSelect = document.getElementById('holdingTicker');
+        const valueInput = document.getElementById('holdingValue');
+        const value = valueInput ? parseFloat(valueInput.value) : NaN;
+        if (!tickerSelect || !tickerSelect.value || !(value > 0)) {
+            Utils.notify('Pick a company and enter a positive value', 'error');
+            return;
+        }
+        // normalize() merges a ticker that is already held
+        this.update(p => { p.holdings.push({ ticker: tickerSelect.value, value }); });
+    }
+
+    exportPortfolios(format) {
+        const portfolios = this.store.list();
+        if (portfolios.length === 0) {
+            Utils.notify('No portfolios to export', 'error');
+            return;
+        }
+
+        if (format === 'csv') {
+            Utils.downloadFile(PortfolioStore.toCSV(portfolios), 'portfolios.csv', 'text/csv');
+        } else {
+            Utils.downloadFile(PortfolioStore.toJSON(portfolios), 'portfolios.json', 'application/json');
+        }
+    }
+
+    importFile(file) {
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        const done = (portfolios) => {
+            if (portfolios.length === 0) {
+                Utils.notify(`No holdings found in ${file.name}`, 'error');
+                return;
+            }
+            portfolios.forEach(p => this.store.save(p));
+            this.currentName = portfolios[0].name;
+            this.render();
+            Utils.notify(`Imported ${portfolios.length} portfolio${portfolios.length === 1 ? '' : 's'} from ${file.name}`, 'success');
+        };
+        const fail = (error) => {
+            console.error('Portfolio import error:', error);
+            Utils.notify(`Could not read ${file.name}`, 'error');
+        };
+
+        if (/\.json$/i.test(file.name)) {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    done(PortfolioStore.fromJSON(e.target.result));
+                } catch (error) {
+                    fail(error);
+                }
+            };
+            reader.onerror = () => fail(reader.error);
+            reader.readAsText(file);
+            return;
+        }
+
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            complete: (results) => done(PortfolioStore.fromCSV(results.data, baseName)),
+            error: fail
+        });
+    }
+
+    render() {
+        const portfolios = this.store.list();
+        if (!portfolios.some(p => p.name === this.currentName)) {
+            this.currentName = portfolios.length > 0 ? portfolios[0].name : null;
+        }
+
+        const select = document.getElementById('portfolioSelect');
+        if (select) {
+            select.innerHTML = portfolios.length > 0
+                ? portfolios.map(p => `<option value="${Utils.escapeHtml(p.name)}" ${p.name === this.currentName ? 'selected' : ''}>${Utils.escapeHtml(p.name)}</option>`).join('')
+                : '<option value="">No portfolios yet</option>';
+        }
+
+        const portfolio = this.getCurrent();
+        const body = document.getElementById('portfolioBody');
+        const empty = document.getElementById('portfolioEmpty');
+        if (body) body.style.display = portfolio ? 'block' : 'none';
+        if (empty) empty.style.display = portfolio ? 'none' : 'block';
+
+        const deleteBtn = document.getElementById('portfolioDelete');
+        if (deleteBtn) deleteBtn.disabled = !portfolio;
+        if (!portfolio) return;
+
+        const basisSelect = document.getElementById('portfolioBasis');
+        if (basisSelect) basisSelect.value = portfolio.basis;
+
+        const analysis = new PortfolioAnalyzer(this.app.allAnalyzedData, this.app.analyzer).analyze(portfolio);
+        this.renderHoldings(portfolio, analysis);
+        this.renderSummary(analysis);
+        this.app.chartManager.createPortfolioSectorChart('portfolioSectorChart', analysis.sectors);
+    }
+
+    renderHoldings(portfolio, analysis) {
+        const container = document.getElementById('portfolioHoldings');
+        if (!container) return;
+
+        const byTicker = {};
+        analysis.positions.forEach(p => { byTicker[p.ticker] = p; });
+        const companies = [...this.app.allAnalyzedData].sort((a, b) => a.company.localeCompare(b.company));
+        const valueLabel = portfolio.basis === 'amount' ? 'Amount (₹)' : 'Weight';
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Company</th><th>${valueLabel}</th><th>Share</th><th>Health</th><th>Risk</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${portfolio.holdings.map((holding, i) => {
+                        const position = byTicker[holding.ticker];
+                        return `
+                            <tr>
+                                <td>${Utils.escapeHtml(position ? position.company : holding.ticker)} <span style="color: var(--text-muted);">${position ? Utils.escapeHtml(holding.ticker) : 'not in dataset'}</span></td>
+                                <td><input type="number" class="profile-input" data-index="${i}" value="${holding.value}" min="0" step="any"></td>
+                                <td>${position ? Utils.formatPercent(position.weight * 100) : 'N/A'}</td>
+                                <td>${position ? position.healthScore.toFixed(0) : 'N/A'}</td>
+                                <td>${position ? `<span class="risk-tag ${position.risk}">${position.risk.toUpperCase()}</span>` : 'N/A'}</td>
+                                <td><button class="action-btn secondary" data-remove="${i}">Remove</button></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    <tr>
+                        <td>
+                            <select id="holdingTicker" class="filter-select">
+                                ${companies.map(c => `<option value="${Utils.escapeHtml(c.ticker)}">${Utils.escapeHtml(c.company)} (${Utils.escapeHtml(c.ticker)})</option>`).join('')}
+                            </select>
+                        </td>
+                        <td><input type="number" id="holdingValue" class="profile-input" min="0" step="any" placeholder="${valueLabel}"></td>
+                        <td colspan="4"><button class="action-btn" id="holdingAdd">Add Holding</button></td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderSummary(analysis) {
+        const container = document.getElementById('portfolioSummary');
+        if (!container) return;
+
+        const fmt = (value, format) => (value === null ? 'N/A' : format(value));
+        const stat = (label, value) => `
+            <div class="health-stat">
+                <div class="health-stat-value">${value}</div>
+                <div class="health-stat-label">${label}</div>
+            </div>
+        `;
+        const risk = analysis.riskMix;
+
+        container.innerHTML = `
+            <div class="health-summary">
+                ${stat('Health Score', fmt(analysis.healthScore, v => v.toFixed(0)))}
+                ${stat('Momentum', fmt(analysis.momentum, v => v.toFixed(0)))}
+                ${stat('Profit Margin', fmt(analysis.profitMargin, Utils.formatPercent))}
+                ${stat('Forecast Revenue Growth', fmt(analysis.revenueGrowth, Utils.formatPercent))}
+                ${stat('Sector Concentration (HHI)', analysis.positions.length > 0 ? analysis.concentration.toFixed(2) : 'N/A')}
+            </div>
+            <h4 class="profile-heading">Risk Mix</h4>
+            <div class="risk-mix">
+                ${['low', 'medium', 'high'].map(level => `
+                    <div class="risk-mix-bar ${level}" style="width: ${(risk[level] * 100).toFixed(1)}%;" title="${level} risk"></div>
+                `).join('')}
+            </div>
+            <p style="color: var(--text-muted); margin-top: 0.5rem;">
+                Low ${Utils.formatPercent(risk.low * 100)} · Medium ${Utils.formatPercent(risk.medium * 100)} · High ${Utils.formatPercent(risk.high * 100)}
+            </p>
+            ${analysis.missing.length > 0 ? `<p style="color: var(--warning); margin-top: 0.5rem;">Not in the current dataset (excluded): ${analysis.missing.map(Utils.escapeHtml).join(', ')}</p>` : ''}
+        `;
+    }
+}
+
+// Make PortfolioPanel available globally
+window.PortfolioPanel = PortfolioPanel;
@@ -0,0 +1,223 @@
+// ========================================
+// Portfolios - Storage, Import/Export & Aggregates
+// ========================================
+
+// A portfolio is plain JSON: { name, basis, holdings: [{ ticker, value }] }.
+// basis 'weight' treats values as relative weights (they need not sum to 100),
+// basis 'amount' as rupee amounts held; both are normalized to weights.
+class PortfolioStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.portfolios';
+    }
+
+    // Clean up a saved/imported portfolio: trim tickers, merge duplicates, drop non-positive values
+    static normalize(portfolio) {
+        const source = portfolio || {};
+        const values = {};
+        (Array.isArray(source.holdings) ? source.holdings : []).forEach(holding => {
+            const ticker = String((holding && holding.ticker) || '').trim().toUpperCase();
+            const value = Utils.toNumber(holding && holding.value);
+            if (!ticker || value === null || value <= 0) return;
+            values[ticker] = (values[ticker] || 0) + value;
+        });
+
+        return {
+            name: String(source.name || '').trim() || 'Untitled',
+            basis: PortfolioStore.BASES.includes(source.basis) ? source.basis : 'weight',
+            holdings: Object.keys(values).map(ticker => ({ ticker, value: values[ticker] }))
+        };
+    }
+
+    getSaved() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    list() {
+        return Object.values(this.getSaved())
+            .map(p => PortfolioStore.normalize(p))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.list().find(p => p.name === name) || null;
+    }
+
+    save(portfolio) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        const normalized = PortfolioStore.normalize(portfolio);
+        saved[normalized.name] = normalized;
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    remove(name) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        delete saved[name];
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    // ---------------------------------------------------------------
+    // Import / export
+    // ---------------------------------------------------------------
+
+    static toJSON(portfolios) {
+        return JSON.stringify({ portfolios: portfolios.map(p => PortfolioStore.normalize(p)) }, null, 2);
+    }
+
+    // Accepts { portfolios: [...] }, a bare array or a single portfolio object
+    static fromJSON(text) {
+        const data = JSON.parse(text);
+        let list = [data];
+        if (Array.isArray(data)) list = data;
+        else if (data && Array.isArray(data.portfolios)) list = data.portfolios;
+        return list.map(p => PortfolioStore.normalize(p)).filter(p => p.holdings.length > 0);
+    }
+
+    // One row per holding: Portfolio,Basis,Ticker,Value
+    static toCSV(portfolios) {
+        const rows = [];
+        portfolios.forEach(p => {
+            PortfolioStore.normalize(p).holdings.forEach(h => {
+                rows.push({ Portfolio: p.name, Basis: p.basis, Ticker: h.ticker, Value: h.value });
+            });
+        });
+        return Papa.unparse(rows, { columns: ['Portfolio', 'Basis', 'Ticker', 'Value'] });
+    }
+
+    // Rows from PapaParse (header: true). Portfolio/Basis columns are optional;
+    // 'Weight' or 'Amount' columns are accepted in place of Value/Basis.
+    static fromCSV(rows, defaultName = 'Imported') {
+        const groups = {};
+
+        rows.forEach(row => {
+            const cells = {};
+            Object.keys(row).forEach(key => {
+                cells[String(key).trim().toLowerCase()] = row[key];
+            });
+
+            let basis = String(cells.basis || '').trim().toLowerCase();
+            let value = cells.value;
+            if (value === undefined && cells.amount !== undefined) {
+                value = cells.amount;
+                basis = basis || 'amount';
+            } else if (value === undefined) {
+                value = cells.weight;
+            }
+
+            const name = String(cells.portfolio || '').trim() || defaultName;
+            if (!groups[name]) groups[name] = { name, basis: basis || 'weight', holdings: [] };
+            groups[name].holdings.push({ ticker: cells.ticker, value });
+        });
+
+        return Object.values(groups).map(p => PortfolioStore.normalize(p)).filter(p => p.holdings.length > 0);
+    }
+}
+
+PortfolioStore.BASES = ['weight', 'amount'];
+
+// Weighted fundamentals and risk for a portfolio over analyzed companies
+// (App.allAnalyzedData - companies carrying their `ml` insights)
+class PortfolioAnalyzer {
+    constructor(companies, analyzer) {
+        this.companies = companies;
+        this.analyzer = analyzer;
+    }
+
+    // Holdings resolved against the universe with weights summing to 1.
+    // Tickers not in the current dataset are reported and left out.
+    resolve(portfolio) {
+        const normalized = PortfolioStore.normalize(portfolio);
+        const known = [];
+        const missing = [];
+
+        normalized.holdings.forEach(holding => {
+            const company = this.companies.find(c => c.ticker === holding.ticker);
+            if (company) known.push({ ...holding, company });
+            else missing.push(holding.ticker);
+        });
+
+        const total = known.reduce((sum, h) => sum + h.value, 0);
+        const positions = known.map(h => ({ ...h, weight: Utils.safeDivide(h.value, total) }));
+
+        return { portfolio: normalized, positions, missing };
+    }
+
+    // Weighted average of a per-position value; positions where it is missing
+    // are dropped and the remaining weights renormalized
+    weightedAverage(positions, getValue) {
+        let sum = 0;
+        let weight = 0;
+        positions.forEach(p => {
+            const value = getValue(p);
+            if (!Utils.isValidNumber(value)) return;
+            sum += p.weight * value;
+            weight += p.weight;
+        });
+        return weight > 0 ? sum / weight : null;
+    }
+
+    // Next-FY revenue growth (%) implied by the company's revenue forecast
+    forecastGrowth(company) {
+        const forecast = company.ml && company.ml.revenueForecast;
+        const latest = company.years[company.years.length - 1];
+        if (!forecast || !latest || !(latest.revenue > 0)) return null;
+        // One year ahead: the fourth step of a TTM series, else the first
+        const point = forecast.points[Utils.periodsPerYear(company.years) - 1];
+        return point ? Utils.growthRate(latest.revenue, point.value) : null;
+    }
+
+    analyze(portfolio) {
+        const { portfolio: normalized, positions, missing } = this.resolve(portfolio);
+
+        const rows = positions.map(p => {
+            const metrics = this.analyzer.calculateMetrics(p.company);
+            return {
+                ticker: p.ticker,
+                company: p.company.company,
+                sector: p.company.sector,
+                value: p.value,
+                weight: p.weight,
+                healthScore: p.company.ml.healthScore,
+                momentum: p.company.ml.momentum,
+                profitMargin: metrics.profitMargin,
+                risk: this.analyzer.calculateRisk(p.company),
+                revenueGrowth: this.forecastGrowth(p.company)
+            };
+        });
+
+        // Sector weights, largest first, with a Herfindahl index (1 = single sector)
+        const sectorWeights = {};
+        rows.forEach(r => { sectorWeights[r.sector] = (sectorWeights[r.sector] || 0) + r.weight; });
+        const sectors = Object.keys(sectorWeights)
+            .map(sector => ({ sector, weight: sectorWeights[sector] }))
+            .sort((a, b) => b.weight - a.weight);
+        const concentration = sectors.reduce((sum, s) => sum + s.weight * s.weight, 0);
+
+        const riskMix = { low: 0, medium: 0, high: 0 };
+        rows.forEach(r => { riskMix[r.risk] += r.weight; });
+
+        return {
+            portfolio: normalized,
+            positions: rows,
+            missing,
+            healthScore: this.weightedAverage(rows, r => r.healthScore),
+            momentum: this.weightedAverage(rows, r => r.momentum),
+            profitMargin: this.weightedAverage(rows, r => r.profitMargin),
+            revenueGrowth: this.weightedAverage(rows, r => r.revenueGrowth),
+            sectors,
+            concentration,
+            riskMix
+        };
+    }
+}
+
+// Make portfolio classes available globally
+window.PortfolioStore = PortfolioStore;
+window.PortfolioAnalyzer = PortfolioAnalyzer;
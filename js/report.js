@@ -0,0 +1,418 @@
+// ========================================
+// Research Reports - Printable Company & Sector Notes
+// ========================================
+
+// Builds a self-contained HTML research note (styles inline, charts embedded
+// as PNG data URLs) for a company or a sector, to download as .html or open
+// for printing / saving as PDF. Charts are drawn with the app's ChartManager on
+// an off-screen canvas, so the report matches what the dashboard shows.
+class ReportGenerator {
+    constructor(app) {
+        this.app = app;
+    }
+
+    // Report buttons (data-report holds the kind and data-report-key the
+    // ticker or sector) are re-rendered with the company modal, so their
+    // clicks are handled here
+    setup() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-report]');
+            if (button) this.export(button.dataset.report, button.dataset.reportKey, button.dataset.format);
+        });
+    }
+
+    // format: 'html' downloads the file, 'pdf' opens the print dialog
+    export(kind, key, format = 'html') {
+        const report = kind === 'sector' ? this.sectorReport(key) : this.companyReport(key);
+        if (!report) return;
+
+        if (format === 'pdf') {
+            this.print(report);
+        } else {
+            Utils.downloadFile(report.html, report.fileName, 'text/html');
+        }
+    }
+
+    print(report) {
+        const win = window.open('', '_blank');
+        if (!win) {
+            Utils.notify('Allow pop-ups to print the report, or download it as HTML', 'error');
+            return;
+        }
+        win.document.open();
+        win.document.write(report.html);
+        win.document.close();
+        if (win.document.readyState === 'complete') win.print();
+        else win.addEventListener('load', () => win.print());
+    }
+
+    static renderButtons(kind, key) {
+        const data = `data-report="${kind}" data-report-key="${Utils.escapeHtml(key)}"`;
+        return `
+            <button class="compare-toggle report-btn" ${data} data-format="html">⬇ Report</button>
+            <button class="compare-toggle report-btn" ${data} data-format="pdf">🖨 PDF</button>
+        `;
+    }
+
+    companyReport(ticker) {
+        const company = this.app.allAnalyzedData.find(c => c.ticker === ticker);
+        if (!company) return null;
+
+        const { ml } = company;
+        const latest = company.years[company.years.length - 1];
+        const metrics = this.app.analyzer.calculateMetrics(company);
+        const charts = this.renderCharts([
+            { title: 'Revenue & Profit (faded bars are forecasts)', draw: (id) => this.app.chartManager.createFinancialsChart(id, company, ml.revenueForecast, ml.profitForecast) },
+            { title: 'Revenue Forecast', draw: (id) => this.app.chartManager.createForecastChart(id, company, ml.revenueForecast) },
+            { title: 'Ratio Trends', draw: (id) => this.app.chartManager.createRatioTrendChart(id, this.app.analyzer.calculateMetricsByYear(company)) },
+            { title: 'Health Score Breakdown', draw: (id) => this.app.chartManager.createWaterfallChart(id, ml.explanations.health, 'Score') }
+        ]);
+
+        const body = `
+            <header class="report-header">
+                <div class="report-kicker">Company Research Note</div>
+                <h1>${Utils.escapeHtml(company.company)}</h1>
+                <div class="report-meta">
+                    ${Utils.escapeHtml(company.ticker)} · ${Utils.escapeHtml(company.sector)} ·
+                    <span class="badge">${ml.classification.category.toUpperCase()}</span> ·
+                    ${ml.explanations.risk.level.toUpperCase()} risk
+                </div>
+                <div class="report-stats">
+                    ${ReportGenerator.stat(`Revenue ${latest.fy}`, Utils.formatCurrency(latest.revenue))}
+                    ${ReportGenerator.stat(`Net Profit ${latest.fy}`, Utils.formatCurrency(latest.netProfit))}
+                    ${ReportGenerator.stat('Market Cap', metrics.hasValuation ? Utils.formatCurrency(metrics.marketCap) : 'N/A')}
+                    ${ReportGenerator.stat('Profit Margin', Utils.formatPercent(metrics.profitMargin))}
+                    ${ReportGenerator.stat('ROE', Utils.formatPercent(metrics.roe))}
+                </div>
+            </header>
+
+            <section>
+                <h2>Scores</h2>
+                <p class="report-reason">${Utils.escapeHtml(ml.classification.reason)}</p>
+                <div class="report-scores">
+                    ${ReportGenerator.renderScore('Health', ml.healthScore.toFixed(0), ml.explanations.health)}
+                    ${ReportGenerator.renderScore('Undervaluation', ml.undervalScore.toFixed(0), ml.explanations.undervaluation)}
+                    ${ReportGenerator.renderScore('Momentum', ml.momentum.toFixed(0), ml.explanations.momentum)}
+                    ${ReportGenerator.renderScore('Risk', ml.explanations.risk.level.toUpperCase(), ml.explanations.risk)}
+                </div>
+            </section>
+
+            <section>
+                <h2>Insights</h2>
+                ${ReportGenerator.renderInsights(ml.insights)}
+            </section>
+
+            <section>
+                <h2>Financial History</h2>
+                ${this.app.renderFinancialsTab(company)}
+            </section>
+
+            <section>
+                <h2>Ratio Trends</h2>
+                ${this.app.renderRatioTable(company)}
+            </section>
+
+            <section>
+                <h2>Forecasts</h2>
+                ${ReportGenerator.renderForecast('Revenue', ml.revenueForecast)}
+                ${ReportGenerator.renderForecast('Net Profit', ml.profitForecast)}
+            </section>
+
+            ${ReportGenerator.renderFigures(charts)}
+        `;
+
+        return this.build(`${company.company} (${company.ticker})`, `${company.ticker}-report.html`, body);
+    }
+
+    sectorReport(sector) {
+        if (!this.app.dataLoader.getSectors().includes(sector)) return null;
+
+        const analysis = new SectorAnalyzer(this.app.allAnalyzedData, this.app.analyzer);
+        const totals = analysis.totals(sector);
+        const latest = totals[totals.length - 1];
+        const ranked = analysis.rank(sector, 'healthScore');
+        const outlook = this.app.outlook.forSector(sector);
+        const fmt = (value, format) => (value === null ? 'N/A' : format(value));
+        const charts = this.renderCharts([
+            { title: 'Aggregate Revenue & Profit', draw: (id) => this.app.chartManager.createSectorTrendChart(id, totals) },
+            { title: 'Share of Sector Revenue', draw: (id) => this.app.chartManager.createRevenueShareChart(id, analysis.revenueShare(sector)) },
+            ...SectorAnalyzer.RATIOS.map(ratio => ({
+                title: `${ratio.label} (median and interquartile range)`,
+                draw: (id) => this.app.chartManager.createDistributionChart(id, analysis.distribution(sector, ratio.key), ratio.label)
+            }))
+        ]);
+
+        const body = `
+            <header class="report-header">
+                <div class="report-kicker">Sector Research Note</div>
+                <h1>${Utils.escapeHtml(sector)}</h1>
+                <div class="report-meta">
+                    ${ranked.length} ${ranked.length === 1 ? 'company' : 'companies'}
+                    ${outlook ? ` · 2026 outlook: ${outlook.stance.label}` : ''}
+                </div>
+                <div class="report-stats">
+                    ${ReportGenerator.stat(`Revenue ${latest ? latest.fy : ''}`, latest ? Utils.formatCurrency(latest.revenue) : 'N/A')}
+                    ${ReportGenerator.stat(`Net Profit ${latest ? latest.fy : ''}`, latest ? Utils.formatCurrency(latest.netProfit) : 'N/A')}
+                    ${ReportGenerator.stat('Revenue CAGR', fmt(analysis.cagr(totals, 'revenue'), Utils.formatPercent))}
+                    ${ReportGenerator.stat('Profit CAGR', fmt(analysis.cagr(totals, 'netProfit'), Utils.formatPercent))}
+                </div>
+            </header>
+
+            ${outlook ? `
+                <section>
+                    <h2>2026 Outlook</h2>
+                    <p>${Utils.escapeHtml(outlook.narrative.join(' '))}</p>
+                    ${outlook.notes.map(note => `<p class="report-reason">${Utils.escapeHtml(note.icon)} ${Utils.escapeHtml(note.text)} ${this.app.renderNoteMeta(note)}</p>`).join('')}
+                </section>
+            ` : ''}
+
+            <section>
+                <h2>Aggregate Financial History</h2>
+                <table class="data-table">
+                    <thead><tr><th>FY</th><th>Revenue</th><th>Net Profit</th><th>Margin</th><th>Reporting</th></tr></thead>
+                    <tbody>
+                        ${totals.map(t => `
+                            <tr>
+                                <td>${Utils.escapeHtml(t.fy)}</td>
+                                <td>${Utils.formatCurrency(t.revenue)}</td>
+                                <td>${Utils.formatCurrency(t.netProfit)}</td>
+                                <td>${Utils.formatPercent(Utils.safeDivide(t.netProfit, t.revenue) * 100)}</td>
+                                <td>${t.reporting}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+
+            <section>
+                <h2>Ratio Trends</h2>
+                <p class="report-note">Median across constituents, interquartile range in brackets.</p>
+                ${ReportGenerator.renderDistributionTable(analysis, sector, totals)}
+            </section>
+
+            <section>
+                <h2>Constituents</h2>
+                <table class="data-table">
+                    <thead><tr><th>#</th><th>Company</th><th>Health</th><th>Undervaluation</th><th>Momentum</th><th>Category</th><th>Risk</th><th>FY2026E Revenue</th></tr></thead>
+                    <tbody>
+                        ${ranked.map((company, i) => `
+                            <tr>
+                                <td>${i + 1}</td>
+                                <td>${Utils.escapeHtml(company.company)} (${Utils.escapeHtml(company.ticker)})</td>
+                                <td>${company.ml.healthScore.toFixed(0)}</td>
+                                <td>${company.ml.undervalScore.toFixed(0)}</td>
+                                <td>${company.ml.momentum.toFixed(0)}</td>
+                                <td>${company.ml.classification.category}</td>
+                                <td>${company.ml.explanations.risk.level}</td>
+                                <td>${fmt(company.ml.predicted2026Revenue, Utils.formatCurrency)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+
+            <section>
+                <h2>Company Insights</h2>
+                ${ranked.map(company => `
+                    <h3>${Utils.escapeHtml(company.company)} (${Utils.escapeHtml(company.ticker)})</h3>
+                    <p class="report-reason">${Utils.escapeHtml(company.ml.classification.reason)}</p>
+                    ${ReportGenerator.renderInsights(company.ml.insights)}
+                `).join('')}
+            </section>
+
+            ${ReportGenerator.renderFigures(charts)}
+        `;
+
+        return this.build(sector, `${ReportGenerator.slug(sector)}-sector-report.html`, body);
+    }
+
+    // Wrap a report body in a standalone document with the footer
+    build(title, fileName, body) {
+        const generatedAt = new Date();
+        const version = SnapshotStore.versionOf(this.app.allAnalyzedData);
+        const period = this.app.dataLoader.periodType === 'quarterly' ? 'quarterly (TTM)' : 'annual';
+
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${Utils.escapeHtml(title)} - Research Note</title>
+    <style>${ReportGenerator.STYLES}</style>
+</head>
+<body>
+    <main class="report">
+        ${body}
+        <footer class="report-footer">
+            Generated ${generatedAt.toLocaleString('en-IN')} (${generatedAt.toISOString()}) ·
+            Dataset ${Utils.escapeHtml(this.app.datasetName)}, version ${version} · ${period} view ·
+            Scoring profile: ${Utils.escapeHtml(this.app.scoringProfile.name)}<br>
+            For educational and analytical purposes only; not financial advice.
+        </footer>
+    </main>
+</body>
+</html>`;
+
+        return { title, fileName, html };
+    }
+
+    // Draw each chart off-screen and keep it as an image:
+    // specs [{ title, draw(canvasId) }] -> [{ title, src }]
+    renderCharts(specs) {
+        if (typeof Chart === 'undefined') return [];
+
+        const host = document.createElement('div');
+        host.className = 'report-chart-host';
+        document.body.appendChild(host);
+
+        const images = specs.map((spec, i) => {
+            const canvasId = `reportChart${i}`;
+            const canvas = document.createElement('canvas');
+            canvas.id = canvasId;
+            host.appendChild(canvas);
+
+            try {
+                spec.draw(canvasId);
+                const src = this.app.chartManager.toImage(canvasId);
+                return src ? { title: spec.title, src } : null;
+            } catch (error) {
+                console.warn(`Report chart '${spec.title}' failed:`, error);
+                return null;
+            } finally {
+                this.app.chartManager.destroyChart(canvasId);
+            }
+        }).filter(Boolean);
+
+        host.remove();
+        return images;
+    }
+
+    static renderScore(label, value, explanation) {
+        const contributions = explanation.contributions || [];
+        return `
+            <div class="report-score">
+                <div class="report-score-head"><span>${label}</span><strong>${value}</strong></div>
+                <ul>
+                    ${contributions.map(c => `<li>${Utils.escapeHtml(c.label)}: ${c.points >= 0 ? '+' : ''}${Number(c.points.toFixed(1))}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    // Median (Q1-Q3) of each sector ratio per FY
+    static renderDistributionTable(analysis, sector, totals) {
+        const distributions = SectorAnalyzer.RATIOS.map(ratio => ({ ratio, rows: analysis.distribution(sector, ratio.key) }));
+        const cell = (ratio, row) => (row && row.median !== null
+            ? `${Screener.formatValue(ratio, row.median)} <span class="report-note">(${Screener.formatValue(ratio, row.q1)} - ${Screener.formatValue(ratio, row.q3)})</span>`
+            : 'N/A');
+
+        return `
+            <table class="data-table">
+                <thead><tr><th>Ratio</th>${totals.map(t => `<th>${Utils.escapeHtml(t.fy)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${distributions.map(({ ratio, rows }) => `
+                        <tr>
+                            <td>${ratio.label}</td>
+                            ${totals.map(t => `<td>${cell(ratio, rows.find(r => r.fy === t.fy))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    static stat(label, value) {
+        return `<div class="report-stat"><div class="report-stat-value">${value}</div><div class="report-stat-label">${Utils.escapeHtml(label)}</div></div>`;
+    }
+
+    static renderInsights(insights) {
+        if (insights.length === 0) return '<p class="report-note">No insights triggered.</p>';
+        return `<ul class="report-insights">${insights.map(i => `<li class="${i.type}">${Utils.escapeHtml(i.text)}</li>`).join('')}</ul>`;
+    }
+
+    static renderForecast(label, forecast) {
+        if (!forecast) return `<p class="report-note">${label}: not enough history to forecast.</p>`;
+        return `
+            <h3>${label}</h3>
+            <p class="report-note">
+                Model: ${forecast.label} · Backtest error (last FY held out): ${forecast.backtestError === null ? 'N/A' : Utils.formatPercent(forecast.backtestError)}
+                · ${Math.round(forecast.level * 100)}% prediction interval
+            </p>
+            <table class="data-table">
+                <thead><tr><th>Period</th><th>Forecast</th><th>Low</th><th>High</th></tr></thead>
+                <tbody>
+                    ${forecast.points.map(p => `
+                        <tr>
+                            <td>${Utils.escapeHtml(p.fy)}E</td>
+                            <td>${Utils.formatCurrency(p.value)}</td>
+                            <td>${Utils.formatCurrency(p.lower)}</td>
+                            <td>${Utils.formatCurrency(p.upper)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    static renderFigures(images) {
+        if (images.length === 0) return '';
+        return `
+            <section class="report-charts">
+                <h2>Charts</h2>
+                ${images.map(image => `
+                    <figure>
+                        <img src="${image.src}" alt="${image.title}">
+                        <figcaption>${image.title}</figcaption>
+                    </figure>
+                `).join('')}
+            </section>
+        `;
+    }
+
+    static slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+}
+
+// Print-friendly light theme; the variables stand in for the dashboard's so
+// reused table markup (Financials tab, ratio table) renders the same way.
+// Charts keep the dark panel they were drawn for.
+ReportGenerator.STYLES = `
+    :root { --accent: #006d87; --success: #0a7f45; --warning: #a86500; --danger: #c62839; --text: #1b2633; --text-muted: #5d6b7a; --glass-border: #d5dbe2; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: 'Segoe UI', system-ui, -apple-system, sans-serif; color: var(--text); background: #fff; line-height: 1.5; font-size: 13px; }
+    .report { max-width: 900px; margin: 0 auto; padding: 2rem; }
+    h1 { margin: 0.25rem 0; font-size: 1.8rem; }
+    h2 { color: var(--accent); font-size: 1.2rem; margin: 2rem 0 0.75rem; border-bottom: 2px solid var(--glass-border); padding-bottom: 0.25rem; }
+    h3 { font-size: 1rem; margin: 1rem 0 0.5rem; }
+    section { break-inside: auto; }
+    .report-kicker { text-transform: uppercase; letter-spacing: 0.1em; color: var(--text-muted); font-size: 0.8rem; }
+    .report-meta { color: var(--text-muted); }
+    .badge { font-weight: 700; color: var(--accent); }
+    .report-stats { display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 1rem; }
+    .report-stat { border: 1px solid var(--glass-border); border-radius: 6px; padding: 0.5rem 0.75rem; min-width: 140px; }
+    .report-stat-value { font-size: 1.1rem; font-weight: 700; }
+    .report-stat-label, .report-note, .note-meta { color: var(--text-muted); font-size: 0.85rem; }
+    .report-reason { border-left: 3px solid var(--accent); padding-left: 0.75rem; }
+    .report-scores { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; }
+    .report-score { border: 1px solid var(--glass-border); border-radius: 6px; padding: 0.75rem; break-inside: avoid; }
+    .report-score-head { display: flex; justify-content: space-between; font-size: 1rem; }
+    .report-score ul, .report-insights { margin: 0.5rem 0 0; padding-left: 1.25rem; }
+    .report-insights .positive::marker { color: var(--success); }
+    .report-insights .negative::marker { color: var(--danger); }
+    .report-insights .warning::marker { color: var(--warning); }
+    .data-table { width: 100%; border-collapse: collapse; margin: 0.5rem 0; }
+    .data-table th, .data-table td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid var(--glass-border); vertical-align: top; }
+    .data-table th { background: #f1f4f7; }
+    .table-wrapper { overflow-x: auto; }
+    .yoy { font-size: 0.8rem; color: var(--text-muted); }
+    .yoy.up { color: var(--success); }
+    .yoy.down { color: var(--danger); }
+    figure { margin: 1rem 0; break-inside: avoid; }
+    figure img { width: 100%; background: #0A1929; border-radius: 6px; padding: 0.75rem; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    figcaption { color: var(--text-muted); font-size: 0.85rem; margin-top: 0.25rem; }
+    .report-footer { margin-top: 2.5rem; padding-top: 0.75rem; border-top: 1px solid var(--glass-border); color: var(--text-muted); font-size: 0.8rem; }
+    @media print { .report { padding: 0; } h2 { break-after: avoid; } }
+`;
+
+// Make ReportGenerator available globally
+window.ReportGenerator = ReportGenerator;
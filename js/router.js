@@ -0,0 +1,77 @@
+// ========================================
+// URL Routing - Sections, Filters & Open Company
+// ========================================
+
+// The current view lives in the URL hash as #/<section>?<params>, e.g.
+//   #/stocks?sector=Defense&risk=low&company=HAL
+// Explorer filters are only written for the stocks section; `compare` (the
+// comparison tray) and `company` (the open modal) apply to any section.
+// Changes push History entries so back/forward walks through past views.
+class Router {
+    constructor(app) {
+        this.app = app;
+        // Set while a route is being applied so rendering doesn't write it back
+        this.restoring = false;
+    }
+
+    setup() {
+        window.addEventListener('popstate', () => this.restore());
+    }
+
+    static parse(hash) {
+        const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+        return { section: path || null, params: new URLSearchParams(query) };
+    }
+
+    static format(route) {
+        // Keep commas and slashes readable in shared links (compare=TCS,INFY, sector=IT/Technology)
+        const query = route.params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+        return `#/${route.section}${query ? `?${query}` : ''}`;
+    }
+
+    current() {
+        return Router.parse(window.location.hash);
+    }
+
+    // Route for the first load; also accepts older ?compare=TCS,INFY share links
+    initialRoute() {
+        const route = this.current();
+        const legacy = new URLSearchParams(window.location.search).get('compare');
+        if (legacy && !route.params.has('compare')) {
+            route.params.set('compare', legacy);
+            route.section = route.section || 'compare';
+        }
+        return route;
+    }
+
+    async restore(route = this.current()) {
+        this.restoring = true;
+        try {
+            await this.app.applyRoute(route);
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    // Write the app's current view to the URL - a new history entry unless
+    // `replace` (used for keystroke-level changes like search)
+    update({ replace = false } = {}) {
+        if (this.restoring) return;
+
+        const hash = Router.format(this.app.getRoute());
+        const url = new URL(window.location.href);
+        if (hash === url.hash && !url.searchParams.has('compare')) return;
+
+        // The hash route supersedes the old query-string comparison link
+        url.searchParams.delete('compare');
+        url.hash = hash;
+        if (replace) {
+            window.history.replaceState(null, '', url.toString());
+        } else {
+            window.history.pushState(null, '', url.toString());
+        }
+    }
+}
+
+// Make Router available globally
+window.Router = Router;
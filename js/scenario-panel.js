@@ -0,0 +1,266 @@
+// ========================================
+// Scenario / Stress-Test Panel
+// ========================================
+
+class ScenarioPanel {
+    constructor(app) {
+        this.app = app;
+        this.store = new ScenarioStore();
+        // Scenario being edited; re-run as its shocks change
+        this.draft = ScenarioStore.clone(this.store.list()[0]);
+        // Which companies the results cover: '' (hit by a shock), 'all',
+        // 'sector:<name>' or 'portfolio:<name>'
+        this.applyTo = '';
+        this.rerun = Utils.debounce(() => this.renderResults(), 300);
+    }
+
+    setup() {
+        const select = document.getElementById('scenarioSelect');
+        if (select) select.addEventListener('change', (e) => this.loadScenario(e.target.value));
+
+        const saveBtn = document.getElementById('scenarioSave');
+        if (saveBtn) saveBtn.addEventListener('click', () => this.saveScenario());
+
+        const deleteBtn = document.getElementById('scenarioDelete');
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteScenario());
+
+        const applySelect = document.getElementById('scenarioApplyTo');
+        if (applySelect) {
+            applySelect.addEventListener('change', (e) => {
+                this.applyTo = e.target.value;
+                this.renderResults();
+            });
+        }
+
+        const shocks = document.getElementById('scenarioShocks');
+        if (shocks) {
+            shocks.addEventListener('change', (e) => {
+                const { index, prop } = e.target.dataset;
+                if (index === undefined || !['scope', 'target'].includes(prop)) return;
+                this.setShock(parseInt(index), prop, e.target.value);
+                this.renderShocks();
+                this.renderResults();
+            });
+            shocks.addEventListener('input', (e) => {
+                const { index, prop } = e.target.dataset;
+                if (index === undefined || e.target.tagName !== 'INPUT') return;
+                const value = parseFloat(e.target.value);
+                this.setShock(parseInt(index), prop, Utils.isValidNumber(value) ? value : 0);
+                this.rerun();
+            });
+            shocks.addEventListener('click', (e) => {
+                const { action, index } = e.target.dataset;
+                if (action === 'add-shock') this.draft.shocks.push(ScenarioStore.normalizeShock({ scope: 'all' }));
+                else if (action === 'remove-shock') this.draft.shocks.splice(parseInt(index), 1);
+                else return;
+                this.renderShocks();
+                this.renderResults();
+            });
+        }
+    }
+
+    setShock(index, prop, value) {
+        const shock = this.draft.shocks[index];
+        shock[prop] = value;
+
+        // New scope - pick its first target
+        if (prop === 'scope') {
+            const targets = this.getTargets(value);
+            shock.target = targets.length > 0 ? targets[0].value : null;
+        }
+    }
+
+    // Options for a shock's target picker
+    getTargets(scope) {
+        if (scope === 'sector') return this.app.dataLoader.getSectors().map(s => ({ value: s, label: s }));
+        if (scope === 'company') {
+            return [...this.app.allAnalyzedData]
+                .sort((a, b) => a.company.localeCompare(b.company))
+                .map(c => ({ value: c.ticker, label: `${c.company} (${c.ticker})` }));
+        }
+        return [];
+    }
+
+    loadScenario(name) {
+        const scenario = this.store.get(name);
+        if (!scenario) return;
+        this.draft = ScenarioStore.clone(scenario);
+        this.render();
+    }
+
+    saveScenario() {
+        const input = document.getElementById('scenarioName');
+        const name = (input && input.value.trim()) || this.draft.name;
+        if (this.draft.shocks.length === 0) {
+            Utils.notify('Add at least one shock before saving', 'error');
+            return;
+        }
+
+        this.draft.name = name;
+        this.store.save(this.draft);
+        if (input) input.value = '';
+        this.render();
+        Utils.notify(`Saved scenario "${name}"`, 'success');
+    }
+
+    deleteScenario() {
+        const name = this.draft.name;
+        if (!this.store.getSaved()[name]) return;
+        this.store.remove(name);
+        this.draft = ScenarioStore.clone(this.store.get(name) || this.store.list()[0]);
+        this.render();
+        Utils.notify(`Deleted scenario "${name}"`, 'success');
+    }
+
+    render() {
+        const select = document.getElementById('scenarioSelect');
+        if (select) {
+            select.innerHTML = this.store.list().map(s => `
+                <option value="${Utils.escapeHtml(s.name)}" ${s.name === this.draft.name ? 'selected' : ''}>${Utils.escapeHtml(s.name)}</option>
+            `).join('');
+        }
+
+        const deleteBtn = document.getElementById('scenarioDelete');
+        if (deleteBtn) deleteBtn.disabled = !this.store.getSaved()[this.draft.name];
+
+        this.renderApplyTo();
+        this.renderShocks();
+        this.renderResults();
+    }
+
+    renderApplyTo() {
+        const select = document.getElementById('scenarioApplyTo');
+        if (!select) return;
+
+        const options = [
+            { value: '', label: 'Companies hit by the scenario' },
+            { value: 'all', label: 'All companies' },
+            ...this.app.dataLoader.getSectors().map(s => ({ value: `sector:${s}`, label: `Sector: ${s}` })),
+            ...this.app.portfolioPanel.store.list().map(p => ({ value: `portfolio:${p.name}`, label: `Portfolio: ${p.name}` }))
+        ];
+        if (!options.some(o => o.value === this.applyTo)) this.applyTo = '';
+
+        select.innerHTML = options.map(o => `
+            <option value="${Utils.escapeHtml(o.value)}" ${o.value === this.applyTo ? 'selected' : ''}>${Utils.escapeHtml(o.label)}</option>
+        `).join('');
+    }
+
+    renderShocks() {
+        const container = document.getElementById('scenarioShocks');
+        if (!container) return;
+
+        const scopeLabels = { all: 'All companies', sector: 'Sector', company: 'Company' };
+        container.innerHTML = `
+            ${this.draft.shocks.map((shock, i) => `
+                <div class="screen-rule">
+                    <select class="filter-select" data-index="${i}" data-prop="scope">
+                        ${ScenarioStore.SCOPES.map(scope => `<option value="${scope}" ${scope === shock.scope ? 'selected' : ''}>${scopeLabels[scope]}</option>`).join('')}
+                    </select>
+                    ${shock.scope === 'all' ? '' : `
+                        <select class="filter-select" data-index="${i}" data-prop="target">
+                            ${this.getTargets(shock.scope).map(t => `<option value="${Utils.escapeHtml(t.value)}" ${t.value === shock.target ? 'selected' : ''}>${Utils.escapeHtml(t.label)}</option>`).join('')}
+                        </select>
+                    `}
+                    <label class="shock-field">Revenue % <input type="number" class="profile-input" data-index="${i}" data-prop="revenue" value="${shock.revenue}" step="1"></label>
+                    <label class="shock-field">Margin bps <input type="number" class="profile-input" data-index="${i}" data-prop="marginBps" value="${shock.marginBps}" step="25"></label>
+                    <label class="shock-field">Debt % <input type="number" class="profile-input" data-index="${i}" data-prop="debt" value="${shock.debt}" step="1"></label>
+                    <button class="action-btn secondary" data-action="remove-shock" data-index="${i}">&times;</button>
+                </div>
+            `).join('')}
+            <div class="screen-actions">
+                <button class="action-btn secondary" data-action="add-shock">+ Shock</button>
+            </div>
+        `;
+    }
+
+    // Rows covered by the "apply to" choice
+    selectRows(rows) {
+        if (this.applyTo === 'all') return rows;
+        if (this.applyTo.startsWith('sector:')) {
+            const sector = this.applyTo.slice('sector:'.length);
+            return rows.filter(r => r.company.sector === sector);
+        }
+        if (this.applyTo.startsWith('portfolio:')) {
+            const portfolio = this.app.portfolioPanel.store.get(this.applyTo.slice('portfolio:'.length));
+            const tickers = portfolio ? portfolio.holdings.map(h => h.ticker) : [];
+            return rows.filter(r => tickers.includes(r.company.ticker));
+        }
+        return rows.filter(r => r.shocked);
+    }
+
+    renderResults() {
+        const container = document.getElementById('scenarioResults');
+        if (!container) return;
+
+        const engine = new ScenarioEngine(this.app.dataLoader.companies, this.app.analyzer, this.app.allAnalyzedData);
+        const result = engine.run(this.draft);
+        const rows = this.selectRows(result.rows);
+
+        const change = (from, to, format, higherIsBetter = true) => {
+            const delta = to - from;
+            const trend = !Utils.isValidNumber(delta) || Math.abs(delta) < 1e-9 ? '' : (delta > 0) === higherIsBetter ? 'up' : 'down';
+            return `${format(from)} → <span class="yoy ${trend}">${format(to)}</span>`;
+        };
+        const level = (from, to, render) => (from === to ? render(from) : `${render(from)} → ${render(to)}`);
+        const riskTag = (risk) => `<span class="risk-tag ${risk}">${risk.toUpperCase()}</span>`;
+        const badge = (category) => `<span class="badge ${category}">${category.toUpperCase()}</span>`;
+
+        container.innerHTML = `
+            ${this.renderPortfolioImpact(result)}
+            ${rows.length === 0
+                ? '<p style="color: var(--text-muted);">No companies in this selection. Add a shock or choose what to apply the scenario to.</p>'
+                : `
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>Company</th><th>Revenue</th><th>Margin</th><th>ROE</th><th>D/E</th><th>Health</th><th>Risk</th><th>Category</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(({ company, shocked, base, scenario }) => `
+                                <tr class="company-link" data-ticker="${Utils.escapeHtml(company.ticker)}" style="cursor: pointer;">
+                                    <td>${Utils.escapeHtml(company.company)} <span style="color: var(--text-muted);">${Utils.escapeHtml(company.ticker)}${shocked ? '' : ' · not shocked'}</span></td>
+                                    <td>${change(base.revenue, scenario.revenue, Utils.formatCurrency)}</td>
+                                    <td>${change(base.profitMargin, scenario.profitMargin, Utils.formatPercent)}</td>
+                                    <td>${change(base.roe, scenario.roe, Utils.formatPercent)}</td>
+                                    <td>${change(base.debtToEquity, scenario.debtToEquity, Utils.formatRatio, false)}</td>
+                                    <td>${change(base.healthScore, scenario.healthScore, v => v.toFixed(0))}</td>
+                                    <td>${level(base.risk, scenario.risk, riskTag)}</td>
+                                    <td>${level(base.category, scenario.category, badge)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+    // Weighted portfolio fundamentals before and after, when applied to a portfolio
+    renderPortfolioImpact(result) {
+        if (!this.applyTo.startsWith('portfolio:')) return '';
+        const portfolio = this.app.portfolioPanel.store.get(this.applyTo.slice('portfolio:'.length));
+        if (!portfolio) return '';
+
+        const base = new PortfolioAnalyzer(this.app.allAnalyzedData, this.app.analyzer).analyze(portfolio);
+        const stressed = new PortfolioAnalyzer(result.companies, result.analyzer).analyze(portfolio);
+        const fmt = (value, format) => (value === null ? 'N/A' : format(value));
+        const stat = (label, from, to, format) => `
+            <div class="health-stat">
+                <div class="health-stat-value">${fmt(from, format)} → ${fmt(to, format)}</div>
+                <div class="health-stat-label">${label}</div>
+            </div>
+        `;
+
+        return `
+            <div class="health-summary" style="margin-bottom: 1.5rem;">
+                ${stat('Portfolio Health', base.healthScore, stressed.healthScore, v => v.toFixed(0))}
+                ${stat('Momentum', base.momentum, stressed.momentum, v => v.toFixed(0))}
+                ${stat('Profit Margin', base.profitMargin, stressed.profitMargin, Utils.formatPercent)}
+                ${stat('High-Risk Weight', base.riskMix.high * 100, stressed.riskMix.high * 100, Utils.formatPercent)}
+            </div>
+        `;
+    }
+}
+
+// Make ScenarioPanel available globally
+window.ScenarioPanel = ScenarioPanel;
@@ -0,0 +1,185 @@
+// ========================================
+// Scenarios - Stress-Testing Fundamentals
+// ========================================
+
+// A scenario is plain JSON:
+//   { name, shocks: [{ scope: 'all' | 'sector' | 'company', target, revenue, marginBps, debt }] }
+// `revenue` and `debt` are % changes and `marginBps` moves the net profit margin
+// in basis points (-300 = margin three points lower). Shocks hit the latest FY;
+// when several shocks match a company the % changes compound and the margin moves add.
+class ScenarioStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.scenarios';
+    }
+
+    static normalizeShock(shock) {
+        const source = shock || {};
+        const scope = ScenarioStore.SCOPES.includes(source.scope) ? source.scope : 'all';
+        const number = (value) => Utils.toNumber(value) || 0;
+        return {
+            scope,
+            target: scope === 'all' ? null : String(source.target || '').trim(),
+            revenue: number(source.revenue),
+            marginBps: number(source.marginBps),
+            debt: number(source.debt)
+        };
+    }
+
+    static normalize(scenario) {
+        const source = scenario || {};
+        return {
+            name: String(source.name || '').trim() || 'Untitled',
+            shocks: (Array.isArray(source.shocks) ? source.shocks : []).map(s => ScenarioStore.normalizeShock(s))
+        };
+    }
+
+    static clone(scenario) {
+        return JSON.parse(JSON.stringify(scenario));
+    }
+
+    getSaved() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Built-ins first, then user scenarios (a saved scenario can shadow a built-in name)
+    list() {
+        const scenarios = {};
+        ScenarioStore.BUILT_IN.forEach(s => { scenarios[s.name] = s; });
+        Object.values(this.getSaved()).forEach(s => { scenarios[s.name] = s; });
+        return Object.values(scenarios).map(s => ScenarioStore.normalize(s));
+    }
+
+    get(name) {
+        return this.list().find(s => s.name === name) || null;
+    }
+
+    isBuiltIn(name) {
+        return ScenarioStore.BUILT_IN.some(s => s.name === name) && !this.getSaved()[name];
+    }
+
+    save(scenario) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        const normalized = ScenarioStore.normalize(scenario);
+        saved[normalized.name] = normalized;
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    remove(name) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        delete saved[name];
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+}
+
+ScenarioStore.SCOPES = ['all', 'sector', 'company'];
+
+ScenarioStore.BUILT_IN = [
+    {
+        name: 'IT slowdown',
+        shocks: [{ scope: 'sector', target: 'IT/Technology', revenue: -15, marginBps: -300, debt: 0 }]
+    },
+    {
+        name: 'Defense budget cut',
+        shocks: [{ scope: 'sector', target: 'Defense/Aerospace', revenue: -20, marginBps: -200, debt: 0 }]
+    },
+    {
+        name: 'Rate shock',
+        shocks: [{ scope: 'all', target: null, revenue: 0, marginBps: -100, debt: 25 }]
+    }
+];
+
+class ScenarioEngine {
+    // Raw companies plus the base-case analyzer and scored companies to compare against
+    constructor(companies, analyzer, analyzedCompanies) {
+        this.companies = companies;
+        this.analyzer = analyzer;
+        this.analyzed = analyzedCompanies;
+    }
+
+    static matches(shock, company) {
+        if (shock.scope === 'sector') return company.sector === shock.target;
+        if (shock.scope === 'company') return company.ticker === shock.target;
+        return true;
+    }
+
+    // Combined effect of every matching shock, or null when none match
+    static combine(company, shocks) {
+        const matching = shocks.filter(s => ScenarioEngine.matches(s, company));
+        if (matching.length === 0) return null;
+        return matching.reduce((total, s) => ({
+            revenue: total.revenue * (1 + s.revenue / 100),
+            marginBps: total.marginBps + s.marginBps,
+            debt: total.debt * (1 + s.debt / 100)
+        }), { revenue: 1, marginBps: 0, debt: 1 });
+    }
+
+    // Copy of the company with its latest FY shocked; equity and market cap are left as reported
+    static applyShocks(company, shocks) {
+        const effect = ScenarioEngine.combine(company, shocks);
+        if (!effect) return company;
+
+        const years = [...company.years];
+        const latest = years[years.length - 1];
+        // Missing values stay missing under a shock
+        const known = (...values) => values.every(Utils.isValidNumber);
+        const revenue = known(latest.revenue) ? latest.revenue * effect.revenue : null;
+        const margin = Utils.safeDivide(latest.netProfit, latest.revenue) + effect.marginBps / 10000;
+        years[years.length - 1] = {
+            ...latest,
+            revenue,
+            netProfit: known(latest.revenue, latest.netProfit) ? revenue * margin : null,
+            totalDebt: known(latest.totalDebt) ? latest.totalDebt * effect.debt : null
+        };
+        return { ...company, years };
+    }
+
+    // Fundamentals and scores shown side by side
+    static summarize(analyzer, company) {
+        const metrics = analyzer.calculateMetrics(company);
+        return {
+            revenue: metrics.revenue,
+            netProfit: metrics.netProfit,
+            profitMargin: metrics.profitMargin,
+            roe: metrics.roe,
+            debtToEquity: metrics.debtToEquity,
+            healthScore: company.ml.healthScore,
+            momentum: company.ml.momentum,
+            risk: company.ml.explanations.risk.level,
+            category: company.ml.classification.category
+        };
+    }
+
+    // Re-score the whole universe under the scenario (undervaluation is
+    // relative to peers, so unshocked companies can move too)
+    run(scenario) {
+        const shocked = this.companies.map(c => ScenarioEngine.applyShocks(c, scenario.shocks));
+        const analyzer = new FinancialAnalyzer(shocked, { profile: this.analyzer.profile });
+        const stressed = new MLEngine(shocked, analyzer).analyzeAllWithML();
+
+        const byTicker = {};
+        stressed.forEach(c => { byTicker[c.ticker] = c; });
+
+        const rows = this.analyzed
+            .filter(base => byTicker[base.ticker])
+            .map(base => ({
+                company: base,
+                shocked: ScenarioEngine.combine(base, scenario.shocks) !== null,
+                base: ScenarioEngine.summarize(this.analyzer, base),
+                scenario: ScenarioEngine.summarize(analyzer, byTicker[base.ticker])
+            }));
+
+        return { analyzer, companies: stressed, rows };
+    }
+}
+
+// Make scenario classes available globally
+window.ScenarioStore = ScenarioStore;
+window.ScenarioEngine = ScenarioEngine;
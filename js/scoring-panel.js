@@ -0,0 +1,252 @@
+// ========================================
+// Scoring Settings Panel
+// ========================================
+
+class ScoringPanel {
+    constructor(app) {
+        this.app = app;
+        this.store = app.profileStore;
+        // Working copy being edited; re-scored live as inputs change
+        this.draft = ScoringProfileStore.clone(app.scoringProfile);
+        this.compareName = DEFAULT_SCORING_PROFILE.name;
+        this.rescore = Utils.debounce(() => this.applyDraft(), 300);
+    }
+
+    setup() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', (e) => this.selectProfile(e.target.value));
+        }
+
+        const compareSelect = document.getElementById('profileCompareSelect');
+        if (compareSelect) {
+            compareSelect.addEventListener('change', (e) => {
+                this.compareName = e.target.value;
+                this.renderDiff();
+            });
+        }
+
+        const saveBtn = document.getElementById('profileSave');
+        if (saveBtn) saveBtn.addEventListener('click', () => this.saveDraft());
+
+        const deleteBtn = document.getElementById('profileDelete');
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteProfile());
+
+        const form = document.getElementById('profileForm');
+        if (form) {
+            form.addEventListener('input', (e) => {
+                const path = e.target.dataset.path;
+                if (!path) return;
+                // Selects carry string options, inputs numbers
+                const isSelect = e.target.tagName === 'SELECT';
+                const value = isSelect ? e.target.value : parseFloat(e.target.value);
+                if (!isSelect && !Utils.isValidNumber(value)) return;
+                this.setPath(this.draft, path, value);
+                this.renderWeightTotal();
+                this.rescore();
+            });
+        }
+    }
+
+    render() {
+        this.renderProfileSelects();
+        this.renderForm();
+        this.renderDiff();
+    }
+
+    renderProfileSelects() {
+        const names = this.store.list().map(p => p.name);
+        const fill = (id, selected) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = names.map(name => `
+                <option value="${Utils.escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${Utils.escapeHtml(name)}</option>
+            `).join('');
+        };
+
+        fill('profileSelect', this.draft.name);
+        fill('profileCompareSelect', this.compareName);
+
+        const deleteBtn = document.getElementById('profileDelete');
+        if (deleteBtn) deleteBtn.disabled = this.store.isBuiltIn(this.draft.name) || !this.store.getSaved()[this.draft.name];
+    }
+
+    selectProfile(name) {
+        const profile = this.store.get(name);
+        if (!profile) return;
+
+        this.draft = ScoringProfileStore.clone(profile);
+        this.store.setActive(name);
+        this.applyDraft();
+        this.renderForm();
+    }
+
+    saveDraft() {
+        const input = document.getElementById('profileName');
+        const name = (input && input.value.trim()) || this.draft.name;
+        if (this.store.isBuiltIn(name) && name === DEFAULT_SCORING_PROFILE.name) {
+            Utils.notify('The Default profile cannot be overwritten - choose another name', 'error');
+            return;
+        }
+
+        this.draft.name = name;
+        this.store.save(this.draft);
+        this.store.setActive(name);
+        if (input) input.value = '';
+        this.renderProfileSelects();
+        Utils.notify(`Saved scoring profile "${name}"`, 'success');
+    }
+
+    deleteProfile() {
+        const name = this.draft.name;
+        this.store.remove(name);
+        Utils.notify(`Deleted scoring profile "${name}"`, 'success');
+        this.selectProfile(this.store.get(name) ? name : DEFAULT_SCORING_PROFILE.name);
+        this.renderProfileSelects();
+    }
+
+    // Re-score the universe with the draft and refresh the diff
+    async applyDraft() {
+        await this.app.applyScoringProfile(ScoringProfileStore.clone(this.draft));
+        this.renderDiff();
+    }
+
+    setPath(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((o, k) => o[k], obj);
+        target[last] = value;
+    }
+
+    numberInput(path, value, step = 1) {
+        return `<input type="number" class="profile-input" data-path="${path}" value="${value}" step="${step}">`;
+    }
+
+    renderForm() {
+        const form = document.getElementById('profileForm');
+        if (!form) return;
+
+        const { health, undervaluation, classification } = this.draft;
+        const labels = {
+            profitMargin: 'Profit Margin (%)',
+            roe: 'ROE (%)',
+            debtToEquity: 'Debt-to-Equity',
+            revenueGrowth: 'Revenue Growth (%)',
+            profitGrowth: 'Profit Growth (%)'
+        };
+
+        form.innerHTML = `
+            <h4 class="profile-heading">Health Score Buckets</h4>
+            <div class="profile-buckets">
+                ${Object.keys(health).map(metric => `
+                    <div class="profile-bucket-group">
+                        <div class="profile-label">${labels[metric] || metric}</div>
+                        ${health[metric].map((bucket, i) => {
+                            const bound = 'above' in bucket ? 'above' : 'below';
+                            return `
+                                <div class="profile-row">
+                                    <span>${bound === 'above' ? '&gt;' : '&lt;'}</span>
+                                    ${this.numberInput(`health.${metric}.${i}.${bound}`, bucket[bound], 0.1)}
+                                    <span>→</span>
+                                    ${this.numberInput(`health.${metric}.${i}.points`, bucket.points)}
+                                    <span>pts</span>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                `).join('')}
+            </div>
+
+            <h4 class="profile-heading">Undervaluation Weights <span id="weightTotal" class="profile-note"></span></h4>
+            <div class="profile-fields">
+                ${Object.keys(undervaluation.weights).map(key => `
+                    <label class="profile-field">
+                        <span>${key.replace('Score', '')}</span>
+                        ${this.numberInput(`undervaluation.weights.${key}`, undervaluation.weights[key], 0.05)}
+                    </label>
+                `).join('')}
+                <label class="profile-field">
+                    <span>ROE cap (%)</span>
+                    ${this.numberInput('undervaluation.roeCap', undervaluation.roeCap)}
+                </label>
+                <label class="profile-field">
+                    <span>Normalization</span>
+                    <select class="profile-input profile-select" data-path="undervaluation.normalization">
+                        <option value="minmax" ${undervaluation.normalization === 'minmax' ? 'selected' : ''}>Global min-max</option>
+                        <option value="sectorZ" ${undervaluation.normalization === 'sectorZ' ? 'selected' : ''}>Sector z-score</option>
+                    </select>
+                </label>
+            </div>
+
+            <h4 class="profile-heading">Classification Cutoffs</h4>
+            <div class="profile-fields">
+                ${Object.keys(classification).map(category => Object.keys(classification[category]).map(key => `
+                    <label class="profile-field">
+                        <span>${category} · ${key}</span>
+                        ${this.numberInput(`classification.${category}.${key}`, classification[category][key], key === 'minDebtToEquity' ? 0.1 : 1)}
+                    </label>
+                `).join('')).join('')}
+            </div>
+        `;
+
+        this.renderWeightTotal();
+    }
+
+    // Weights are renormalized when features are missing, but flag totals that drift from 1
+    renderWeightTotal() {
+        const el = document.getElementById('weightTotal');
+        if (!el) return;
+        const total = Object.values(this.draft.undervaluation.weights).reduce((a, b) => a + b, 0);
+        el.textContent = `(total ${total.toFixed(2)})`;
+        el.style.color = Math.abs(total - 1) > 0.001 ? 'var(--warning)' : 'var(--text-muted)';
+    }
+
+    // Companies whose category differs between the compare profile and the current draft
+    renderDiff() {
+        const container = document.getElementById('profileDiff');
+        if (!container) return;
+
+        const compareProfile = this.store.get(this.compareName) || ScoringProfileStore.normalize(DEFAULT_SCORING_PROFILE);
+        const before = this.app.scoreWithProfile(compareProfile);
+        const changes = this.app.allAnalyzedData
+            .map(company => ({
+                company,
+                from: before[company.ticker],
+                to: company.ml
+            }))
+            .filter(c => c.from && c.from.category !== c.to.classification.category);
+
+        if (changes.length === 0) {
+            container.innerHTML = `<p style="color: var(--text-muted);">No category changes vs "${Utils.escapeHtml(compareProfile.name)}".</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <p style="color: var(--text-muted); margin-bottom: 1rem;">${changes.length} ${changes.length === 1 ? 'company changes' : 'companies change'} category vs "${Utils.escapeHtml(compareProfile.name)}"</p>
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Company</th><th>Category</th><th>Health</th><th>Undervaluation</th></tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map(({ company, from, to }) => `
+                            <tr class="company-link" data-ticker="${Utils.escapeHtml(company.ticker)}" style="cursor: pointer;">
+                                <td>${Utils.escapeHtml(company.company)} <span style="color: var(--text-muted);">${Utils.escapeHtml(company.ticker)}</span></td>
+                                <td>
+                                    <span class="badge ${from.category}">${from.category.toUpperCase()}</span>
+                                    →
+                                    <span class="badge ${to.classification.category}">${to.classification.category.toUpperCase()}</span>
+                                </td>
+                                <td>${from.healthScore.toFixed(0)} → ${to.healthScore.toFixed(0)}</td>
+                                <td>${from.undervalScore.toFixed(0)} → ${to.undervalScore.toFixed(0)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Make ScoringPanel available globally
+window.ScoringPanel = ScoringPanel;
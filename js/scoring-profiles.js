@@ -0,0 +1,151 @@
+// ========================================
+// Scoring Profiles - Weights & Thresholds
+// ========================================
+
+// A profile is plain JSON. Health buckets are checked in order and the first
+// match wins: { above: x, points: p } scores when value > x,
+// { below: x, points: p } when value < x.
+const DEFAULT_SCORING_PROFILE = {
+    name: 'Default',
+    health: {
+        profitMargin: [{ above: 20, points: 20 }, { above: 10, points: 15 }, { above: 5, points: 10 }, { above: 0, points: 5 }],
+        roe: [{ above: 20, points: 20 }, { above: 15, points: 15 }, { above: 10, points: 10 }, { above: 5, points: 5 }],
+        debtToEquity: [{ below: 0.5, points: 30 }, { below: 1, points: 20 }, { below: 2, points: 10 }, { below: 3, points: 5 }],
+        revenueGrowth: [{ above: 20, points: 15 }, { above: 10, points: 10 }, { above: 5, points: 5 }],
+        profitGrowth: [{ above: 20, points: 15 }, { above: 10, points: 10 }, { above: 5, points: 5 }]
+    },
+    undervaluation: {
+        weights: {
+            valuationScore: 0.35,
+            profitabilityScore: 0.30,
+            debtScore: 0.20,
+            roeScore: 0.15
+        },
+        // ROE (%) that earns a full roeScore
+        roeCap: 30,
+        // 'minmax' = global min-max scaling; 'sectorZ' = z-score within the sector
+        normalization: 'minmax'
+    },
+    classification: {
+        undervalued: { minScore: 70, minHealth: 60 },
+        overvalued: { maxHealth: 40, minDebtToEquity: 3 },
+        growth: { minMomentum: 75, minHealth: 50 },
+        stable: { minMarketCap: 50000, minHealth: 50 }
+    }
+};
+
+class ScoringProfileStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.scoringProfiles';
+        this.activeKey = 'mi.activeScoringProfile';
+    }
+
+    // Fill any keys a saved/imported profile is missing from the default
+    static normalize(profile) {
+        const merge = (base, override) => {
+            if (Array.isArray(base)) return Array.isArray(override) ? override : base;
+            if (base && typeof base === 'object') {
+                const out = {};
+                Object.keys(base).forEach(key => {
+                    out[key] = merge(base[key], override ? override[key] : undefined);
+                });
+                return out;
+            }
+            return Utils.isValidNumber(override) || typeof override === 'string' ? override : base;
+        };
+        return merge(DEFAULT_SCORING_PROFILE, profile || {});
+    }
+
+    static clone(profile) {
+        return JSON.parse(JSON.stringify(profile));
+    }
+
+    getSaved() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Built-ins first, then user profiles (a saved profile can shadow a built-in name)
+    list() {
+        const profiles = {};
+        ScoringProfileStore.BUILT_IN.forEach(p => { profiles[p.name] = p; });
+        Object.values(this.getSaved()).forEach(p => { profiles[p.name] = p; });
+        return Object.values(profiles).map(p => ScoringProfileStore.normalize(p));
+    }
+
+    get(name) {
+        return this.list().find(p => p.name === name) || null;
+    }
+
+    isBuiltIn(name) {
+        return ScoringProfileStore.BUILT_IN.some(p => p.name === name) && !this.getSaved()[name];
+    }
+
+    save(profile) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        saved[profile.name] = ScoringProfileStore.normalize(profile);
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    remove(name) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        delete saved[name];
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    getActiveName() {
+        return (this.storage && this.storage.getItem(this.activeKey)) || DEFAULT_SCORING_PROFILE.name;
+    }
+
+    getActive() {
+        return this.get(this.getActiveName()) || ScoringProfileStore.normalize(DEFAULT_SCORING_PROFILE);
+    }
+
+    setActive(name) {
+        if (this.storage) this.storage.setItem(this.activeKey, name);
+    }
+}
+
+ScoringProfileStore.BUILT_IN = [
+    DEFAULT_SCORING_PROFILE,
+    {
+        name: 'Conservative',
+        health: {
+            debtToEquity: [{ below: 0.3, points: 30 }, { below: 0.7, points: 20 }, { below: 1.5, points: 10 }, { below: 2, points: 5 }]
+        },
+        undervaluation: {
+            weights: { valuationScore: 0.30, profitabilityScore: 0.25, debtScore: 0.35, roeScore: 0.10 }
+        },
+        classification: {
+            undervalued: { minScore: 75, minHealth: 70 },
+            overvalued: { maxHealth: 45, minDebtToEquity: 2 },
+            growth: { minMomentum: 80, minHealth: 60 },
+            stable: { minMarketCap: 100000, minHealth: 60 }
+        }
+    },
+    {
+        name: 'Growth-tilted',
+        health: {
+            debtToEquity: [{ below: 0.5, points: 20 }, { below: 1, points: 15 }, { below: 2, points: 8 }, { below: 3, points: 4 }],
+            revenueGrowth: [{ above: 15, points: 20 }, { above: 8, points: 15 }, { above: 3, points: 8 }],
+            profitGrowth: [{ above: 15, points: 20 }, { above: 8, points: 15 }, { above: 3, points: 8 }]
+        },
+        undervaluation: {
+            weights: { valuationScore: 0.25, profitabilityScore: 0.35, debtScore: 0.15, roeScore: 0.25 }
+        },
+        classification: {
+            growth: { minMomentum: 65, minHealth: 45 }
+        }
+    }
+];
+
+// Make scoring profiles available globally
+window.DEFAULT_SCORING_PROFILE = DEFAULT_SCORING_PROFILE;
+window.ScoringProfileStore = ScoringProfileStore;
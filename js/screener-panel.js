@@ -0,0 +1,233 @@
+// ========================================
+// Screener Rule Builder Panel
+// ========================================
+
+class ScreenerPanel {
+    constructor(app) {
+        this.app = app;
+        this.store = new ScreenStore();
+        // Screen being edited; applied to the Stock Explorer as it changes
+        this.draft = Screener.emptyScreen();
+        this.refreshStocks = Utils.debounce(() => this.app.renderStocks(), 300);
+    }
+
+    setup() {
+        const select = document.getElementById('screenSelect');
+        if (select) select.addEventListener('change', (e) => this.loadScreen(e.target.value));
+
+        const saveBtn = document.getElementById('screenSave');
+        if (saveBtn) saveBtn.addEventListener('click', () => this.saveScreen());
+
+        const deleteBtn = document.getElementById('screenDelete');
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteScreen());
+
+        const builder = document.getElementById('screenBuilder');
+        if (builder) {
+            builder.addEventListener('change', (e) => {
+                const { path, prop } = e.target.dataset;
+                if (path === undefined || !prop) return;
+                this.setProp(path, prop, e.target.value);
+                // Field/operator changes can swap input types - re-render the rows
+                this.render();
+                this.app.renderStocks();
+            });
+            builder.addEventListener('input', (e) => {
+                const { path, prop } = e.target.dataset;
+                if (prop !== 'value' || e.target.tagName !== 'INPUT') return;
+                this.setProp(path, prop, e.target.value);
+                this.renderCounts();
+                this.refreshStocks();
+            });
+            builder.addEventListener('click', (e) => {
+                const { action, path } = e.target.dataset;
+                if (!action) return;
+                if (action === 'add-rule') this.getNode(path).rules.push(this.newRule());
+                if (action === 'add-group') this.getNode(path).rules.push({ op: 'OR', rules: [this.newRule()] });
+                if (action === 'remove') this.removeNode(path);
+                this.render();
+                this.app.renderStocks();
+            });
+        }
+    }
+
+    hasRules() {
+        return this.draft.root.rules.length > 0;
+    }
+
+    newRule() {
+        return { field: 'roe', cmp: '>', value: 15 };
+    }
+
+    // Paths are dot-separated rule indexes from the root ('' = root)
+    parsePath(path) {
+        return path === '' ? [] : path.split('.').map(Number);
+    }
+
+    getNode(path) {
+        return this.parsePath(path).reduce((node, i) => node.rules[i], this.draft.root);
+    }
+
+    removeNode(path) {
+        const indexes = this.parsePath(path);
+        const last = indexes.pop();
+        const parent = indexes.reduce((node, i) => node.rules[i], this.draft.root);
+        parent.rules.splice(last, 1);
+    }
+
+    setProp(path, prop, value) {
+        const node = this.getNode(path);
+        node[prop] = value;
+
+        // New field - reset operator/value to something valid for its type
+        if (prop === 'field') {
+            const field = Screener.getField(value);
+            if (field.type === 'enum') {
+                node.cmp = '=';
+                node.value = this.getOptions(field)[0];
+            } else if (!Screener.NUMERIC_OPERATORS.includes(node.cmp) || isNaN(parseFloat(node.value))) {
+                node.cmp = '>';
+                node.value = 0;
+            }
+        }
+    }
+
+    getOptions(field) {
+        if (field.id === 'sector') return this.app.dataLoader.getSectors();
+        return field.options || [];
+    }
+
+    loadScreen(name) {
+        const screen = name ? this.store.get(name) : null;
+        this.draft = screen ? JSON.parse(JSON.stringify(screen)) : Screener.emptyScreen();
+        this.render();
+        this.app.renderStocks();
+    }
+
+    saveScreen() {
+        const input = document.getElementById('screenName');
+        const name = (input && input.value.trim()) || this.draft.name;
+        if (!name) {
+            Utils.notify('Enter a name for the screen', 'error');
+            return;
+        }
+        if (!this.hasRules()) {
+            Utils.notify('Add at least one rule before saving', 'error');
+            return;
+        }
+
+        this.draft.name = name;
+        this.store.save(this.draft);
+        if (input) input.value = '';
+        this.render();
+        Utils.notify(`Saved screen "${name}"`, 'success');
+    }
+
+    deleteScreen() {
+        const name = this.draft.name;
+        if (!name || !this.store.get(name)) return;
+        this.store.remove(name);
+        this.loadScreen('');
+        Utils.notify(`Deleted screen "${name}"`, 'success');
+    }
+
+    // Restrict the Stock Explorer's list to the draft screen (no-op without rules)
+    apply(companies) {
+        if (!this.hasRules()) return companies;
+        const passing = new Set(this.app.screener.run(this.draft).map(c => c.ticker));
+        return companies.filter(c => passing.has(c.ticker));
+    }
+
+    render() {
+        const select = document.getElementById('screenSelect');
+        if (select) {
+            const saved = this.store.list();
+            select.innerHTML = `
+                <option value="">New screen</option>
+                ${saved.map(s => `<option value="${Utils.escapeHtml(s.name)}" ${s.name === this.draft.name ? 'selected' : ''}>${Utils.escapeHtml(s.name)}</option>`).join('')}
+            `;
+        }
+
+        const deleteBtn = document.getElementById('screenDelete');
+        if (deleteBtn) deleteBtn.disabled = !this.draft.name || !this.store.get(this.draft.name);
+
+        const builder = document.getElementById('screenBuilder');
+        if (builder) builder.innerHTML = this.renderGroup(this.draft.root, '');
+
+        this.renderCounts();
+    }
+
+    renderGroup(group, path) {
+        const isRoot = path === '';
+        const childPath = (i) => (isRoot ? `${i}` : `${path}.${i}`);
+
+        return `
+            <div class="screen-group ${isRoot ? 'root' : ''}">
+                <div class="screen-group-header">
+                    <select class="filter-select screen-op" data-path="${path}" data-prop="op" title="Combine rules with">
+                        <option value="AND" ${group.op === 'AND' ? 'selected' : ''}>Match ALL (AND)</option>
+                        <option value="OR" ${group.op === 'OR' ? 'selected' : ''}>Match ANY (OR)</option>
+                    </select>
+                    ${isRoot ? '' : `<button class="action-btn secondary" data-action="remove" data-path="${path}">Remove Group</button>`}
+                </div>
+                ${group.rules.map((node, i) => (Screener.isGroup(node)
+                    ? this.renderGroup(node, childPath(i))
+                    : this.renderRule(node, childPath(i)))).join('')}
+                <div class="screen-actions">
+                    <button class="action-btn secondary" data-action="add-rule" data-path="${path}">+ Rule</button>
+                    ${isRoot ? `<button class="action-btn secondary" data-action="add-group" data-path="${path}">+ Group</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderRule(rule, path) {
+        const field = Screener.getField(rule.field) || Screener.FIELDS[0];
+        const groups = Utils.unique(Screener.FIELDS.map(f => f.group));
+        const operators = field.type === 'enum' ? Screener.ENUM_OPERATORS : Screener.NUMERIC_OPERATORS;
+
+        const valueInput = field.type === 'enum'
+            ? `<select class="filter-select" data-path="${path}" data-prop="value">
+                   ${this.getOptions(field).map(o => `<option value="${Utils.escapeHtml(o)}" ${String(rule.value) === String(o) ? 'selected' : ''}>${Utils.escapeHtml(o)}</option>`).join('')}
+               </select>`
+            : `<input type="number" class="profile-input" data-path="${path}" data-prop="value" value="${rule.value}" step="any">`;
+
+        return `
+            <div class="screen-rule">
+                <select class="filter-select" data-path="${path}" data-prop="field">
+                    ${groups.map(g => `
+                        <optgroup label="${g}">
+                            ${Screener.FIELDS.filter(f => f.group === g).map(f => `<option value="${f.id}" ${f.id === field.id ? 'selected' : ''}>${f.label}</option>`).join('')}
+                        </optgroup>
+                    `).join('')}
+                </select>
+                <select class="filter-select" data-path="${path}" data-prop="cmp">
+                    ${operators.map(op => `<option value="${op}" ${op === rule.cmp ? 'selected' : ''}>${op}</option>`).join('')}
+                </select>
+                ${valueInput}
+                <span class="screen-count" data-count-path="${path}"></span>
+                <button class="action-btn secondary" data-action="remove" data-path="${path}">&times;</button>
+            </div>
+        `;
+    }
+
+    // Running match count beside each rule, plus the overall summary
+    renderCounts() {
+        const { screener } = this.app;
+        const total = screener.rows.length;
+
+        document.querySelectorAll('[data-count-path]').forEach(el => {
+            const count = screener.countAt(this.draft, this.parsePath(el.dataset.countPath));
+            el.textContent = `${count} match`;
+        });
+
+        const summary = document.getElementById('screenSummary');
+        if (summary) {
+            summary.textContent = this.hasRules()
+                ? `${screener.count(this.draft.root)} of ${total} companies match: ${Screener.describe(this.draft.root)}`
+                : `No rules - showing all ${total} companies`;
+        }
+    }
+}
+
+// Make ScreenerPanel available globally
+window.ScreenerPanel = ScreenerPanel;
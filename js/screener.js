@@ -0,0 +1,223 @@
+// ========================================
+// Stock Screener - Rules, Evaluation & Saved Screens
+// ========================================
+
+// A screen is plain JSON:
+//   { name, root: { op: 'AND' | 'OR', rules: [rule | group, ...] } }
+// where a rule is { field, cmp, value } and a group has the same shape as root.
+// Rules whose field has no value for a company (e.g. P/B without market cap) fail.
+class Screener {
+    constructor(companies, analyzer, dataLoader) {
+        this.rows = Screener.buildRows(companies, analyzer, dataLoader);
+    }
+
+    // One row per analyzed company with everything a rule can reference
+    static buildRows(companies, analyzer, dataLoader) {
+        const growthByTicker = {};
+        dataLoader.calculateGrowthMetrics().forEach(c => { growthByTicker[c.ticker] = c.growth; });
+
+        return companies.map(company => ({
+            company,
+            metrics: analyzer.calculateMetrics(company),
+            risk: analyzer.calculateRisk(company),
+            growth: growthByTicker[company.ticker] || null
+        }));
+    }
+
+    static getField(id) {
+        return Screener.FIELDS.find(f => f.id === id) || null;
+    }
+
+    static emptyScreen(name = '') {
+        return { name, root: { op: 'AND', rules: [] } };
+    }
+
+    static isGroup(node) {
+        return Boolean(node && Array.isArray(node.rules));
+    }
+
+    static valueOf(row, field) {
+        const value = field.get(row);
+        return value === undefined ? null : value;
+    }
+
+    static test(rule, row) {
+        const field = Screener.getField(rule.field);
+        if (!field) return false;
+
+        const actual = Screener.valueOf(row, field);
+        if (actual === null) return false;
+
+        if (field.type === 'enum') {
+            const match = String(actual) === String(rule.value);
+            return rule.cmp === '!=' ? !match : match;
+        }
+
+        const target = Utils.toNumber(rule.value);
+        if (!Utils.isValidNumber(actual) || target === null) return false;
+        switch (rule.cmp) {
+            case '>': return actual > target;
+            case '>=': return actual >= target;
+            case '<': return actual < target;
+            case '<=': return actual <= target;
+            case '=': return actual === target;
+            case '!=': return actual !== target;
+            default: return false;
+        }
+    }
+
+    // Empty groups match everything so a half-built screen doesn't hide all companies
+    static matches(node, row) {
+        if (!Screener.isGroup(node)) return Screener.test(node, row);
+        if (node.rules.length === 0) return true;
+        return node.op === 'OR'
+            ? node.rules.some(child => Screener.matches(child, row))
+            : node.rules.every(child => Screener.matches(child, row));
+    }
+
+    // Companies passing the screen
+    run(screen) {
+        return this.rows.filter(row => Screener.matches(screen.root, row)).map(row => row.company);
+    }
+
+    count(node) {
+        return this.rows.filter(row => Screener.matches(node, row)).length;
+    }
+
+    // The screen as it stood when the node at `path` (rule indexes from root)
+    // was added: everything before it in reading order, plus the node itself
+    static truncateAt(group, path) {
+        const [head, ...rest] = path;
+        const rules = group.rules.slice(0, head);
+        const node = group.rules[head];
+        rules.push(rest.length > 0 ? Screener.truncateAt(node, rest) : node);
+        return { op: group.op, rules };
+    }
+
+    // How many companies match once the rule at `path` is added
+    countAt(screen, path) {
+        return this.count(Screener.truncateAt(screen.root, path));
+    }
+
+    // Display a field value using its `format`
+    static formatValue(field, value) {
+        if (value === null || value === undefined) return 'N/A';
+        switch (field.format) {
+            case 'currency': return Utils.formatCurrency(value);
+            case 'percent': return Utils.formatPercent(value);
+            case 'ratio': return value.toFixed(2);
+            case 'score': return value.toFixed(0);
+            default: return String(value);
+        }
+    }
+
+    // Rule from text such as 'roe>15', 'debtToEquity <= 1' or 'sector=IT/Technology'
+    // (field ids as in FIELDS, case-insensitive); throws on anything else
+    static parseRule(text) {
+        const match = /^\s*(\w+)\s*(>=|<=|!=|=|>|<)\s*(.+?)\s*$/.exec(String(text || ''));
+        if (!match) throw new Error(`Cannot read rule '${text}' - expected e.g. roe>15`);
+
+        const [, id, cmp, value] = match;
+        const field = Screener.FIELDS.find(f => f.id.toLowerCase() === id.toLowerCase());
+        if (!field) throw new Error(`Unknown field '${id}' in rule '${text}'`);
+
+        const enumField = field.type === 'enum';
+        const operators = enumField ? Screener.ENUM_OPERATORS : Screener.NUMERIC_OPERATORS;
+        if (!operators.includes(cmp)) throw new Error(`'${cmp}' can't be used with ${field.label} in rule '${text}'`);
+        if (!enumField && Utils.toNumber(value) === null) throw new Error(`${field.label} needs a number in rule '${text}'`);
+
+        return { field: field.id, cmp, value };
+    }
+
+    // Readable form, e.g. "ROE > 15 AND (D/E < 1 OR Sector = IT/Technology)"
+    static describe(node, nested = false) {
+        if (!Screener.isGroup(node)) {
+            const field = Screener.getField(node.field);
+            return `${field ? field.label : node.field} ${node.cmp} ${node.value}`;
+        }
+        if (node.rules.length === 0) return 'All companies';
+        const text = node.rules.map(child => Screener.describe(child, true)).join(` ${node.op} `);
+        return nested && node.rules.length > 1 ? `(${text})` : text;
+    }
+}
+
+Screener.NUMERIC_OPERATORS = ['>', '>=', '<', '<=', '=', '!='];
+Screener.ENUM_OPERATORS = ['=', '!='];
+
+// Fields available to rules (and Stock Explorer table columns), grouped for the
+// field picker; `format` is how the value is displayed
+Screener.FIELDS = [
+    // Fundamentals (FinancialAnalyzer.calculateMetrics, latest FY)
+    { id: 'revenue', label: 'Revenue (Cr)', group: 'Fundamentals', format: 'currency', get: r => r.metrics.revenue },
+    { id: 'netProfit', label: 'Net Profit (Cr)', group: 'Fundamentals', format: 'currency', get: r => r.metrics.netProfit },
+    { id: 'profitMargin', label: 'Profit Margin %', group: 'Fundamentals', format: 'percent', get: r => r.metrics.profitMargin },
+    { id: 'roe', label: 'ROE %', group: 'Fundamentals', format: 'percent', get: r => r.metrics.roe },
+    { id: 'debtToEquity', label: 'D/E', group: 'Fundamentals', format: 'ratio', get: r => r.metrics.debtToEquity },
+    { id: 'marketCap', label: 'Market Cap (Cr)', group: 'Fundamentals', format: 'currency', get: r => r.metrics.marketCap },
+    { id: 'priceToEquity', label: 'P/B', group: 'Fundamentals', format: 'ratio', get: r => r.metrics.priceToEquity },
+    { id: 'priceToSales', label: 'P/S', group: 'Fundamentals', format: 'ratio', get: r => r.metrics.priceToSales },
+    // Bank metrics (only set for companies scored by the banking model)
+    { id: 'roa', label: 'ROA %', group: 'Banks', format: 'percent', get: r => r.metrics.roa },
+    { id: 'equityToAssets', label: 'Equity/Assets %', group: 'Banks', format: 'percent', get: r => r.metrics.equityToAssets },
+    { id: 'nim', label: 'NIM %', group: 'Banks', format: 'percent', get: r => r.metrics.nim },
+    { id: 'gnpa', label: 'GNPA %', group: 'Banks', format: 'percent', get: r => r.metrics.gnpa },
+    { id: 'nnpa', label: 'NNPA %', group: 'Banks', format: 'percent', get: r => r.metrics.nnpa },
+    { id: 'casa', label: 'CASA %', group: 'Banks', format: 'percent', get: r => r.metrics.casa },
+    // Model scores (MLEngine insights)
+    { id: 'healthScore', label: 'Health Score', group: 'Scores', format: 'score', get: r => r.company.ml.healthScore },
+    { id: 'undervalScore', label: 'Undervaluation Score', group: 'Scores', format: 'score', get: r => r.company.ml.undervalScore },
+    { id: 'momentum', label: 'Momentum Score', group: 'Scores', format: 'score', get: r => r.company.ml.momentum },
+    { id: 'category', label: 'Category', group: 'Scores', type: 'enum', options: ['undervalued', 'overvalued', 'growth', 'stable', 'neutral'], get: r => r.company.ml.classification.category },
+    { id: 'risk', label: 'Risk Level', group: 'Scores', type: 'enum', options: ['low', 'medium', 'high'], get: r => r.risk },
+    { id: 'sector', label: 'Sector', group: 'Scores', type: 'enum', get: r => r.company.sector },
+    // Multi-year growth (DataLoader.calculateGrowthMetrics)
+    { id: 'avgRevenueGrowth', label: 'Avg Revenue Growth %', group: 'Growth', format: 'percent', get: r => r.growth && r.growth.avgRevenueGrowth },
+    { id: 'avgProfitGrowth', label: 'Avg Profit Growth %', group: 'Growth', format: 'percent', get: r => r.growth && r.growth.avgProfitGrowth },
+    { id: 'revenueCagr3', label: '3-yr Revenue CAGR %', group: 'Growth', format: 'percent', get: r => r.growth && r.growth.revenueCagr3 },
+    { id: 'profitCagr3', label: '3-yr Profit CAGR %', group: 'Growth', format: 'percent', get: r => r.growth && r.growth.profitCagr3 },
+    { id: 'revenueCagr', label: 'Full-history Revenue CAGR %', group: 'Growth', format: 'percent', get: r => r.growth && r.growth.revenueCagr },
+    { id: 'profitCagr', label: 'Full-history Profit CAGR %', group: 'Growth', format: 'percent', get: r => r.growth && r.growth.profitCagr },
+    { id: 'consistentGrowth', label: 'Grew Every Year', group: 'Growth', type: 'enum', options: ['yes', 'no'], get: r => (r.growth ? (r.growth.consistentGrowth ? 'yes' : 'no') : null) }
+];
+
+class ScreenStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.screens';
+    }
+
+    getSaved() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    list() {
+        return Object.values(this.getSaved()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.getSaved()[name] || null;
+    }
+
+    save(screen) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        saved[screen.name] = screen;
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    remove(name) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        delete saved[name];
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+}
+
+// Make screener classes available globally
+window.Screener = Screener;
+window.ScreenStore = ScreenStore;
@@ -0,0 +1,104 @@
+// ========================================
+// Sector Analysis - Aggregates Over Time
+// ========================================
+
+// Per-sector time series built from every constituent's FY history. A FY's
+// totals only include the companies reporting that year (`reporting` says how
+// many), so a jump can mean a company entered the dataset rather than growth.
+class SectorAnalyzer {
+    constructor(companies, analyzer) {
+        this.companies = companies;
+        this.analyzer = analyzer;
+    }
+
+    constituents(sector) {
+        return this.companies.filter(c => c.sector === sector);
+    }
+
+    // FY labels across the constituents, oldest first
+    fiscalYears(companies) {
+        return Utils.unique(companies.flatMap(c => c.years.map(y => y.fy)))
+            .sort(Utils.comparePeriods);
+    }
+
+    // [{ fy, revenue, netProfit, reporting }]; a FY with missing revenue or
+    // profit doesn't count as reported
+    totals(sector) {
+        const companies = this.constituents(sector);
+        return this.fiscalYears(companies).map(fy => {
+            const rows = companies
+                .map(c => c.years.find(y => y.fy === fy))
+                .filter(y => y && Utils.isValidNumber(y.revenue) && Utils.isValidNumber(y.netProfit));
+            return {
+                fy,
+                revenue: rows.reduce((sum, y) => sum + y.revenue, 0),
+                netProfit: rows.reduce((sum, y) => sum + y.netProfit, 0),
+                reporting: rows.length
+            };
+        });
+    }
+
+    // CAGR (%) of a totals field from the first to the last FY (or TTM quarter)
+    cagr(totals, field) {
+        if (totals.length < 2) return null;
+        const first = totals[0];
+        const last = totals[totals.length - 1];
+        const periods = ((Utils.periodIndex(last.fy) || 0) - (Utils.periodIndex(first.fy) || 0)) / 4 || totals.length - 1;
+        return Utils.cagr(first[field], last[field], periods);
+    }
+
+    // Median and interquartile range of a ratio across constituents, per FY:
+    // [{ fy, median, q1, q3, count }]
+    distribution(sector, metric) {
+        const byCompany = this.constituents(sector).map(c => this.analyzer.calculateMetricsByYear(c));
+        const years = Utils.unique(byCompany.flatMap(rows => rows.map(r => r.fy)))
+            .sort(Utils.comparePeriods);
+
+        return years.map(fy => {
+            const values = byCompany
+                .map(rows => rows.find(r => r.fy === fy))
+                .filter(r => r && Utils.isValidNumber(r.metrics[metric]))
+                .map(r => r.metrics[metric]);
+            return {
+                fy,
+                median: Utils.median(values),
+                q1: Utils.quantile(values, 0.25),
+                q3: Utils.quantile(values, 0.75),
+                count: values.length
+            };
+        });
+    }
+
+    // Each company's % of sector revenue per FY: { years, series: [{ ticker, shares }] }
+    revenueShare(sector) {
+        const totals = this.totals(sector);
+        const series = this.constituents(sector).map(company => ({
+            ticker: company.ticker,
+            shares: totals.map(total => {
+                const year = company.years.find(y => y.fy === total.fy);
+                return year && total.revenue > 0 ? (year.revenue / total.revenue) * 100 : 0;
+            })
+        }));
+        return { years: totals.map(t => t.fy), series };
+    }
+
+    // Constituents sorted by an `ml` score, highest first
+    rank(sector, scoreKey = 'healthScore') {
+        return [...this.constituents(sector)].sort((a, b) => b.ml[scoreKey] - a.ml[scoreKey]);
+    }
+}
+
+SectorAnalyzer.RATIOS = [
+    { key: 'profitMargin', label: 'Profit Margin', format: 'percent' },
+    { key: 'roe', label: 'ROE', format: 'percent' },
+    { key: 'debtToEquity', label: 'Debt-to-Equity', format: 'ratio' }
+];
+
+SectorAnalyzer.RANK_BY = [
+    { key: 'healthScore', label: 'Health' },
+    { key: 'undervalScore', label: 'Undervaluation' },
+    { key: 'momentum', label: 'Momentum' }
+];
+
+// Make SectorAnalyzer available globally
+window.SectorAnalyzer = SectorAnalyzer;
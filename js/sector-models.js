@@ -0,0 +1,157 @@
+// ========================================
+// Sector Scoring Models
+// ========================================
+
+// Registry FinancialAnalyzer consults by company.sector; companies with no
+// matching model fall back to the generic (debt-to-equity based) scoring.
+class SectorModelRegistry {
+    constructor() {
+        this.models = [];
+    }
+
+    register(model) {
+        this.models.push(model);
+        return this;
+    }
+
+    resolve(sector) {
+        if (!sector) return null;
+        return this.models.find(model => model.matches(sector)) || null;
+    }
+}
+
+// Banks & NBFCs: deposits and borrowings are raw material, so leverage is
+// judged on equity-to-assets and asset quality instead of debt-to-equity.
+class BankingModel {
+    constructor() {
+        this.id = 'banking';
+        this.label = 'Banks & NBFCs';
+        this.usesDebtToEquity = false;
+    }
+
+    matches(sector) {
+        return /bank|financ|nbfc|lending/i.test(sector);
+    }
+
+    // Add bank-specific ratios to the generic metrics (null when data is missing)
+    extendMetrics(metrics, latestYear) {
+        const hasAssets = Utils.isValidNumber(latestYear.totalAssets) && latestYear.totalAssets > 0;
+        const perAssets = (value) => (hasAssets && Utils.isValidNumber(value) ? Utils.safeDivide(value, latestYear.totalAssets) * 100 : null);
+        return {
+            ...metrics,
+            equityToAssets: perAssets(latestYear.totalEquity),
+            roa: perAssets(latestYear.netProfit),
+            nim: Utils.isValidNumber(latestYear.nim) ? latestYear.nim : null,
+            gnpa: Utils.isValidNumber(latestYear.gnpa) ? latestYear.gnpa : null,
+            nnpa: Utils.isValidNumber(latestYear.nnpa) ? latestYear.nnpa : null,
+            casa: Utils.isValidNumber(latestYear.casa) ? latestYear.casa : null
+        };
+    }
+
+    // Points for the first [limit, points] bucket the value clears; null if value missing
+    bucket(value, buckets, higherIsBetter = true) {
+        if (value === null || value === undefined) return null;
+        const hit = buckets.find(([limit]) => (higherIsBetter ? value > limit : value < limit));
+        return hit ? hit[1] : 0;
+    }
+
+    // Health score (0-100); components without data are dropped and the rest rescaled
+    calculateHealthScore(company, analyzer) {
+        return this.explainHealthScore(company, analyzer).score;
+    }
+
+    explainHealthScore(company, analyzer) {
+        const metrics = analyzer.calculateMetrics(company);
+
+        let profitGrowth = null;
+        const prevYear = Utils.priorYear(company.years);
+        if (prevYear) {
+            const recentYear = company.years[company.years.length - 1];
+            profitGrowth = Utils.growthRate(prevYear.netProfit, recentYear.netProfit);
+        }
+
+        const components = [
+            // Profitability
+            { name: 'ROE', value: metrics.roe, max: 20, points: this.bucket(metrics.roe, [[15, 20], [12, 15], [8, 10], [0, 5]]) },
+            { name: 'ROA', value: metrics.roa, max: 20, points: this.bucket(metrics.roa, [[1.5, 20], [1, 15], [0.5, 10], [0, 5]]) },
+            { name: 'NIM', value: metrics.nim, max: 10, points: this.bucket(metrics.nim, [[4, 10], [3, 7], [2, 4]]) },
+            // Capital & asset quality
+            { name: 'Equity/assets', value: metrics.equityToAssets, max: 15, points: this.bucket(metrics.equityToAssets, [[12, 15], [9, 10], [6, 5]]) },
+            { name: 'GNPA', value: metrics.gnpa, max: 15, points: this.bucket(metrics.gnpa, [[2, 15], [4, 10], [6, 5]], false) },
+            { name: 'NNPA', value: metrics.nnpa, max: 5, points: this.bucket(metrics.nnpa, [[0.5, 5], [1, 3], [2, 1]], false) },
+            // Funding
+            { name: 'CASA', value: metrics.casa, max: 5, points: this.bucket(metrics.casa, [[40, 5], [30, 3]]) },
+            // Growth
+            { name: 'Profit growth', value: profitGrowth, max: 10, points: this.bucket(profitGrowth, [[20, 10], [10, 7], [0, 4]]) }
+        ].filter(c => c.points !== null);
+
+        const earned = components.reduce((sum, c) => sum + c.points, 0);
+        const possible = components.reduce((sum, c) => sum + c.max, 0);
+        const scale = Utils.safeDivide(100, possible);
+        const score = Utils.clamp(earned * scale, 0, 100);
+
+        // Contributions are reported on the rescaled 0-100 basis so they sum to the score
+        const contributions = components.map(c => ({
+            label: `${c.name} ${c.value.toFixed(1)}% (${c.points}/${c.max})`,
+            points: c.points * scale
+        }));
+
+        return { score, contributions };
+    }
+
+    // Risk level from capital, asset quality, profitability and valuation
+    calculateRisk(company, analyzer) {
+        return this.explainRisk(company, analyzer).level;
+    }
+
+    explainRisk(company, analyzer) {
+        const metrics = analyzer.calculateMetrics(company);
+        const contributions = [];
+        const add = (label, points) => contributions.push({ label, points });
+
+        // Capital adequacy proxy
+        if (metrics.equityToAssets !== null) {
+            if (metrics.equityToAssets < 6) add(`Equity/assets ${metrics.equityToAssets.toFixed(1)}% < 6%`, 40);
+            else if (metrics.equityToAssets < 9) add(`Equity/assets ${metrics.equityToAssets.toFixed(1)}% < 9%`, 20);
+        }
+
+        // Asset quality
+        if (metrics.gnpa !== null) {
+            if (metrics.gnpa > 8) add(`GNPA ${metrics.gnpa}% > 8%`, 40);
+            else if (metrics.gnpa > 5) add(`GNPA ${metrics.gnpa}% > 5%`, 25);
+            else if (metrics.gnpa > 3) add(`GNPA ${metrics.gnpa}% > 3%`, 10);
+        }
+        if (metrics.nnpa !== null && metrics.nnpa > 3) add(`NNPA ${metrics.nnpa}% > 3%`, 15);
+
+        // Profitability (ROA when assets are known, else ROE; skipped when both are missing)
+        if (metrics.roa !== null) {
+            if (metrics.roa < 0) add(`ROA ${metrics.roa.toFixed(2)}% < 0%`, 40);
+            else if (metrics.roa < 0.5) add(`ROA ${metrics.roa.toFixed(2)}% < 0.5%`, 20);
+        } else if (metrics.roe !== null) {
+            if (metrics.roe < 0) add(`ROE ${metrics.roe.toFixed(1)}% < 0%`, 40);
+            else if (metrics.roe < 8) add(`ROE ${metrics.roe.toFixed(1)}% < 8%`, 20);
+        }
+
+        // Valuation (price-to-book)
+        if (metrics.hasValuation) {
+            if (metrics.priceToEquity > 5) add(`P/B ${metrics.priceToEquity.toFixed(2)} > 5`, 15);
+            else if (metrics.priceToEquity > 3.5) add(`P/B ${metrics.priceToEquity.toFixed(2)} > 3.5`, 8);
+        }
+
+        if (contributions.length === 0) add('No bank risk flags triggered', 0);
+
+        const score = contributions.reduce((sum, c) => sum + c.points, 0);
+        let level = 'low';
+        if (score >= 65) level = 'high';
+        else if (score >= 35) level = 'medium';
+
+        return { level, score, contributions };
+    }
+}
+
+const SectorModels = new SectorModelRegistry().register(new BankingModel());
+
+// Make sector models available globally
+window.SectorModelRegistry = SectorModelRegistry;
+window.BankingModel = BankingModel;
+window.SectorModels = SectorModels;
@@ -0,0 +1,174 @@
+// ========================================
+// Sector Drill-Down Page
+// ========================================
+
+class SectorView {
+    constructor(app) {
+        this.app = app;
+        this.sector = null; // null shows the all-sectors overview
+        this.rankBy = 'healthScore';
+    }
+
+    setup() {
+        // Sector tiles and the dashboard's sector outlooks open the drill-down
+        ['sectorTiles', 'sectorPredictions'].forEach(id => {
+            const container = document.getElementById(id);
+            if (!container) return;
+            container.addEventListener('click', (e) => {
+                const tile = e.target.closest('[data-sector]');
+                if (tile) this.open(tile.dataset.sector);
+            });
+        });
+
+        const backBtn = document.getElementById('sectorBack');
+        if (backBtn) backBtn.addEventListener('click', () => this.close());
+
+        const reportBtn = document.getElementById('sectorReport');
+        if (reportBtn) reportBtn.addEventListener('click', () => this.app.reports.export('sector', this.sector, 'html'));
+
+        const pdfBtn = document.getElementById('sectorReportPdf');
+        if (pdfBtn) pdfBtn.addEventListener('click', () => this.app.reports.export('sector', this.sector, 'pdf'));
+
+        const rankSelect = document.getElementById('sectorRankBy');
+        if (rankSelect) {
+            rankSelect.addEventListener('change', (e) => {
+                this.rankBy = e.target.value;
+                this.renderConstituents(new SectorAnalyzer(this.app.allAnalyzedData, this.app.analyzer));
+            });
+        }
+    }
+
+    open(sector) {
+        this.sector = sector;
+        this.app.switchSection('sectors');
+    }
+
+    close() {
+        this.sector = null;
+        this.app.switchSection('sectors');
+    }
+
+    render() {
+        if (this.sector && !this.app.dataLoader.getSectors().includes(this.sector)) this.sector = null;
+
+        const overview = document.getElementById('sectorOverview');
+        const detail = document.getElementById('sectorDetail');
+        if (overview) overview.style.display = this.sector ? 'none' : 'block';
+        if (detail) detail.style.display = this.sector ? 'block' : 'none';
+
+        if (this.sector) {
+            this.renderDetail();
+        } else {
+            this.renderTiles();
+        }
+    }
+
+    renderTiles() {
+        const container = document.getElementById('sectorTiles');
+        if (!container) return;
+
+        container.innerHTML = this.app.dataLoader.getSectorStats().map(s => `
+            <div class="sector-tile" data-sector="${Utils.escapeHtml(s.sector)}">
+                <div class="sector-tile-name">${Utils.escapeHtml(s.sector)}</div>
+                <div class="sector-tile-stats">
+                    ${s.companies} ${s.companies === 1 ? 'company' : 'companies'} ·
+                    ${Utils.formatCurrency(s.totalRevenue)} revenue ·
+                    ${Utils.formatPercent(s.avgMargin)} avg margin
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderDetail() {
+        const analysis = new SectorAnalyzer(this.app.allAnalyzedData, this.app.analyzer);
+        const totals = analysis.totals(this.sector);
+        const latest = totals[totals.length - 1];
+        const revenueCagr = analysis.cagr(totals, 'revenue');
+        const profitCagr = analysis.cagr(totals, 'netProfit');
+        const fmt = (value, format) => (value === null ? 'N/A' : format(value));
+        const outlook = this.app.outlook.forSector(this.sector);
+
+        const title = document.getElementById('sectorTitle');
+        if (title) title.textContent = this.sector;
+
+        const summary = document.getElementById('sectorSummary');
+        if (summary) {
+            const stat = (label, value) => `
+                <div class="health-stat">
+                    <div class="health-stat-value">${value}</div>
+                    <div class="health-stat-label">${Utils.escapeHtml(label)}</div>
+                </div>
+            `;
+            summary.innerHTML = `
+                <div class="health-summary">
+                    ${stat('Constituents', analysis.constituents(this.sector).length)}
+                    ${stat(`Revenue ${latest ? latest.fy : ''}`, latest ? Utils.formatCurrency(latest.revenue) : 'N/A')}
+                    ${stat(`Net Profit ${latest ? latest.fy : ''}`, latest ? Utils.formatCurrency(latest.netProfit) : 'N/A')}
+                    ${stat(`Revenue CAGR ${totals.length > 1 ? `${totals[0].fy}-${latest.fy}` : ''}`, fmt(revenueCagr, Utils.formatPercent))}
+                    ${stat('Profit CAGR', fmt(profitCagr, Utils.formatPercent))}
+                </div>
+                ${totals.some(t => t.reporting !== totals[0].reporting)
+                    ? '<p style="color: var(--warning); margin-top: 0.5rem;">Not every company reports every FY - totals cover the companies reporting each year.</p>'
+                    : ''}
+                ${outlook ? `
+                    <div class="sector-outlook">
+                        <strong>2026 outlook: <span class="yoy ${outlook.stance.tone}">${outlook.stance.label}</span></strong>
+                        ${Utils.escapeHtml(outlook.narrative.join(' '))}
+                        ${outlook.notes.map(note => `
+                            <div class="prediction-note">${Utils.escapeHtml(note.icon)} ${Utils.escapeHtml(note.text)} ${this.app.renderNoteMeta(note)}</div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `;
+        }
+
+        const charts = this.app.chartManager;
+        charts.createSectorTrendChart('sectorTrendChart', totals);
+        SectorAnalyzer.RATIOS.forEach(ratio => {
+            charts.createDistributionChart(`sectorBand-${ratio.key}`, analysis.distribution(this.sector, ratio.key), ratio.label);
+        });
+        charts.createRevenueShareChart('sectorShareChart', analysis.revenueShare(this.sector));
+
+        const rankSelect = document.getElementById('sectorRankBy');
+        if (rankSelect) {
+            rankSelect.innerHTML = SectorAnalyzer.RANK_BY.map(r => `
+                <option value="${r.key}" ${r.key === this.rankBy ? 'selected' : ''}>Rank by ${r.label}</option>
+            `).join('');
+        }
+        this.renderConstituents(analysis);
+    }
+
+    renderConstituents(analysis) {
+        const container = document.getElementById('sectorConstituents');
+        if (!container) return;
+
+        const ranked = analysis.rank(this.sector, this.rankBy);
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>#</th><th>Company</th><th>Health</th><th>Undervaluation</th><th>Momentum</th><th>Category</th><th>Risk</th></tr>
+                </thead>
+                <tbody>
+                    ${ranked.map((company, i) => {
+                        const risk = company.ml.explanations.risk.level;
+                        const category = company.ml.classification.category;
+                        return `
+                            <tr class="company-link" data-ticker="${Utils.escapeHtml(company.ticker)}" style="cursor: pointer;">
+                                <td>${i + 1}</td>
+                                <td>${Utils.escapeHtml(company.company)} <span style="color: var(--text-muted);">${Utils.escapeHtml(company.ticker)}</span></td>
+                                <td>${company.ml.healthScore.toFixed(0)}</td>
+                                <td>${company.ml.undervalScore.toFixed(0)}</td>
+                                <td>${company.ml.momentum.toFixed(0)}</td>
+                                <td><span class="badge ${category}">${category.toUpperCase()}</span></td>
+                                <td><span class="risk-tag ${risk}">${risk.toUpperCase()}</span></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+// Make SectorView available globally
+window.SectorView = SectorView;
@@ -0,0 +1,188 @@
+// ========================================
+// Stock Explorer - Table Mode
+// ========================================
+
+class StockTable {
+    constructor(app) {
+        this.app = app;
+        this.storageKey = 'mi.tableColumns';
+        this.sortKey = 'marketCap';
+        this.sortDesc = true;
+        this.page = 0;
+        this.pageSize = 25;
+        this.visible = this.loadVisibleColumns();
+        // Rows of the last render, filtered and sorted (what CSV export writes)
+        this.rows = [];
+    }
+
+    // Company/ticker and sector first, then every screener field except sector
+    getColumns() {
+        return [
+            { id: 'company', label: 'Company', type: 'text', get: r => r.company.company },
+            { id: 'ticker', label: 'Ticker', type: 'text', get: r => r.company.ticker },
+            { id: 'sector', label: 'Sector', type: 'text', get: r => r.company.sector },
+            ...Screener.FIELDS.filter(f => f.id !== 'sector').map(f => ({ ...f, type: f.type === 'enum' ? 'text' : 'number' }))
+        ];
+    }
+
+    loadVisibleColumns() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(saved) && saved.length > 0) return saved;
+        } catch (error) {
+            // fall through to defaults
+        }
+        return [...StockTable.DEFAULT_COLUMNS];
+    }
+
+    setColumnVisible(id, visible) {
+        this.visible = visible
+            ? this.getColumns().map(c => c.id).filter(c => c === id || this.visible.includes(c))
+            : this.visible.filter(c => c !== id);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.visible));
+    }
+
+    setup() {
+        const container = document.getElementById('stocksTable');
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) {
+                const key = header.dataset.sort;
+                // First click sorts numbers high-to-low and text A-Z
+                if (this.sortKey === key) {
+                    this.sortDesc = !this.sortDesc;
+                } else {
+                    this.sortKey = key;
+                    this.sortDesc = this.getColumns().find(c => c.id === key).type === 'number';
+                }
+                this.page = 0;
+                this.app.renderStocks();
+                return;
+            }
+
+            const pageBtn = e.target.closest('[data-page]');
+            if (pageBtn && !pageBtn.disabled) {
+                this.page = parseInt(pageBtn.dataset.page);
+                this.app.renderStocks();
+                return;
+            }
+
+            if (e.target.id === 'tableExport') this.exportCSV();
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.dataset.column) {
+                this.setColumnVisible(e.target.dataset.column, e.target.checked);
+                this.app.renderStocks();
+            }
+            if (e.target.id === 'tablePageSize') {
+                this.pageSize = parseInt(e.target.value);
+                this.page = 0;
+                this.app.renderStocks();
+            }
+        });
+    }
+
+    // Sort with missing values last in either direction
+    sortRows(rows) {
+        const column = this.getColumns().find(c => c.id === this.sortKey);
+        if (!column) return rows;
+
+        return [...rows].sort((a, b) => {
+            const aVal = Screener.valueOf(a, column);
+            const bVal = Screener.valueOf(b, column);
+            if (aVal === null && bVal === null) return 0;
+            if (aVal === null) return 1;
+            if (bVal === null) return -1;
+            const order = column.type === 'number' ? aVal - bVal : String(aVal).localeCompare(String(bVal));
+            return this.sortDesc ? -order : order;
+        });
+    }
+
+    // Render the filtered companies (already filtered by App.renderStocks)
+    render(companies) {
+        const container = document.getElementById('stocksTable');
+        if (!container) return;
+
+        const allRows = Screener.buildRows(companies, this.app.analyzer, this.app.dataLoader);
+        this.rows = this.sortRows(allRows);
+
+        const columns = this.getColumns();
+        const shown = columns.filter(c => this.visible.includes(c.id));
+        const pageCount = Math.max(1, Math.ceil(this.rows.length / this.pageSize));
+        this.page = Math.min(this.page, pageCount - 1);
+        const start = this.page * this.pageSize;
+        const pageRows = this.rows.slice(start, start + this.pageSize);
+
+        container.innerHTML = `
+            <div class="table-toolbar">
+                <details class="column-picker">
+                    <summary class="action-btn secondary">Columns (${shown.length})</summary>
+                    <div class="column-picker-list">
+                        ${columns.map(c => `
+                            <label><input type="checkbox" data-column="${c.id}" ${this.visible.includes(c.id) ? 'checked' : ''}> ${c.label}</label>
+                        `).join('')}
+                    </div>
+                </details>
+                <button class="action-btn secondary" id="tableExport">Export CSV</button>
+                <span class="table-count">${this.rows.length} ${this.rows.length === 1 ? 'company' : 'companies'}</span>
+            </div>
+            <div class="table-wrapper sticky-table">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            ${shown.map(c => `
+                                <th data-sort="${c.id}" class="sortable ${c.id === this.sortKey ? 'sorted' : ''}">
+                                    ${c.label}${c.id === this.sortKey ? (this.sortDesc ? ' ▼' : ' ▲') : ''}
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pageRows.map(row => `
+                            <tr class="company-link" data-ticker="${Utils.escapeHtml(row.company.ticker)}" style="cursor: pointer;">
+                                ${shown.map(c => `<td>${Utils.escapeHtml(Screener.formatValue(c, Screener.valueOf(row, c)))}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="table-pagination">
+                <button class="action-btn secondary" data-page="${this.page - 1}" ${this.page === 0 ? 'disabled' : ''}>‹ Prev</button>
+                <span>Page ${this.page + 1} of ${pageCount}</span>
+                <button class="action-btn secondary" data-page="${this.page + 1}" ${this.page >= pageCount - 1 ? 'disabled' : ''}>Next ›</button>
+                <select id="tablePageSize" class="filter-select" title="Rows per page">
+                    ${StockTable.PAGE_SIZES.map(size => `<option value="${size}" ${size === this.pageSize ? 'selected' : ''}>${size} / page</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    // Exactly the current view: filtered, sorted, visible columns, all pages
+    exportCSV() {
+        const shown = this.getColumns().filter(c => this.visible.includes(c.id));
+        const data = this.rows.map(row => {
+            const out = {};
+            shown.forEach(c => {
+                const value = Screener.valueOf(row, c);
+                out[c.label] = Utils.isValidNumber(value) ? Math.round(value * 100) / 100 : value;
+            });
+            return out;
+        });
+
+        const csv = Papa.unparse(data, { columns: shown.map(c => c.label) });
+        Utils.downloadFile(csv, 'stocks.csv', 'text/csv');
+    }
+}
+
+StockTable.DEFAULT_COLUMNS = [
+    'company', 'ticker', 'sector', 'revenue', 'netProfit', 'profitMargin', 'roe', 'debtToEquity',
+    'marketCap', 'healthScore', 'undervalScore', 'momentum', 'category', 'risk'
+];
+
+StockTable.PAGE_SIZES = [10, 25, 50, 100];
+
+// Make StockTable available globally
+window.StockTable = StockTable;
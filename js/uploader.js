@@ -0,0 +1,277 @@
+// ========================================
+// Dataset Uploader - Drag & Drop CSV/XLSX
+// ========================================
+
+class DatasetUploader {
+    constructor(onLoad) {
+        // Called with (rows, fileName) once columns are mapped
+        this.onLoad = onLoad;
+        this.pending = null;
+        this.storageKey = 'mi.columnMappings';
+    }
+
+    // Fields DataLoader expects, in mapping-dialog order
+    getTargetFields() {
+        const required = DataValidator.DEFAULT_SCHEMA.required;
+        return [...required, ...DatasetUploader.OPTIONAL_FIELDS]
+            .map(field => ({ field, required: required.includes(field) }));
+    }
+
+    setup() {
+        const input = document.getElementById('datasetInput');
+        const button = document.getElementById('uploadBtn');
+        const overlay = document.getElementById('dropOverlay');
+
+        if (button && input) {
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.handleFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        // Drag & drop anywhere on the page
+        let dragDepth = 0;
+        document.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            dragDepth++;
+            if (overlay) overlay.classList.add('show');
+        });
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0 && overlay) overlay.classList.remove('show');
+        });
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            if (overlay) overlay.classList.remove('show');
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (!file) return;
+            if (!DatasetUploader.EXTENSIONS.includes(DatasetUploader.extensionOf(file))) {
+                Utils.notify(`${file.name} is not a CSV or Excel file`, 'error');
+                return;
+            }
+            this.handleFile(file);
+        });
+
+        // Mapping dialog buttons
+        const applyBtn = document.getElementById('mappingApply');
+        if (applyBtn) applyBtn.addEventListener('click', () => this.applyMapping());
+
+        const cancelBtn = document.getElementById('mappingCancel');
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.closeDialog());
+    }
+
+    async handleFile(file) {
+        try {
+            // Trim header whitespace so saved mappings match refreshed exports
+            const rows = (await this.readFile(file)).map(row => {
+                const cleaned = {};
+                Object.keys(row).forEach(key => {
+                    cleaned[String(key).trim()] = row[key];
+                });
+                return cleaned;
+            });
+            if (rows.length === 0) {
+                Utils.notify(`${file.name} has no data rows`, 'error');
+                return;
+            }
+
+            const headers = Object.keys(rows[0]);
+            const signature = this.getSignature(headers);
+            this.pending = { file, rows, headers, signature };
+
+            // Known export layout - reuse the saved mapping without asking
+            const saved = this.getSavedMapping(signature);
+            if (saved && this.isMappingUsable(saved, headers)) {
+                this.finish(saved);
+                return;
+            }
+
+            this.openDialog(saved || this.guessMapping(headers));
+        } catch (error) {
+            console.error('Upload error:', error);
+            Utils.notify(`Could not read ${file.name}`, 'error');
+        }
+    }
+
+    // Parse CSV with PapaParse, XLSX/XLS with SheetJS (first sheet)
+    readFile(file) {
+        const extension = DatasetUploader.extensionOf(file);
+
+        if (extension === 'xlsx' || extension === 'xls') {
+            return new Promise((resolve, reject) => {
+                if (typeof XLSX === 'undefined') {
+                    reject(new Error('Excel support (SheetJS) is not loaded'));
+                    return;
+                }
+                const reader = new FileReader();
+                // SheetJS throws on corrupt or password-protected workbooks
+                reader.onload = (e) => {
+                    try {
+                        const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+                        if (workbook.SheetNames.length === 0) throw new Error(`${file.name} has no sheets`);
+                        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                        resolve(XLSX.utils.sheet_to_json(sheet, { defval: null }));
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(file);
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            Papa.parse(file, {
+                header: true,
+                dynamicTyping: true,
+                skipEmptyLines: true,
+                complete: (results) => resolve(results.data),
+                error: (error) => reject(error)
+            });
+        });
+    }
+
+    static extensionOf(file) {
+        return file.name.split('.').pop().toLowerCase();
+    }
+
+    // Same column layout => same signature, regardless of row content
+    getSignature(headers) {
+        const normalized = headers.map(h => h.toLowerCase()).sort().join('|');
+        return Utils.hashString(normalized);
+    }
+
+    // Match headers to fields by normalized name and common aliases
+    guessMapping(headers) {
+        const normalize = (str) => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const mapping = {};
+
+        this.getTargetFields().forEach(({ field }) => {
+            const candidates = [field, ...(DatasetUploader.ALIASES[field] || [])].map(normalize);
+            const match = headers.find(h => candidates.includes(normalize(h)));
+            mapping[field] = match || '';
+        });
+
+        return mapping;
+    }
+
+    isMappingUsable(mapping, headers) {
+        return this.getTargetFields()
+            .filter(f => f.required)
+            .every(({ field }) => mapping[field] && headers.includes(mapping[field]));
+    }
+
+    getSavedMapping(signature) {
+        try {
+            const all = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return all[signature] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveMapping(signature, mapping) {
+        let all = {};
+        try {
+            all = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            all = {};
+        }
+        all[signature] = mapping;
+        localStorage.setItem(this.storageKey, JSON.stringify(all));
+    }
+
+    openDialog(mapping) {
+        const body = document.getElementById('mappingBody');
+        if (!body || !this.pending) return;
+
+        const { file, headers, rows } = this.pending;
+        // Header names come from the uploaded file
+        const options = (selected) => ['', ...headers].map(h => `
+            <option value="${Utils.escapeHtml(h)}" ${h === selected ? 'selected' : ''}>${h ? Utils.escapeHtml(h) : '— not mapped —'}</option>
+        `).join('');
+
+        body.innerHTML = `
+            <p style="color: var(--text-muted); margin-bottom: 1.5rem;">
+                ${Utils.escapeHtml(file.name)} · ${rows.length} rows · ${headers.length} columns
+            </p>
+            <div class="mapping-grid">
+                ${this.getTargetFields().map(({ field, required }) => `
+                    <label class="mapping-label" for="map-${field}">
+                        ${field}${required ? ' <span style="color: var(--danger);">*</span>' : ''}
+                    </label>
+                    <select id="map-${field}" class="filter-select" data-field="${field}">
+                        ${options(mapping[field])}
+                    </select>
+                `).join('')}
+            </div>
+        `;
+
+        document.getElementById('mappingModal').classList.add('show');
+    }
+
+    closeDialog() {
+        document.getElementById('mappingModal').classList.remove('show');
+        this.pending = null;
+    }
+
+    applyMapping() {
+        if (!this.pending) return;
+
+        const mapping = {};
+        document.querySelectorAll('#mappingBody select[data-field]').forEach(select => {
+            mapping[select.dataset.field] = select.value;
+        });
+
+        if (!this.isMappingUsable(mapping, this.pending.headers)) {
+            Utils.notify('Map every required (*) field before loading', 'error');
+            return;
+        }
+
+        this.saveMapping(this.pending.signature, mapping);
+        document.getElementById('mappingModal').classList.remove('show');
+        this.finish(mapping);
+    }
+
+    // Rename columns to DataLoader field names and hand the rows over
+    finish(mapping) {
+        const { file, rows } = this.pending;
+        const mapped = rows.map(row => {
+            const out = {};
+            Object.keys(mapping).forEach(field => {
+                if (mapping[field]) out[field] = row[mapping[field]];
+            });
+            return out;
+        });
+
+        this.pending = null;
+        this.onLoad(mapped, file.name);
+    }
+}
+
+DatasetUploader.EXTENSIONS = ['csv', 'xlsx', 'xls'];
+
+DatasetUploader.OPTIONAL_FIELDS = ['Market_Cap_Cr', 'Total_Assets_Cr', 'NIM_Pct', 'GNPA_Pct', 'NNPA_Pct', 'CASA_Pct'];
+
+DatasetUploader.ALIASES = {
+    Sector: ['industry', 'segment'],
+    Company: ['name', 'companyname'],
+    Ticker: ['symbol', 'nsesymbol', 'code'],
+    FY: ['year', 'fiscalyear', 'financialyear', 'period'],
+    Revenue_Cr: ['revenue', 'sales', 'totalrevenue', 'netsales', 'revenuecr'],
+    Net_Profit_Cr: ['netprofit', 'pat', 'profit', 'netincome'],
+    Total_Debt_Cr: ['debt', 'totaldebt', 'borrowings'],
+    Total_Equity_Cr: ['equity', 'totalequity', 'networth', 'shareholdersequity'],
+    Market_Cap_Cr: ['marketcap', 'mcap', 'marketcapitalization'],
+    Total_Assets_Cr: ['totalassets', 'assets', 'balancesheetsize'],
+    NIM_Pct: ['nim', 'netinterestmargin'],
+    GNPA_Pct: ['gnpa', 'grossnpa'],
+    NNPA_Pct: ['nnpa', 'netnpa'],
+    CASA_Pct: ['casa', 'casaratio']
+};
+
+// Make DatasetUploader available globally
+window.DatasetUploader = DatasetUploader;
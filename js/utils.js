@@ -5,16 +5,22 @@
 const Utils = {
     // Format numbers to Indian currency (Crores)
     formatCurrency: (num) => {
-        if (num === null || num === undefined) return '₹0 Cr';
+        if (num === null || num === undefined) return 'N/A';
         return `₹${num.toLocaleString('en-IN', { maximumFractionDigits: 2 })} Cr`;
     },
 
     // Format percentage
     formatPercent: (num) => {
-        if (num === null || num === undefined) return '0%';
+        if (num === null || num === undefined) return 'N/A';
         return `${num.toFixed(2)}%`;
     },
 
+    // Format a ratio such as D/E or P/B
+    formatRatio: (num) => {
+        if (num === null || num === undefined) return 'N/A';
+        return num.toFixed(2);
+    },
+
     // Format large numbers
     formatNumber: (num) => {
         if (num === null || num === undefined) return '0';
@@ -58,11 +64,12 @@ const Utils = {
         return '#00FF88';
     },
 
-    // Sort array by property
+    // Sort array by property (supports dotted paths like 'latest.marketCap')
     sortBy: (arr, prop, desc = true) => {
+        const get = (obj) => prop.split('.').reduce((val, key) => (val == null ? val : val[key]), obj);
         return arr.sort((a, b) => {
-            const aVal = a[prop] || 0;
-            const bVal = b[prop] || 0;
+            const aVal = get(a) || 0;
+            const bVal = get(b) || 0;
             return desc ? bVal - aVal : aVal - bVal;
         });
     },
@@ -115,12 +122,85 @@ const Utils = {
         setTimeout(() => notification.remove(), 3000);
     },
 
-    // Calculate growth rate
+    // Calculate growth rate; null when either value is missing
     growthRate: (oldVal, newVal) => {
-        if (!oldVal || oldVal === 0) return 0;
+        if (!Utils.isValidNumber(oldVal) || !Utils.isValidNumber(newVal)) return null;
+        if (oldVal === 0) return 0;
         return ((newVal - oldVal) / oldVal) * 100;
     },
 
+    // Compound annual growth rate (%) over `periods` years; null unless both ends are positive
+    cagr: (startVal, endVal, periods) => {
+        if (!(startVal > 0) || !(endVal > 0) || !(periods > 0)) return null;
+        return (Math.pow(endVal / startVal, 1 / periods) - 1) * 100;
+    },
+
+    // Median of an array of numbers; null when empty
+    median: (arr) => Utils.quantile(arr, 0.5),
+
+    // q-th quantile (0-1) with linear interpolation between ranks; null when empty
+    quantile: (arr, q) => {
+        if (!arr || arr.length === 0) return null;
+        const sorted = [...arr].sort((a, b) => a - b);
+        const pos = (sorted.length - 1) * q;
+        const lower = Math.floor(pos);
+        const upper = Math.ceil(pos);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+    },
+
+    // Percentile rank (0-100) of value within values; ties count half
+    percentileRank: (value, values) => {
+        if (!values || values.length === 0) return null;
+        const below = values.filter(v => v < value).length;
+        const equal = values.filter(v => v === value).length;
+        return ((below + 0.5 * equal) / values.length) * 100;
+    },
+
+    // Standard score of value within values; null when values have no spread
+    zScore: (value, values) => Utils.standardize(value, Utils.describe(values || [])),
+
+    // Summary of a sample for repeated scaling: { count, min, max, mean, sd } (sd is the sample SD)
+    describe: (values) => {
+        let min = Infinity;
+        let max = -Infinity;
+        values.forEach(v => {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        });
+        const mean = Utils.average(values);
+        const sd = values.length < 2 ? 0 : Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1));
+        return { count: values.length, min, max, mean, sd };
+    },
+
+    // Standard score against a describe() summary; null when it has no spread
+    standardize: (value, stats) => (stats.count >= 2 && stats.sd > 0 ? (value - stats.mean) / stats.sd : null),
+
+    // Value cached per object: compute() runs once per (object, key) in a WeakMap
+    memo: (cache, object, key, compute) => {
+        let entry = cache.get(object);
+        if (!entry) {
+            entry = {};
+            cache.set(object, entry);
+        }
+        if (!(key in entry)) entry[key] = compute();
+        return entry[key];
+    },
+
+    // Standard normal CDF (Abramowitz-Stegun 7.1.26 approximation of erf)
+    normalCdf: (z) => {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    },
+
+    // 1 -> '1st', 22 -> '22nd', 78 -> '78th'
+    ordinal: (n) => {
+        const mod100 = n % 100;
+        if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+        return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+    },
+
     // Safe division
     safeDivide: (a, b) => {
         if (!b || b === 0) return 0;
@@ -130,8 +210,117 @@ const Utils = {
     // Check if value is valid number
     isValidNumber: (val) => {
         return typeof val === 'number' && !isNaN(val) && isFinite(val);
+    },
+
+    // Parse a CSV cell into a number, or null when missing ('NA', '', '-')
+    toNumber: (val) => {
+        if (Utils.isValidNumber(val)) return val;
+        if (typeof val !== 'string') return null;
+        const cleaned = val.replace(/[,₹\s]/g, '');
+        if (cleaned === '' || /^(NA|N\/A|NULL|-)$/i.test(cleaned)) return null;
+        const num = Number(cleaned);
+        return Utils.isValidNumber(num) ? num : null;
+    },
+
+    // Text safe to put in innerHTML markup (element content or a quoted attribute)
+    escapeHtml: (value) => String(value ?? '').replace(/[&<>"']/g, ch => Utils.HTML_ENTITIES[ch]),
+
+    // Fast non-cryptographic string hash (djb2), returned as hex
+    hashString: (str) => {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(16);
+    },
+
+    // Parse 'FY2024' into 2024, or null for anything else
+    parseFiscalYear: (fy) => {
+        const match = /^FY(\d{4})$/.exec(String(fy || '').trim());
+        return match ? parseInt(match[1]) : null;
+    },
+
+    // Parse a period label - 'FY2024' (annual) or 'Q3FY24' / 'Q3FY2024' (a quarter
+    // of an Indian FY) - into { fy, quarter } (quarter null for annual), or null
+    parsePeriod: (label) => {
+        const text = String(label || '').trim().toUpperCase();
+        const annual = /^FY(\d{4})$/.exec(text);
+        if (annual) return { fy: parseInt(annual[1]), quarter: null };
+        const quarterly = /^Q([1-4])\s*FY(\d{2}|\d{4})$/.exec(text);
+        if (!quarterly) return null;
+        const year = parseInt(quarterly[2]);
+        return { fy: year < 100 ? 2000 + year : year, quarter: parseInt(quarterly[1]) };
+    },
+
+    // Position of a period in quarters; a FY sits on its Q4, so FY2024 and
+    // Q4FY24 share an index and one year back is always index - 4
+    periodIndex: (label) => {
+        const period = Utils.parsePeriod(label);
+        return period ? period.fy * 4 + (period.quarter || 4) - 4 : null;
+    },
+
+    // Label of a quarter index: 8093 -> 'Q1FY24'
+    quarterLabel: (index) => {
+        const fy = Math.ceil(index / 4);
+        return `Q${index - fy * 4 + 4}FY${String(fy % 100).padStart(2, '0')}`;
+    },
+
+    // Canonical label ('Q3FY2024' -> 'Q3FY24'), or the trimmed input when unparseable
+    normalizePeriod: (label) => {
+        const period = Utils.parsePeriod(label);
+        if (!period) return String(label ?? '').trim();
+        return period.quarter ? Utils.quarterLabel(Utils.periodIndex(label)) : `FY${period.fy}`;
+    },
+
+    // Sort comparator for period labels (unparseable labels first, as with parseFiscalYear)
+    comparePeriods: (a, b) => (Utils.periodIndex(a) || 0) - (Utils.periodIndex(b) || 0),
+
+    // Periods per year in a series: 4 for a trailing-twelve-month series, else 1
+    periodsPerYear: (records) => {
+        const last = records[records.length - 1];
+        return last && last.period === 'ttm' ? 4 : 1;
+    },
+
+    // Record one year before records[i]: the previous FY, or for a TTM series the
+    // point four quarters back (null when that quarter is missing)
+    priorYear: (records, i = records.length - 1) => {
+        if (i < 1) return null;
+        if (records[i].period !== 'ttm') return records[i - 1];
+        const target = Utils.periodIndex(records[i].fy) - 4;
+        return records.slice(0, i).find(r => Utils.periodIndex(r.fy) === target) || null;
+    },
+
+    // Save text content as a file via a temporary download link
+    downloadFile: (content, fileName, type = 'text/plain') => {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // Indian fiscal year for a date (FY2024 = 1 Apr 2023 - 31 Mar 2024)
+    fiscalYearOf: (date) => {
+        const d = date instanceof Date ? date : new Date(date);
+        if (isNaN(d.getTime())) return null;
+        const year = d.getMonth() >= 3 ? d.getFullYear() + 1 : d.getFullYear();
+        return `FY${year}`;
+    },
+
+    // Fiscal quarter for a date (Q1 = Apr-Jun): 15 Nov 2023 -> 'Q3FY24'
+    fiscalQuarterOf: (date) => {
+        const d = date instanceof Date ? date : new Date(date);
+        if (isNaN(d.getTime())) return null;
+        const fy = d.getMonth() >= 3 ? d.getFullYear() + 1 : d.getFullYear();
+        const quarter = Math.floor(((d.getMonth() + 9) % 12) / 3) + 1;
+        return Utils.quarterLabel(fy * 4 + quarter - 4);
     }
 };
 
+Utils.HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 // Make Utils available globally
 window.Utils = Utils;
\ No newline at end of file
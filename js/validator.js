@@ -0,0 +1,224 @@
+// ========================================
+// Data Validator - Schema & Quality Checks
+// ========================================
+
+class DataValidator {
+    constructor(options = {}) {
+        // 'keep' | 'drop' | 'impute'
+        this.policy = options.policy || 'keep';
+        this.schema = options.schema || DataValidator.DEFAULT_SCHEMA;
+    }
+
+    // Validate raw CSV rows (headers already trimmed) and apply the policy
+    validate(rows) {
+        const issues = [];
+        const report = (issue) => issues.push({ row: null, ticker: null, fy: null, field: null, ...issue });
+
+        // Work on copies so re-validating the same raw data is repeatable
+        const records = rows.map((row, index) => ({
+            row: { ...row },
+            line: index + 2, // header is line 1
+            flagged: false,
+            drop: false
+        }));
+
+        // Required columns (dataset level)
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        this.schema.required.forEach(column => {
+            if (!columns.includes(column)) {
+                report({ severity: 'error', code: 'missing-column', field: column, message: `Required column "${column}" is missing` });
+            }
+        });
+
+        const seen = {};
+        records.forEach(record => {
+            const { row, line } = record;
+            const ticker = row.Ticker ? String(row.Ticker).trim() : '';
+            const fy = row.FY === null || row.FY === undefined ? '' : String(row.FY).trim();
+            const flag = (issue) => {
+                record.flagged = true;
+                report({ row: line, ticker: ticker || null, fy: fy || null, ...issue });
+            };
+
+            if (!ticker) {
+                flag({ severity: 'error', code: 'missing-ticker', field: 'Ticker', message: 'Row has no ticker and cannot be grouped' });
+                record.drop = true; // Unusable under every policy
+                return;
+            }
+
+            if (!DataValidator.FY_PATTERN.test(fy) && !DataValidator.QUARTER_PATTERN.test(fy)) {
+                flag({ severity: 'error', code: 'invalid-fy', field: 'FY', message: `FY "${fy}" is not in FYxxxx or QnFYxx format` });
+                if (this.policy !== 'keep') record.drop = true;
+            }
+
+            this.schema.numeric.forEach(field => {
+                const value = row[field];
+                if (Utils.toNumber(value) !== null) return;
+                const missing = value === null || value === undefined || /^\s*(NA|N\/A|NULL|-)?\s*$/i.test(String(value));
+                flag({
+                    severity: 'warning',
+                    code: missing ? 'missing-value' : 'non-numeric',
+                    field,
+                    message: missing ? `${field} is missing` : `${field} "${value}" is not a number`
+                });
+                record.missingFields = (record.missingFields || []).concat(field);
+            });
+
+            (this.schema.optionalNumeric || []).forEach(field => {
+                const value = row[field];
+                if (value === null || value === undefined || Utils.toNumber(value) !== null) return;
+                if (/^\s*(NA|N\/A|NULL|-)?\s*$/i.test(String(value))) return;
+                flag({ severity: 'warning', code: 'non-numeric', field, message: `${field} "${value}" is not a number` });
+            });
+
+            const equity = Utils.toNumber(row.Total_Equity_Cr);
+            if (equity !== null && equity < 0) {
+                flag({ severity: 'warning', code: 'negative-equity', field: 'Total_Equity_Cr', message: `Negative equity (${equity})` });
+            }
+
+            // Q3FY24 and Q3FY2024 are the same quarter
+            const key = `${ticker}|${Utils.normalizePeriod(fy)}`;
+            if (seen[key]) {
+                flag({ severity: 'error', code: 'duplicate', field: 'FY', message: `Duplicate ${ticker} ${fy} (first seen on line ${seen[key]})` });
+                if (this.policy !== 'keep') record.drop = true;
+            } else {
+                seen[key] = line;
+            }
+        });
+
+        // Gaps in each company's year and quarter sequences (company level, never dropped)
+        const yearsByTicker = {};
+        const quartersByTicker = {};
+        records.filter(r => !r.drop).forEach(({ row }) => {
+            const period = Utils.parsePeriod(row.FY);
+            if (!period) return;
+            const ticker = String(row.Ticker).trim();
+            if (period.quarter) {
+                (quartersByTicker[ticker] = quartersByTicker[ticker] || []).push(Utils.periodIndex(row.FY));
+            } else {
+                (yearsByTicker[ticker] = yearsByTicker[ticker] || []).push(period.fy);
+            }
+        });
+        Object.keys(yearsByTicker).forEach(ticker => {
+            const years = Utils.unique(yearsByTicker[ticker]).sort((a, b) => a - b);
+            for (let i = 1; i < years.length; i++) {
+                if (years[i] - years[i - 1] > 1) {
+                    report({
+                        severity: 'warning',
+                        code: 'year-gap',
+                        ticker,
+                        fy: `FY${years[i]}`,
+                        message: `No data between FY${years[i - 1]} and FY${years[i]}`
+                    });
+                }
+            }
+        });
+        Object.keys(quartersByTicker).forEach(ticker => {
+            const quarters = Utils.unique(quartersByTicker[ticker]).sort((a, b) => a - b);
+            for (let i = 1; i < quarters.length; i++) {
+                if (quarters[i] - quarters[i - 1] > 1) {
+                    report({
+                        severity: 'warning',
+                        code: 'quarter-gap',
+                        ticker,
+                        fy: Utils.quarterLabel(quarters[i]),
+                        message: `No data between ${Utils.quarterLabel(quarters[i - 1])} and ${Utils.quarterLabel(quarters[i])}`
+                    });
+                }
+            }
+        });
+
+        // Apply policy
+        let imputedValues = 0;
+        if (this.policy === 'drop') {
+            records.forEach(r => { if (r.flagged) r.drop = true; });
+        } else if (this.policy === 'impute') {
+            imputedValues = this.imputeMissing(records.filter(r => !r.drop), issues);
+        }
+
+        const kept = records.filter(r => !r.drop);
+        const droppedRows = records.length - kept.length;
+
+        return {
+            policy: this.policy,
+            rows: kept.map(r => r.row),
+            issues,
+            summary: {
+                totalRows: records.length,
+                keptRows: kept.length,
+                droppedRows,
+                imputedValues,
+                errors: issues.filter(i => i.severity === 'error').length,
+                warnings: issues.filter(i => i.severity === 'warning').length
+            }
+        };
+    }
+
+    // Fill missing numeric values by interpolating within the same company
+    // (annual and quarterly rows are interpolated separately)
+    imputeMissing(records, issues) {
+        let count = 0;
+        const byTicker = {};
+        records.forEach(record => {
+            const period = Utils.parsePeriod(record.row.FY);
+            const key = `${String(record.row.Ticker).trim()}|${period && period.quarter ? 'quarterly' : 'annual'}`;
+            (byTicker[key] = byTicker[key] || []).push(record);
+        });
+
+        Object.values(byTicker).forEach(group => {
+            const ordered = [...group].sort((a, b) => Utils.comparePeriods(a.row.FY, b.row.FY));
+
+            ordered.forEach((record, index) => {
+                (record.missingFields || []).forEach(field => {
+                    if (!this.schema.imputable.includes(field)) return;
+
+                    const prev = DataValidator.nearestValue(ordered, index, field, -1);
+                    const next = DataValidator.nearestValue(ordered, index, field, 1);
+                    let value;
+                    if (prev && next) {
+                        const t = (index - prev.index) / (next.index - prev.index);
+                        value = prev.value + (next.value - prev.value) * t;
+                    } else if (prev || next) {
+                        value = (prev || next).value;
+                    } else {
+                        return;
+                    }
+
+                    record.row[field] = Math.round(value);
+                    count++;
+
+                    const issue = issues.find(i => i.row === record.line && i.field === field);
+                    if (issue) issue.imputed = record.row[field];
+                });
+            });
+        });
+
+        return count;
+    }
+
+    // Closest valid value of a field walking from index in the given direction
+    static nearestValue(records, index, field, step) {
+        for (let i = index + step; i >= 0 && i < records.length; i += step) {
+            const value = Utils.toNumber(records[i].row[field]);
+            if (value !== null) return { index: i, value };
+        }
+        return null;
+    }
+}
+
+DataValidator.FY_PATTERN = /^FY\d{4}$/;
+DataValidator.QUARTER_PATTERN = /^Q[1-4]\s*FY(\d{2}|\d{4})$/i;
+
+DataValidator.POLICIES = ['keep', 'drop', 'impute'];
+
+DataValidator.DEFAULT_SCHEMA = {
+    required: ['Sector', 'Company', 'Ticker', 'FY', 'Revenue_Cr', 'Net_Profit_Cr', 'Total_Debt_Cr', 'Total_Equity_Cr'],
+    numeric: ['Revenue_Cr', 'Net_Profit_Cr', 'Total_Debt_Cr', 'Total_Equity_Cr'],
+    // Market cap is never imputed - valuation must come from real prices
+    imputable: ['Revenue_Cr', 'Net_Profit_Cr', 'Total_Debt_Cr', 'Total_Equity_Cr'],
+    // Optional columns: validated only when a value is present
+    optionalNumeric: ['Market_Cap_Cr', 'Total_Assets_Cr', 'NIM_Pct', 'GNPA_Pct', 'NNPA_Pct', 'CASA_Pct']
+};
+
+// Make DataValidator available globally
+window.DataValidator = DataValidator;
@@ -0,0 +1,115 @@
+// ========================================
+// Intrinsic Valuation - DCF & Earnings Multiple
+// ========================================
+
+// Fair market cap two ways:
+//  - DCF: forecast net profit (MLEngine.forecastProfit) x payout ratio is the
+//    cash returned to shareholders each forecast year, discounted at the
+//    discount rate, plus a Gordon-growth terminal value on the last year.
+//  - Multiple: latest net profit x the median P/E of sector peers.
+// Assumptions are percentages: { discountRate, terminalGrowth, payoutRatio }.
+class ValuationModel {
+    constructor(companies, analyzer) {
+        this.companies = companies;
+        this.analyzer = analyzer;
+    }
+
+    // { fairValue, pvCashFlows, pvTerminal } or null when the inputs can't be discounted.
+    // Points are discounted by `years` ahead; quarterly (TTM) forecasts only
+    // contribute the points a whole number of years out, one cash flow per year.
+    static dcf(points, assumptions) {
+        const r = assumptions.discountRate / 100;
+        const g = assumptions.terminalGrowth / 100;
+        const payout = assumptions.payoutRatio / 100;
+        const yearsOut = (p) => p.years ?? p.step;
+        const annual = (points || []).filter(p => Number.isInteger(yearsOut(p)));
+        if (annual.length === 0 || r <= g || r <= -1) return null;
+
+        const pvCashFlows = annual.reduce((sum, p) => sum + (p.value * payout) / Math.pow(1 + r, yearsOut(p)), 0);
+
+        // A loss-making final year has no meaningful perpetuity - leave it out
+        const last = annual[annual.length - 1];
+        const terminal = last.value > 0 ? (last.value * payout * (1 + g)) / (r - g) : 0;
+        const pvTerminal = terminal / Math.pow(1 + r, yearsOut(last));
+
+        return { fairValue: pvCashFlows + pvTerminal, pvCashFlows, pvTerminal };
+    }
+
+    // % above (+) or below (-) the actual market cap
+    static upside(fairValue, marketCap) {
+        if (!Utils.isValidNumber(fairValue) || !(marketCap > 0)) return null;
+        return ((fairValue - marketCap) / marketCap) * 100;
+    }
+
+    // Trailing P/E from the latest FY; null without a market cap or with a loss
+    pe(company) {
+        const metrics = this.analyzer.calculateMetrics(company);
+        if (!metrics.hasValuation || !(metrics.netProfit > 0)) return null;
+        return metrics.marketCap / metrics.netProfit;
+    }
+
+    // Median P/E of the company's sector peers (the company itself excluded),
+    // falling back to the universe when the sector has too few
+    peerPE(company) {
+        const others = this.companies.filter(c => c.ticker !== company.ticker);
+        const collect = (list) => list.map(c => this.pe(c)).filter(v => v !== null);
+
+        const sectorValues = collect(others.filter(c => c.sector === company.sector));
+        if (sectorValues.length >= ValuationModel.MIN_PEERS) {
+            return { median: Utils.median(sectorValues), count: sectorValues.length, scope: company.sector };
+        }
+
+        const values = collect(others);
+        return values.length > 0 ? { median: Utils.median(values), count: values.length, scope: 'all companies' } : null;
+    }
+
+    value(company, assumptions) {
+        const metrics = this.analyzer.calculateMetrics(company);
+        const forecast = company.ml && company.ml.profitForecast;
+        const dcf = ValuationModel.dcf(forecast ? forecast.points : null, assumptions);
+
+        const peers = this.peerPE(company);
+        const multipleValue = peers && metrics.netProfit > 0 ? metrics.netProfit * peers.median : null;
+
+        return {
+            marketCap: metrics.marketCap,
+            pe: this.pe(company),
+            dcf,
+            dcfUpside: dcf ? ValuationModel.upside(dcf.fairValue, metrics.marketCap) : null,
+            multiple: {
+                peers,
+                fairValue: multipleValue,
+                upside: ValuationModel.upside(multipleValue, metrics.marketCap)
+            }
+        };
+    }
+
+    // DCF fair value for each discount rate (rows) x terminal growth (columns)
+    sensitivity(company, assumptions, rates, growths) {
+        const forecast = company.ml && company.ml.profitForecast;
+        const marketCap = this.analyzer.calculateMetrics(company).marketCap;
+
+        return rates.map(discountRate => growths.map(terminalGrowth => {
+            const dcf = ValuationModel.dcf(forecast ? forecast.points : null, { ...assumptions, discountRate, terminalGrowth });
+            return {
+                discountRate,
+                terminalGrowth,
+                fairValue: dcf ? dcf.fairValue : null,
+                upside: dcf ? ValuationModel.upside(dcf.fairValue, marketCap) : null
+            };
+        }));
+    }
+
+    // Values `steps` either side of the centre, `step` apart
+    static around(centre, step = 1, steps = 2) {
+        const values = [];
+        for (let i = -steps; i <= steps; i++) values.push(+(centre + i * step).toFixed(2));
+        return values;
+    }
+}
+
+ValuationModel.MIN_PEERS = 2;
+ValuationModel.DEFAULT_ASSUMPTIONS = { discountRate: 12, terminalGrowth: 5, payoutRatio: 60 };
+
+// Make ValuationModel available globally
+window.ValuationModel = ValuationModel;
@@ -0,0 +1,12 @@
+// ========================================
+// App Version
+// ========================================
+
+// Hash of the app's code, written by `npm run build:version` (see
+// node/app-version.js). sw.js names its cache after it and DatasetCache puts
+// it in every key, so a release that changes code replaces the cached shell
+// and recomputes cached scores instead of reusing the old code's results.
+const APP_VERSION = '3928a46a1e29';
+
+// Make APP_VERSION available globally (the page and the service worker)
+window.APP_VERSION = APP_VERSION;
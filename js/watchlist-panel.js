@@ -0,0 +1,312 @@
+// ========================================
+// Watchlists & Alerts Panel
+// ========================================
+
+class WatchlistPanel {
+    constructor(app) {
+        this.app = app;
+        this.store = new WatchlistStore();
+        this.snapshots = new SnapshotStore();
+        this.alerts = new AlertStore();
+        this.currentName = null;
+    }
+
+    setup() {
+        const select = document.getElementById('watchlistSelect');
+        if (select) {
+            select.addEventListener('change', (e) => {
+                this.currentName = e.target.value;
+                this.render();
+            });
+        }
+
+        const newBtn = document.getElementById('watchlistNew');
+        if (newBtn) newBtn.addEventListener('click', () => this.createWatchlist());
+
+        const deleteBtn = document.getElementById('watchlistDelete');
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteWatchlist());
+
+        // Member edits (delegated - rows are re-rendered)
+        const members = document.getElementById('watchlistMembers');
+        if (members) {
+            members.addEventListener('click', (e) => {
+                if (e.target.dataset.unwatch) this.update(w => { w.tickers = w.tickers.filter(t => t !== e.target.dataset.unwatch); });
+                if (e.target.id === 'watchAdd') {
+                    const tickerSelect = document.getElementById('watchTicker');
+                    if (tickerSelect && tickerSelect.value) this.update(w => { w.tickers.push(tickerSelect.value); });
+                }
+            });
+        }
+
+        const inbox = document.getElementById('alertsInbox');
+        if (inbox) {
+            inbox.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-alert]');
+                if (!item) return;
+                this.alerts.markRead(item.dataset.alert);
+                this.renderAlerts();
+                this.app.showCompanyDetails(item.dataset.ticker);
+            });
+        }
+
+        const readBtn = document.getElementById('alertsMarkRead');
+        if (readBtn) {
+            readBtn.addEventListener('click', () => {
+                this.alerts.markRead();
+                this.renderAlerts();
+            });
+        }
+
+        const clearBtn = document.getElementById('alertsClear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.alerts.clear();
+                this.renderAlerts();
+            });
+        }
+
+        // Watch buttons (data-watch holds the ticker) are re-rendered with the
+        // company modal, so their clicks are handled here
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-watch]');
+            if (button) this.toggle(button.dataset.watch);
+        });
+
+        this.renderBadge();
+    }
+
+    // Snapshot the loaded dataset and alert on watched names that changed
+    // since the previous dataset version
+    async checkForChanges() {
+        const profile = ScoringProfileStore.normalize(DEFAULT_SCORING_PROFILE);
+        let analyzed;
+        try {
+            analyzed = await this.scoreForSnapshot(profile);
+        } catch (error) {
+            console.warn('Could not score the dataset snapshot, watchlist alerts skipped:', error);
+            return;
+        }
+
+        // Quarterly-only data without a complete FY has no annual view to snapshot
+        if (analyzed.length === 0) return;
+
+        const snapshot = SnapshotStore.capture(analyzed, this.app.datasetName, profile);
+        const previous = this.snapshots.latest();
+        if (previous && previous.version === snapshot.version) return;
+
+        this.snapshots.record(snapshot);
+        // Scores from another profile (or an older app) would read as changes
+        if (!previous || previous.profile !== snapshot.profile) return;
+
+        const alerts = SnapshotStore.diff(previous, snapshot, this.store.watchedTickers());
+        this.alerts.add(alerts);
+        this.renderBadge();
+        if (alerts.length > 0) {
+            Utils.notify(`${alerts.length} watchlist alert${alerts.length === 1 ? '' : 's'} since the last dataset version`, 'info');
+        }
+    }
+
+    // Snapshots are scored on the annual view under the Default profile,
+    // whatever view and profile are active, so alerts only reflect changes in
+    // the data (the loaded scores are reused when they match)
+    scoreForSnapshot(profile) {
+        const { dataLoader, scoringProfile } = this.app;
+        if (dataLoader.periodType === 'annual' && SnapshotStore.profileHash(scoringProfile) === SnapshotStore.profileHash(profile)) {
+            return Promise.resolve(this.app.allAnalyzedData);
+        }
+        return this.app.pipeline.run(dataLoader.buildView('annual'), profile);
+    }
+
+    getCurrent() {
+        return this.currentName ? this.store.get(this.currentName) : null;
+    }
+
+    // Apply a change to the current watchlist, persist it and re-render
+    update(change) {
+        const watchlist = this.getCurrent();
+        if (!watchlist) return;
+        change(watchlist);
+        this.store.save(watchlist);
+        this.render();
+    }
+
+    createWatchlist() {
+        const input = document.getElementById('watchlistName');
+        const name = input ? input.value.trim() : '';
+        if (!name) {
+            Utils.notify('Enter a name for the new watchlist', 'error');
+            return;
+        }
+        if (this.store.get(name)) {
+            Utils.notify(`A watchlist named "${name}" already exists`, 'error');
+            return;
+        }
+
+        this.store.save({ name, tickers: [] });
+        this.currentName = name;
+        input.value = '';
+        this.render();
+    }
+
+    deleteWatchlist() {
+        if (!this.currentName) return;
+        const name = this.currentName;
+        this.store.remove(name);
+        this.currentName = null;
+        this.render();
+        Utils.notify(`Deleted watchlist "${name}"`, 'success');
+    }
+
+    // The watchlist the modal's Watch button adds to (created on first use)
+    getTarget() {
+        const lists = this.store.list();
+        const target = lists.find(w => w.name === this.currentName) || lists[0];
+        if (target) return target;
+        this.store.save({ name: WatchlistPanel.DEFAULT_NAME, tickers: [] });
+        return this.store.get(WatchlistPanel.DEFAULT_NAME);
+    }
+
+    toggle(ticker) {
+        const watchlist = this.getTarget();
+        const watching = watchlist.tickers.includes(ticker);
+        watchlist.tickers = watching ? watchlist.tickers.filter(t => t !== ticker) : [...watchlist.tickers, ticker];
+        this.store.save(watchlist);
+        this.currentName = watchlist.name;
+
+        document.querySelectorAll('.watch-toggle[data-watch]').forEach(btn => {
+            if (btn.dataset.watch !== ticker) return;
+            btn.classList.toggle('active', !watching);
+            btn.textContent = WatchlistPanel.toggleLabel(!watching);
+        });
+        Utils.notify(`${watching ? 'Removed' : 'Added'} ${ticker} ${watching ? 'from' : 'to'} "${watchlist.name}"`, 'success');
+    }
+
+    static toggleLabel(watching) {
+        return watching ? '★ Watching' : '☆ Watch';
+    }
+
+    // Watch button for the company modal
+    renderToggle(ticker) {
+        const watching = this.store.watchedTickers().includes(ticker);
+        return `
+            <button class="compare-toggle watch-toggle ${watching ? 'active' : ''}" data-watch="${Utils.escapeHtml(ticker)}">${WatchlistPanel.toggleLabel(watching)}</button>
+        `;
+    }
+
+    // Unread alert count on the nav button
+    renderBadge() {
+        const badge = document.getElementById('alertBadge');
+        if (!badge) return;
+        const unread = this.alerts.unreadCount();
+        badge.textContent = unread;
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+    }
+
+    render() {
+        const watchlists = this.store.list();
+        if (!watchlists.some(w => w.name === this.currentName)) {
+            this.currentName = watchlists.length > 0 ? watchlists[0].name : null;
+        }
+
+        const select = document.getElementById('watchlistSelect');
+        if (select) {
+            select.innerHTML = watchlists.length > 0
+                ? watchlists.map(w => `<option value="${Utils.escapeHtml(w.name)}" ${w.name === this.currentName ? 'selected' : ''}>${Utils.escapeHtml(w.name)}</option>`).join('')
+                : '<option value="">No watchlists yet</option>';
+        }
+
+        const deleteBtn = document.getElementById('watchlistDelete');
+        if (deleteBtn) deleteBtn.disabled = !this.currentName;
+
+        this.renderMembers();
+        this.renderAlerts();
+    }
+
+    renderMembers() {
+        const container = document.getElementById('watchlistMembers');
+        if (!container) return;
+
+        const watchlist = this.getCurrent();
+        if (!watchlist) {
+            container.innerHTML = '<p style="color: var(--text-muted);">Create a watchlist, or use ☆ Watch in a company\'s details.</p>';
+            return;
+        }
+
+        const byTicker = {};
+        this.app.allAnalyzedData.forEach(c => { byTicker[c.ticker] = c; });
+        const candidates = this.app.allAnalyzedData
+            .filter(c => !watchlist.tickers.includes(c.ticker))
+            .sort((a, b) => a.company.localeCompare(b.company));
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Company</th><th>Health</th><th>Momentum</th><th>Category</th><th>Risk</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${watchlist.tickers.map(ticker => {
+                        const company = byTicker[ticker];
+                        if (!company) {
+                            return `
+                                <tr>
+                                    <td>${Utils.escapeHtml(ticker)} <span style="color: var(--text-muted);">not in dataset</span></td>
+                                    <td colspan="4">N/A</td>
+                                    <td><button class="action-btn secondary" data-unwatch="${Utils.escapeHtml(ticker)}">Remove</button></td>
+                                </tr>
+                            `;
+                        }
+                        const risk = company.ml.explanations.risk.level;
+                        return `
+                            <tr>
+                                <td class="company-link" data-ticker="${Utils.escapeHtml(ticker)}" style="cursor: pointer;">${Utils.escapeHtml(company.company)} <span style="color: var(--text-muted);">${Utils.escapeHtml(ticker)}</span></td>
+                                <td>${company.ml.healthScore.toFixed(0)}</td>
+                                <td>${company.ml.momentum.toFixed(0)}</td>
+                                <td>${company.ml.classification.category}</td>
+                                <td><span class="risk-tag ${risk}">${risk.toUpperCase()}</span></td>
+                                <td><button class="action-btn secondary" data-unwatch="${Utils.escapeHtml(ticker)}">Remove</button></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    <tr>
+                        <td colspan="4">
+                            <select id="watchTicker" class="filter-select">
+                                ${candidates.map(c => `<option value="${Utils.escapeHtml(c.ticker)}">${Utils.escapeHtml(c.company)} (${Utils.escapeHtml(c.ticker)})</option>`).join('')}
+                            </select>
+                        </td>
+                        <td colspan="2"><button class="action-btn" id="watchAdd" ${candidates.length === 0 ? 'disabled' : ''}>Watch</button></td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderAlerts() {
+        this.renderBadge();
+
+        const inbox = document.getElementById('alertsInbox');
+        if (!inbox) return;
+
+        const alerts = this.alerts.list();
+        const latest = this.snapshots.latest();
+        const versionNote = latest
+            ? `Dataset version ${latest.version} (${Utils.escapeHtml(latest.datasetName)}), first loaded ${new Date(latest.takenAt).toLocaleString('en-IN')}`
+            : 'No dataset snapshot yet';
+
+        inbox.innerHTML = `
+            <p style="color: var(--text-muted); font-size: 0.85rem; margin-bottom: 1rem;">${versionNote}</p>
+            ${alerts.length === 0
+                ? '<p style="color: var(--text-muted);">No alerts. Changes to watched companies appear here when a new dataset version is loaded.</p>'
+                : alerts.map(alert => `
+                    <div class="alert-item ${alert.type} ${alert.read ? '' : 'unread'}" data-alert="${Utils.escapeHtml(alert.id)}" data-ticker="${Utils.escapeHtml(alert.ticker)}">
+                        <div>${Utils.escapeHtml(alert.text)}</div>
+                        <div class="alert-meta">${Utils.escapeHtml(alert.datasetName)} · ${new Date(alert.createdAt).toLocaleDateString('en-IN')}</div>
+                    </div>
+                `).join('')}
+        `;
+    }
+}
+
+WatchlistPanel.DEFAULT_NAME = 'My Watchlist';
+
+// Make WatchlistPanel available globally
+window.WatchlistPanel = WatchlistPanel;
@@ -0,0 +1,236 @@
+// ========================================
+// Watchlists, Dataset Snapshots & Change Alerts
+// ========================================
+
+// A watchlist is plain JSON: { name, tickers: ['HAL', 'TCS'] }.
+class WatchlistStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.watchlists';
+    }
+
+    // Trim and upper-case tickers and drop duplicates
+    static normalize(watchlist) {
+        const source = watchlist || {};
+        const tickers = (Array.isArray(source.tickers) ? source.tickers : [])
+            .map(t => String(t || '').trim().toUpperCase())
+            .filter(Boolean);
+
+        return {
+            name: String(source.name || '').trim() || 'Untitled',
+            tickers: Utils.unique(tickers)
+        };
+    }
+
+    getSaved() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    list() {
+        return Object.values(this.getSaved())
+            .map(w => WatchlistStore.normalize(w))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.list().find(w => w.name === name) || null;
+    }
+
+    save(watchlist) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        const normalized = WatchlistStore.normalize(watchlist);
+        saved[normalized.name] = normalized;
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    remove(name) {
+        if (!this.storage) return;
+        const saved = this.getSaved();
+        delete saved[name];
+        this.storage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+
+    // Every ticker on any watchlist
+    watchedTickers() {
+        return Utils.unique(this.list().flatMap(w => w.tickers));
+    }
+}
+
+// Per dataset version, the scored `ml` fields of every company:
+//   { version, datasetName, takenAt, profile, companies: { TICKER: { company, healthScore, ... } } }
+// The version is a hash of the loaded financials, so reloading the same CSV
+// doesn't create a new snapshot. `profile` is a hash of the scoring profile the
+// scores were computed under; snapshots under different profiles aren't diffed.
+class SnapshotStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.snapshots';
+    }
+
+    static versionOf(companies) {
+        return Utils.hashString(JSON.stringify(companies.map(c => [c.ticker, c.years])));
+    }
+
+    static profileHash(profile) {
+        return Utils.hashString(JSON.stringify(profile));
+    }
+
+    static capture(analyzedCompanies, datasetName, profile) {
+        const companies = {};
+        analyzedCompanies.forEach(c => {
+            companies[c.ticker] = {
+                company: c.company,
+                healthScore: Math.round(c.ml.healthScore),
+                undervalScore: Math.round(c.ml.undervalScore),
+                momentum: Math.round(c.ml.momentum),
+                category: c.ml.classification.category,
+                risk: c.ml.explanations.risk.level
+            };
+        });
+
+        return {
+            version: SnapshotStore.versionOf(analyzedCompanies),
+            datasetName,
+            takenAt: new Date().toISOString(),
+            profile: SnapshotStore.profileHash(profile),
+            companies
+        };
+    }
+
+    // Oldest first
+    list() {
+        if (!this.storage) return [];
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    latest() {
+        const snapshots = this.list();
+        return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+    }
+
+    // Append a snapshot, keeping the most recent MAX_VERSIONS
+    record(snapshot) {
+        if (!this.storage) return;
+        const snapshots = this.list().filter(s => s.version !== snapshot.version);
+        snapshots.push(snapshot);
+        this.storage.setItem(this.storageKey, JSON.stringify(snapshots.slice(-SnapshotStore.MAX_VERSIONS)));
+    }
+
+    // Alerts for the given tickers between two snapshots
+    static diff(previous, current, tickers) {
+        const alerts = [];
+        const add = (ticker, kind, type, text) => {
+            alerts.push({
+                id: `${current.version}:${ticker}:${kind}`,
+                ticker,
+                type,
+                text,
+                fromVersion: previous.version,
+                toVersion: current.version,
+                datasetName: current.datasetName,
+                createdAt: current.takenAt,
+                read: false
+            });
+        };
+
+        tickers.forEach(ticker => {
+            const before = previous.companies[ticker];
+            const after = current.companies[ticker];
+            if (!before) return;
+            if (!after) {
+                add(ticker, 'removed', 'warning', `${ticker} is no longer in the dataset`);
+                return;
+            }
+
+            if (before.category !== after.category) {
+                const type = SnapshotStore.POSITIVE_CATEGORIES.includes(after.category) ? 'positive'
+                    : SnapshotStore.NEGATIVE_CATEGORIES.includes(after.category) ? 'negative' : 'warning';
+                add(ticker, 'category', type, `${ticker} moved from ${before.category} → ${after.category}`);
+            }
+
+            const riskChange = SnapshotStore.RISK_LEVELS.indexOf(after.risk) - SnapshotStore.RISK_LEVELS.indexOf(before.risk);
+            if (riskChange > 0) add(ticker, 'risk', 'negative', `Risk for ${ticker} rose to ${after.risk}`);
+            if (riskChange < 0) add(ticker, 'risk', 'positive', `Risk for ${ticker} fell to ${after.risk}`);
+
+            SnapshotStore.SCORE_ALERTS.forEach(({ key, label, threshold }) => {
+                const change = after[key] - before[key];
+                if (Math.abs(change) < threshold) return;
+                add(ticker, key, change > 0 ? 'positive' : 'negative',
+                    `${ticker} ${label} ${change > 0 ? 'rose' : 'fell'} from ${before[key]} to ${after[key]}`);
+            });
+        });
+
+        return alerts;
+    }
+}
+
+SnapshotStore.MAX_VERSIONS = 12;
+SnapshotStore.RISK_LEVELS = ['low', 'medium', 'high'];
+SnapshotStore.POSITIVE_CATEGORIES = ['undervalued', 'growth'];
+SnapshotStore.NEGATIVE_CATEGORIES = ['overvalued'];
+// Score moves smaller than `threshold` points are not worth an alert
+SnapshotStore.SCORE_ALERTS = [
+    { key: 'healthScore', label: 'health score', threshold: 10 },
+    { key: 'momentum', label: 'momentum', threshold: 15 },
+    { key: 'undervalScore', label: 'undervaluation score', threshold: 15 }
+];
+
+// Alerts inbox, newest first; ids are unique per dataset version, ticker and kind
+class AlertStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storageKey = 'mi.alerts';
+    }
+
+    list() {
+        if (!this.storage) return [];
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    write(alerts) {
+        if (!this.storage) return;
+        this.storage.setItem(this.storageKey, JSON.stringify(alerts.slice(0, AlertStore.MAX_ALERTS)));
+    }
+
+    add(alerts) {
+        const existing = this.list();
+        const ids = new Set(existing.map(a => a.id));
+        this.write([...alerts.filter(a => !ids.has(a.id)), ...existing]);
+    }
+
+    unreadCount() {
+        return this.list().filter(a => !a.read).length;
+    }
+
+    // Mark one alert (or all, without an id) as read
+    markRead(id = null) {
+        this.write(this.list().map(a => (id === null || a.id === id ? { ...a, read: true } : a)));
+    }
+
+    clear() {
+        this.write([]);
+    }
+}
+
+AlertStore.MAX_ALERTS = 200;
+
+// Make watchlist classes available globally
+window.WatchlistStore = WatchlistStore;
+window.SnapshotStore = SnapshotStore;
+window.AlertStore = AlertStore;
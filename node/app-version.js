@@ -0,0 +1,58 @@
+// ========================================
+// App Version - Hash of the App's Code
+// ========================================
+
+// js/version.js holds APP_VERSION, a hash of the files the browser runs. It
+// names the service worker's cache and is part of every dataset cache key, so
+// a deploy that changes code never serves scores cached by the old code.
+// Regenerate it after changing any of these files:
+//   npm run build:version
+// (`npm test` fails while it is out of date.)
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const VERSION_FILE = 'js/version.js';
+
+// Repo-relative paths of everything the version covers, sorted
+export function appFiles() {
+    const inDir = (dir, extension) => readdirSync(`${ROOT}${dir}`)
+        .filter(name => name.endsWith(extension))
+        .map(name => `${dir}/${name}`);
+
+    return ['index.html', 'sw.js', ...inDir('css', '.css'), ...inDir('js', '.js')]
+        .filter(file => file !== VERSION_FILE)
+        .sort();
+}
+
+// Line endings are normalized so a CRLF checkout gets the same version
+export function computeAppVersion() {
+    const hash = createHash('sha256');
+    appFiles().forEach(file => {
+        hash.update(`${file}\n`);
+        hash.update(readFileSync(`${ROOT}${file}`, 'utf8').replace(/\r\n/g, '\n'));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+// APP_VERSION as currently written in js/version.js
+export function readAppVersion() {
+    const match = /const APP_VERSION = '([^']*)';/.exec(readFileSync(`${ROOT}${VERSION_FILE}`, 'utf8'));
+    return match ? match[1] : null;
+}
+
+function writeAppVersion(version) {
+    const source = readFileSync(`${ROOT}${VERSION_FILE}`, 'utf8');
+    writeFileSync(`${ROOT}${VERSION_FILE}`, source.replace(/const APP_VERSION = '[^']*';/, `const APP_VERSION = '${version}';`));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const version = computeAppVersion();
+    if (readAppVersion() === version) {
+        console.log(`APP_VERSION is up to date (${version})`);
+    } else {
+        writeAppVersion(version);
+        console.log(`APP_VERSION set to ${version}`);
+    }
+}
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// ========================================
+// mi - Command-Line Scoring, Screening & Forecasts
+// ========================================
+
+// Runs the dashboard's scoring without a browser, e.g. nightly in a pipeline
+// with the output diffed against the previous run:
+//   mi score data.csv --format csv > scores.csv
+//   mi screen --rule "roe>15" --rule "debtToEquity<1"
+//   mi forecast TCS --format json
+import { existsSync, readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import Papa from 'papaparse';
+import {
+    DATA_FILES,
+    DataLoader,
+    DataValidator,
+    Screener,
+    ScoringProfileStore,
+    analyze,
+    loadDataset
+} from './index.js';
+
+const USAGE = `Usage: mi <command> [options]
+
+Commands:
+  score [data.csv]     Scores for every company
+  screen --rule <r>    Companies matching the rules, e.g. --rule "roe>15"
+  forecast <TICKER>    Revenue and net profit forecasts for a company
+
+Options:
+  --data <file>        Financials CSV (default: the bundled dataset)
+  --market <file>      Market-cap CSV (default: the bundled one with the bundled dataset)
+  --format <f>         table | json | csv (default: table)
+  --profile <p>        Scoring profile: a built-in name or a JSON file (default: Default)
+  --policy <p>         Flagged rows: keep | drop | impute (default: keep)
+  --period <p>         annual | quarterly (TTM) (default: annual)
+  --rule <r>           Screen rule, repeatable; field ids as in the Screener
+  --any                Match any rule instead of all of them
+  -h, --help           Show this help
+`;
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Thrown for bad input: reported without a stack trace
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            data: { type: 'string' },
+            market: { type: 'string' },
+            format: { type: 'string', default: 'table' },
+            profile: { type: 'string' },
+            policy: { type: 'string', default: 'keep' },
+            period: { type: 'string', default: 'annual' },
+            rule: { type: 'string', multiple: true, default: [] },
+            any: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    if (!DataValidator.POLICIES.includes(values.policy)) throw new UsageError(`--policy must be one of ${DataValidator.POLICIES.join(', ')}`);
+    if (!DataLoader.PERIOD_TYPES.includes(values.period)) throw new UsageError(`--period must be one of ${DataLoader.PERIOD_TYPES.join(', ')}`);
+
+    const [command, ...args] = positionals;
+    return { command, args, ...values };
+}
+
+// A built-in profile by name, or a JSON file shaped like DEFAULT_SCORING_PROFILE
+// (missing keys fall back to the default)
+function loadProfile(nameOrFile) {
+    const store = new ScoringProfileStore(null);
+    if (!nameOrFile) return store.getActive();
+
+    const builtIn = store.get(nameOrFile);
+    if (builtIn) return builtIn;
+    if (!existsSync(nameOrFile)) throw new UsageError(`No built-in profile or file named '${nameOrFile}'`);
+    try {
+        return ScoringProfileStore.normalize(JSON.parse(readFileSync(nameOrFile, 'utf8')));
+    } catch (error) {
+        throw new UsageError(`Cannot read profile ${nameOrFile}: ${error.message}`);
+    }
+}
+
+// Scored companies for the data file in the options (or the bundled dataset)
+function run(options, dataFile = options.data) {
+    const file = dataFile || DATA_FILES.financials;
+    if (!existsSync(file)) throw new UsageError(`Data file not found: ${file}`);
+
+    const marketData = options.market || (dataFile ? null : DATA_FILES.marketData);
+    const loader = loadDataset(file, { marketData, policy: options.policy, periodType: options.period });
+    if (loader.companies.length === 0) throw new UsageError(`No companies to score in ${file} (${options.period} view)`);
+
+    return { loader, ...analyze(loader, loadProfile(options.profile)) };
+}
+
+// Flat per-company record; sorted by ticker so runs diff cleanly
+function scoreRecord(company, analyzer) {
+    const latest = company.years[company.years.length - 1];
+    return {
+        ticker: company.ticker,
+        company: company.company,
+        sector: company.sector,
+        fy: latest.fy,
+        healthScore: company.ml.healthScore,
+        undervalScore: company.ml.undervalScore,
+        momentum: company.ml.momentum,
+        category: company.ml.classification.category,
+        risk: analyzer.calculateRisk(company),
+        predicted2026Revenue: company.ml.predicted2026Revenue,
+        predicted2026Profit: company.ml.predicted2026Profit
+    };
+}
+
+function byTicker(a, b) {
+    return a.ticker.localeCompare(b.ticker);
+}
+
+function score(options) {
+    const { analyzer, analyzed } = run(options, options.args[0] || options.data);
+    return analyzed.map(company => scoreRecord(company, analyzer)).sort(byTicker);
+}
+
+function screen(options) {
+    if (options.rule.length === 0) throw new UsageError('screen needs at least one --rule, e.g. --rule "roe>15"');
+
+    let rules;
+    try {
+        rules = options.rule.map(text => Screener.parseRule(text));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { loader, analyzer, analyzed } = run(options);
+    const root = { op: options.any ? 'OR' : 'AND', rules };
+    const screener = new Screener(analyzed, analyzer, loader);
+    return screener.run({ name: 'cli', root }).map(company => scoreRecord(company, analyzer)).sort(byTicker);
+}
+
+// One row per forecast period of revenue and net profit
+function forecast(options) {
+    const ticker = String(options.args[0] || '').trim().toUpperCase();
+    if (!ticker) throw new UsageError('forecast needs a ticker, e.g. mi forecast TCS');
+
+    const { analyzed } = run(options);
+    const company = analyzed.find(c => c.ticker.toUpperCase() === ticker);
+    if (!company) throw new UsageError(`Unknown ticker '${ticker}'`);
+
+    const series = [
+        { field: 'revenue', forecast: company.ml.revenueForecast },
+        { field: 'netProfit', forecast: company.ml.profitForecast }
+    ];
+    return series.filter(s => s.forecast).flatMap(({ field, forecast: f }) => f.points.map(point => ({
+        ticker: company.ticker,
+        field,
+        fy: point.fy,
+        value: point.value,
+        lower: point.lower,
+        upper: point.upper,
+        model: f.label,
+        backtestError: f.backtestError,
+        level: f.level
+    })));
+}
+
+// Numbers rounded for reading; json and csv keep full precision
+function formatTable(records) {
+    if (records.length === 0) return 'No results';
+
+    const columns = Object.keys(records[0]);
+    const cell = (value) => {
+        if (value === null || value === undefined) return 'N/A';
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+        return String(value);
+    };
+    const rows = [columns, ...records.map(r => columns.map(c => cell(r[c])))];
+    const widths = columns.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    return rows.map(row => row.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+function format(records, type) {
+    if (type === 'json') return JSON.stringify(records, null, 2);
+    if (type === 'csv') return Papa.unparse(records);
+    return formatTable(records);
+}
+
+const COMMANDS = { score, screen, forecast };
+
+function main(argv) {
+    let options;
+    try {
+        options = parseOptions(argv);
+        if (options.help || !options.command) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+
+        const command = COMMANDS[options.command];
+        if (!command) throw new UsageError(`Unknown command '${options.command}'`);
+        process.stdout.write(`${format(command(options), options.format)}\n`);
+        return 0;
+    } catch (error) {
+        // parseArgs reports unknown or malformed options as ERR_PARSE_ARGS_*
+        if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+            process.stderr.write(`mi: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        process.stderr.write(`mi: ${error.stack || error.message}\n`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,75 @@
+// ========================================
+// Node Entry Point - Analytics as ES Modules
+// ========================================
+
+// Loads the dashboard's analytics scripts (js/*.js) unchanged and exports their
+// classes, so Node runs exactly the scoring the browser does. The scripts
+// register their classes on `window` (see js/analytics-worker.js for the same
+// approach in the Web Worker). They run in a context of their own, whose global
+// object is their `window` and gets `Papa` from the papaparse package, so
+// importing this module leaves the host's globals alone. Objects it returns
+// come from that context: compare them structurally, not with instanceof.
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createContext, runInContext } from 'node:vm';
+import Papa from 'papaparse';
+
+const context = createContext({ console, setTimeout, clearTimeout, Papa });
+context.window = context;
+
+const SCRIPTS = [
+    'utils.js',
+    'validator.js',
+    'data-loader.js',
+    'sector-models.js',
+    'scoring-profiles.js',
+    'financials.js',
+    'forecasting.js',
+    'ml-engine.js',
+    'screener.js',
+    'sector-analysis.js',
+    'valuation.js'
+];
+
+SCRIPTS.forEach(file => {
+    const filePath = fileURLToPath(new URL(`../js/${file}`, import.meta.url));
+    runInContext(readFileSync(filePath, 'utf8'), context, { filename: filePath });
+});
+
+export const {
+    Utils,
+    DataValidator,
+    DataLoader,
+    SectorModels,
+    DEFAULT_SCORING_PROFILE,
+    ScoringProfileStore,
+    FinancialAnalyzer,
+    ForecastEngine,
+    MLEngine,
+    Screener,
+    SectorAnalyzer,
+    ValuationModel
+} = context;
+
+// Bundled dataset, used when no data file is given
+export const DATA_FILES = {
+    financials: fileURLToPath(new URL('../data/indian_companies_financials.csv', import.meta.url)),
+    marketData: fileURLToPath(new URL('../data/market_cap_snapshots.csv', import.meta.url))
+};
+
+// A DataLoader with a financials CSV (and optional market-cap CSV) loaded, as
+// App.loadBundledDataset does in the browser.
+// options: { marketData: path, policy: 'keep' | 'drop' | 'impute', periodType: 'annual' | 'quarterly' }
+export function loadDataset(filePath, options = {}) {
+    const loader = new DataLoader({ validationPolicy: options.policy, periodType: options.periodType });
+    loader.loadRows(DataLoader.parseCSV(readFileSync(filePath, 'utf8')));
+    if (options.marketData) loader.setMarketData(DataLoader.parseCSV(readFileSync(options.marketData, 'utf8')));
+    return loader;
+}
+
+// Score every company in the loader's current view (AnalyticsPipeline.runLocally)
+export function analyze(loader, profile = ScoringProfileStore.normalize(DEFAULT_SCORING_PROFILE)) {
+    const analyzer = new FinancialAnalyzer(loader.companies, { profile });
+    const mlEngine = new MLEngine(loader.companies, analyzer);
+    return { analyzer, mlEngine, analyzed: mlEngine.analyzeAllWithML() };
+}
@@ -0,0 +1,106 @@
+// ========================================
+// Service Worker - Offline App Shell & Data
+// ========================================
+
+// Precaches the app shell, the chart/parsing libraries and the bundled data
+// files, then serves every cached request from the cache first while fetching
+// a fresh copy in the background (stale-while-revalidate). The dashboard opens
+// without waiting on the network and works offline; an updated file is picked
+// up on the next visit. The cache is named after the app version
+// (js/version.js), so a release that changes code drops everything cached before.
+self.window = self;
+importScripts('js/version.js');
+
+const CACHE_NAME = `mi-shell-${APP_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/version.js',
+    'js/utils.js',
+    'js/validator.js',
+    'js/data-loader.js',
+    'js/dataset-cache.js',
+    'js/sector-models.js',
+    'js/scoring-profiles.js',
+    'js/financials.js',
+    'js/forecasting.js',
+    'js/ml-engine.js',
+    'js/charts.js',
+    'js/uploader.js',
+    'js/scoring-panel.js',
+    'js/compare.js',
+    'js/sector-analysis.js',
+    'js/sector-view.js',
+    'js/outlook.js',
+    'js/portfolio.js',
+    'js/portfolio-panel.js',
+    'js/watchlist.js',
+    'js/watchlist-panel.js',
+    'js/scenarios.js',
+    'js/scenario-panel.js',
+    'js/screener.js',
+    'js/screener-panel.js',
+    'js/stock-table.js',
+    'js/peer-ranking.js',
+    'js/valuation.js',
+    'js/report.js',
+    'js/analytics-pipeline.js',
+    'js/analytics-worker.js',
+    'js/router.js',
+    'js/app.js',
+    'data/indian_companies_financials.csv',
+    'data/market_cap_snapshots.csv',
+    'data/macro_drivers.json',
+    'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.3.2/papaparse.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // A file that fails to download is skipped rather than failing the install
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all(PRECACHE_URLS.map(url => cache.add(url).catch(error => {
+                console.warn(`Not cached for offline use: ${url}`, error);
+            }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Same-origin files and the precached libraries; anything else goes straight
+// to the network
+function isCacheable(request) {
+    if (request.method !== 'GET') return false;
+    const url = new URL(request.url);
+    return url.origin === self.location.origin || PRECACHE_URLS.includes(url.href);
+}
+
+self.addEventListener('fetch', (event) => {
+    if (!isCacheable(event.request)) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        // Query strings don't select content here (old ?compare= links open the cached page)
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        const refresh = fetch(event.request)
+            .then(response => {
+                if (response.ok) cache.put(event.request, response.clone());
+                return response;
+            });
+
+        if (cached) {
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh;
+    }));
+});
@@ -0,0 +1,147 @@
+// Full pipeline (DataLoader -> FinancialAnalyzer -> MLEngine) against golden
+// snapshots, plus the edge cases the snapshots are there to guard
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DATA_FILES, DataLoader, DataValidator, MLEngine, analyze, loadDataset } from '../node/index.js';
+import { assertGolden, fixturePath, loaderFromRows, summarizeAll } from './helpers.js';
+
+function run(file, options = {}) {
+    const loader = loadDataset(file, options);
+    const { analyzer, analyzed } = analyze(loader);
+    return { loader, analyzer, analyzed, byTicker: Object.fromEntries(analyzed.map(c => [c.ticker, c])) };
+}
+
+describe('golden snapshots', () => {
+    it('bundled dataset with market-cap snapshots', () => {
+        const { analyzer, analyzed } = run(DATA_FILES.financials, { marketData: DATA_FILES.marketData });
+        assertGolden('bundled', summarizeAll(analyzed, analyzer));
+    });
+
+    DataValidator.POLICIES.forEach(policy => {
+        it(`edge cases, '${policy}' policy`, () => {
+            const { loader, analyzer, analyzed } = run(fixturePath('edge-cases.csv'), { policy });
+            assertGolden(`edge-cases-${policy}`, {
+                validation: loader.validation.summary,
+                companies: summarizeAll(analyzed, analyzer)
+            });
+        });
+    });
+
+    DataLoader.PERIOD_TYPES.forEach(periodType => {
+        it(`quarterly fixture, ${periodType} view`, () => {
+            const { analyzer, analyzed } = run(fixturePath('quarterly.csv'), { periodType });
+            assertGolden(`quarterly-${periodType}`, summarizeAll(analyzed, analyzer));
+        });
+    });
+});
+
+describe('edge cases', () => {
+    const { analyzer, byTicker } = run(fixturePath('edge-cases.csv'));
+
+    it('leaves valuation out for a company without market cap', () => {
+        const company = byTicker.NAMCAP;
+        const metrics = analyzer.calculateMetrics(company);
+        assert.equal(company.ml.hasValuation, false);
+        assert.equal(metrics.priceToEquity, null);
+        assert.equal(metrics.priceToSales, null);
+        assert.ok(company.ml.insights.some(i => i.text.startsWith('No market-cap data')));
+        assert.ok(company.ml.explanations.risk.contributions.some(c => c.label.startsWith('No market cap')));
+    });
+
+    it('scores zero revenue without NaN', () => {
+        const company = byTicker.ZEROREV;
+        const metrics = analyzer.calculateMetrics(company);
+        assert.equal(metrics.profitMargin, 0);
+        assert.equal(metrics.priceToSales, 0);
+        ['healthScore', 'undervalScore', 'momentum'].forEach(key => assert.ok(Number.isFinite(company.ml[key]), key));
+    });
+
+    it('scores negative equity without NaN', () => {
+        const company = byTicker.NEGEQ;
+        assert.ok(analyzer.calculateMetrics(company).debtToEquity < 0);
+        ['healthScore', 'undervalScore', 'momentum'].forEach(key => assert.ok(Number.isFinite(company.ml[key]), key));
+    });
+
+    it('does not forecast with fewer than 3 years', () => {
+        ['ONEYR', 'TWOYR'].forEach(ticker => {
+            assert.equal(byTicker[ticker].ml.revenueForecast, null, ticker);
+            assert.equal(byTicker[ticker].ml.predicted2026Revenue, null, ticker);
+            assert.equal(byTicker[ticker].ml.predicted2026Profit, null, ticker);
+        });
+        assert.equal(byTicker.ONEYR.ml.momentum, 50);
+    });
+
+    it('flags heavy debt and losses as high-risk and overvalued', () => {
+        assert.equal(analyzer.calculateRisk(byTicker.HIDEBT), 'high');
+        assert.equal(byTicker.HIDEBT.ml.classification.category, 'overvalued');
+    });
+
+    it('scores banks with the banking model', () => {
+        assert.equal(analyzer.getSectorModel(byTicker.PRUBANK).id, 'banking');
+        assert.equal(analyzer.usesDebtToEquity(byTicker.PRUBANK), false);
+        assert.equal(analyzer.calculateRisk(byTicker.STRESSED), 'high');
+    });
+
+    it('keeps banks out of the D/E peer range', () => {
+        const ratios = analyzer.companies
+            .filter(c => analyzer.usesDebtToEquity(c))
+            .map(c => analyzer.calculateMetrics(c).debtToEquity);
+        const { debt } = new MLEngine(analyzer.companies, analyzer).getPeerStats();
+        assert.equal(debt.all.count, ratios.length);
+        assert.equal(debt.all.max, Math.max(...ratios));
+    });
+});
+
+describe('missing values', () => {
+    // HDFC's FY2024 row is all NA apart from market cap and is kept under the default policy
+    const { analyzer, analyzed, byTicker } = run(DATA_FILES.financials, { marketData: DATA_FILES.marketData });
+
+    it('leaves metrics of missing fields null instead of 0', () => {
+        const metrics = analyzer.calculateMetrics(byTicker.HDFC);
+        ['profitMargin', 'roe', 'debtToEquity', 'priceToEquity', 'priceToSales'].forEach(key => assert.equal(metrics[key], null, key));
+    });
+
+    it('scores no points for missing fields', () => {
+        const { health, risk, undervaluation } = byTicker.HDFC.ml.explanations;
+        assert.equal(health.score, 0);
+        assert.equal(risk.score, 0);
+        assert.ok(undervaluation.contributions.every(c => c.points === 0));
+    });
+
+    it('keeps missing fields out of the peer ranges', () => {
+        const margins = analyzed
+            .filter(c => c.ticker !== 'HDFC')
+            .map(c => analyzer.calculateMetrics(c).profitMargin);
+        const mlEngine = new MLEngine(analyzer.companies, analyzer);
+        assert.equal(mlEngine.getPeerStats().profitability.all.min, Math.min(...margins));
+    });
+});
+
+describe('FY2026 revenue prediction', () => {
+    const linearRows = [0, 1, 2, 3, 4].map(i => ({
+        Sector: 'IT/Technology',
+        Company: 'Linear Co',
+        Ticker: 'LINE',
+        FY: `FY${2020 + i}`,
+        Revenue_Cr: 1000 + 200 * i,
+        Net_Profit_Cr: 100 + 20 * i,
+        Total_Debt_Cr: 100,
+        Total_Equity_Cr: 1000,
+        Market_Cap_Cr: 5000
+    }));
+
+    it('extends a straight-line history along the line', () => {
+        const { analyzed } = analyze(loaderFromRows(linearRows));
+        const { ml } = analyzed[0];
+        assert.equal(ml.revenueForecast.model, 'linear');
+        assert.ok(Math.abs(ml.predicted2026Revenue - 2200) < 1e-6, `got ${ml.predicted2026Revenue}`);
+        assert.ok(Math.abs(ml.predicted2026Profit - 220) < 1e-6, `got ${ml.predicted2026Profit}`);
+    });
+
+    it('reads FY2026 from the forecast points', () => {
+        const { analyzed } = analyze(loaderFromRows(linearRows));
+        const { ml } = analyzed[0];
+        const point = ml.revenueForecast.points.find(p => p.fy === 'FY2026');
+        assert.equal(ml.predicted2026Revenue, point.value);
+    });
+});
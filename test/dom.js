@@ -0,0 +1,80 @@
+// ========================================
+// Test Helpers - Dashboard in jsdom
+// ========================================
+
+// Boots index.html with the app's scripts in jsdom. Chart.js is stubbed (there
+// is no canvas), Papa is the papaparse package, and fetch serves files from the
+// repo - with `files` mapping request paths to other files, e.g. to load a
+// fixture as the bundled dataset. IndexedDB, workers and service workers don't
+// exist in jsdom, so the app takes its fallbacks: no cache, scoring on the main
+// thread.
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import Papa from 'papaparse';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+class ChartStub {
+    constructor(ctx, config) {
+        this.config = config;
+    }
+
+    update() {}
+
+    destroy() {}
+
+    toBase64Image() {
+        return '';
+    }
+}
+
+function response(status, text) {
+    return {
+        ok: status === 200,
+        status,
+        text: async () => text,
+        json: async () => JSON.parse(text)
+    };
+}
+
+// Resolves to { window, app, errors } once app.init() has finished; errors
+// collects console.error output and uncaught script errors
+export async function bootDashboard({ files = {} } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.stack || error.message));
+
+    // External scripts are injected below rather than fetched by jsdom
+    const html = readFileSync(`${ROOT}index.html`, 'utf8');
+    const scripts = [...html.matchAll(/<script src="(js\/[^"]+)"/g)].map(match => match[1]);
+    const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/index.html',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    window.Chart = ChartStub;
+    window.Papa = Papa;
+    window.HTMLCanvasElement.prototype.getContext = () => ({});
+    window.fetch = async (url) => {
+        const path = new URL(url, window.location.href).pathname.slice(1);
+        const file = files[path] || `${ROOT}${path}`;
+        return existsSync(file) ? response(200, readFileSync(file, 'utf8')) : response(404, '');
+    };
+
+    // DOMContentLoaded has already fired, so init() is run here instead
+    scripts.forEach(src => {
+        const script = window.document.createElement('script');
+        script.textContent = readFileSync(`${ROOT}${src}`, 'utf8');
+        window.document.body.appendChild(script);
+    });
+    const app = window.eval('app');
+    await app.init();
+
+    return { window, app, errors };
+}
@@ -0,0 +1,88 @@
+// ========================================
+// Test Helpers - Fixtures & Golden Snapshots
+// ========================================
+
+// Golden files live in test/golden/<name>.json. After an intended change to
+// scoring, regenerate them with `UPDATE_GOLDEN=1 npm test` and review the diff.
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { DataLoader } from '../node/index.js';
+
+export function fixturePath(name) {
+    return fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+}
+
+// A loaded DataLoader from in-memory rows (objects keyed by CSV header)
+export function loaderFromRows(rows, options = {}) {
+    const loader = new DataLoader(options);
+    loader.loadRows(rows);
+    return loader;
+}
+
+// Numbers to 6 decimals so snapshots don't churn on the last float digit
+export function round(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Number(value.toFixed(6)) : value;
+    if (Array.isArray(value)) return value.map(round);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, round(v)]));
+    }
+    return value;
+}
+
+function summarizeForecast(forecast) {
+    if (!forecast) return null;
+    return {
+        model: forecast.model,
+        backtestError: forecast.backtestError,
+        points: forecast.points.map(p => ({ fy: p.fy, value: p.value, lower: p.lower, upper: p.upper }))
+    };
+}
+
+// Everything the pipeline decides about a company
+export function summarize(company, analyzer) {
+    const { ml } = company;
+    const metrics = analyzer.calculateMetrics(company);
+    return round({
+        ticker: company.ticker,
+        fy: company.years[company.years.length - 1].fy,
+        metrics: {
+            profitMargin: metrics.profitMargin,
+            roe: metrics.roe,
+            debtToEquity: metrics.debtToEquity,
+            priceToEquity: metrics.priceToEquity,
+            priceToSales: metrics.priceToSales,
+            hasValuation: metrics.hasValuation
+        },
+        healthScore: ml.healthScore,
+        health: ml.explanations.health.contributions,
+        risk: ml.explanations.risk,
+        undervalScore: ml.undervalScore,
+        momentum: ml.momentum,
+        classification: { category: ml.classification.category, reason: ml.classification.reason },
+        revenueForecast: summarizeForecast(ml.revenueForecast),
+        profitForecast: summarizeForecast(ml.profitForecast),
+        predicted2026Revenue: ml.predicted2026Revenue,
+        predicted2026Profit: ml.predicted2026Profit,
+        insights: ml.insights.map(i => `${i.type}: ${i.text}`)
+    });
+}
+
+export function summarizeAll(analyzed, analyzer) {
+    return analyzed
+        .map(company => summarize(company, analyzer))
+        .sort((a, b) => a.ticker.localeCompare(b.ticker));
+}
+
+// Compare with test/golden/<name>.json (compared as JSON, so NaN/Infinity read as null)
+export function assertGolden(name, actual) {
+    const file = fileURLToPath(new URL(`./golden/${name}.json`, import.meta.url));
+    const json = `${JSON.stringify(actual, null, 2)}\n`;
+
+    if (process.env.UPDATE_GOLDEN) {
+        writeFileSync(file, json);
+        return;
+    }
+    assert.ok(existsSync(file), `Missing golden file test/golden/${name}.json - run UPDATE_GOLDEN=1 npm test`);
+    assert.deepStrictEqual(JSON.parse(json), JSON.parse(readFileSync(file, 'utf8')));
+}
@@ -0,0 +1,114 @@
+// Properties that must hold for any input: scores stay in 0-100 and results
+// don't depend on anything but the data. Universes are random but seeded, so a
+// failure names the seed that reproduces it.
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ScoringProfileStore, Screener, analyze } from '../node/index.js';
+import { loaderFromRows, summarizeAll } from './helpers.js';
+
+const SEEDS = [1, 7, 42, 2024, 31337];
+const SCORES = ['healthScore', 'undervalScore', 'momentum'];
+const CATEGORIES = Screener.getField('category').options;
+const RISKS = Screener.getField('risk').options;
+
+// mulberry32: small deterministic PRNG returning floats in [0, 1)
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// CSV-shaped rows for a random universe, including zero and negative values,
+// missing market caps, 1-6 years of history and banks
+function universe(seed, size = 24) {
+    const rand = random(seed);
+    const pick = (items) => items[Math.floor(rand() * items.length)];
+    const between = (min, max) => min + rand() * (max - min);
+    const maybe = (value, chance = 0.1) => (rand() < chance ? null : value);
+    const sectors = ['IT/Technology', 'FMCG', 'Energy', 'Defense', 'Banking'];
+    const rows = [];
+
+    for (let i = 0; i < size; i++) {
+        const sector = pick(sectors);
+        const ticker = `T${seed}X${i}`;
+        const years = 1 + Math.floor(rand() * 6);
+        let revenue = pick([0, between(10, 1000), between(1000, 200000)]);
+        let equity = pick([between(-5000, 0), between(1, 100000)]);
+
+        for (let y = 0; y < years; y++) {
+            revenue = Math.max(0, revenue * between(0.7, 1.4));
+            equity += between(-2000, 5000);
+            const row = {
+                Sector: sector,
+                Company: `Company ${ticker}`,
+                Ticker: ticker,
+                FY: `FY${2025 - years + 1 + y}`,
+                Revenue_Cr: revenue,
+                Net_Profit_Cr: revenue * between(-0.4, 0.35),
+                Total_Debt_Cr: pick([0, between(0, 3) * Math.abs(equity)]),
+                Total_Equity_Cr: equity,
+                Market_Cap_Cr: maybe(between(100, 500000), 0.2)
+            };
+            if (sector === 'Banking') {
+                Object.assign(row, {
+                    Total_Assets_Cr: maybe(Math.abs(equity) * between(5, 15)),
+                    NIM_Pct: maybe(between(1, 5)),
+                    GNPA_Pct: maybe(between(0.5, 12)),
+                    NNPA_Pct: maybe(between(0.1, 5)),
+                    CASA_Pct: maybe(between(20, 50))
+                });
+            }
+            rows.push(row);
+        }
+    }
+    return rows;
+}
+
+function shuffle(rows, seed) {
+    const rand = random(seed);
+    const copy = rows.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function score(rows, profile) {
+    const { analyzer, analyzed } = analyze(loaderFromRows(rows), profile);
+    return { analyzer, analyzed, summary: summarizeAll(analyzed, analyzer) };
+}
+
+ScoringProfileStore.BUILT_IN.forEach(builtIn => {
+    const profile = ScoringProfileStore.normalize(builtIn);
+
+    describe(`${builtIn.name} profile`, () => {
+        SEEDS.forEach(seed => {
+            const rows = universe(seed);
+
+            it(`keeps scores in range (seed ${seed})`, () => {
+                const { analyzer, analyzed } = score(rows, profile);
+                assert.ok(analyzed.length > 0);
+                analyzed.forEach(company => {
+                    SCORES.forEach(key => {
+                        const value = company.ml[key];
+                        assert.ok(Number.isFinite(value) && value >= 0 && value <= 100, `${company.ticker} ${key} = ${value}`);
+                    });
+                    assert.ok(CATEGORIES.includes(company.ml.classification.category), company.ticker);
+                    assert.ok(RISKS.includes(analyzer.calculateRisk(company)), company.ticker);
+                });
+            });
+
+            it(`gives the same results on every run and in any row order (seed ${seed})`, () => {
+                const first = score(rows, profile).summary;
+                assert.deepStrictEqual(score(rows, profile).summary, first);
+                assert.deepStrictEqual(score(shuffle(rows, seed), profile).summary, first);
+            });
+        });
+    });
+});
@@ -0,0 +1,61 @@
+// Dashboard sector outlooks and the Sectors page's macro notes, with markup in
+// an uploaded sector name and in data/macro_drivers.json
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { bootDashboard } from './dom.js';
+import { fixturePath } from './helpers.js';
+
+describe('Sector outlooks with markup in sector names and macro notes', () => {
+    const PAYLOAD = '<img src=x onerror="window.injected=1">';
+    let window;
+    let app;
+
+    before(async () => {
+        ({ window, app } = await bootDashboard({
+            files: {
+                'data/indian_companies_financials.csv': fixturePath('edge-cases.csv'),
+                'data/macro_drivers.json': fixturePath('macro-markup.json')
+            }
+        }));
+        const rows = [2022, 2023, 2024].map(year => ({
+            Sector: PAYLOAD,
+            Company: 'Markup Co',
+            Ticker: 'MARKUP',
+            FY: `FY${year}`,
+            Revenue_Cr: 1000,
+            Net_Profit_Cr: 100,
+            Total_Debt_Cr: 100,
+            Total_Equity_Cr: 1000,
+            Market_Cap_Cr: 5000
+        }));
+        await app.loadUploadedDataset(rows, 'payload.csv');
+        app.switchSection('dashboard');
+    });
+
+    after(() => window.close());
+
+    it('renders the outlook and its notes as text', () => {
+        const container = window.document.getElementById('sectorPredictions');
+        const item = container.querySelector('.prediction-item');
+        assert.equal(container.querySelector('img'), null);
+        assert.equal(item.querySelector('.prediction-title').textContent.trim().startsWith(PAYLOAD), true);
+        assert.equal(item.querySelector('.prediction-note').textContent.trim(), `${PAYLOAD} ${PAYLOAD} (${PAYLOAD}, 2025-01-01)`);
+        assert.equal(window.injected, undefined);
+    });
+
+    it('opens the sector from its outlook', () => {
+        window.document.querySelector('#sectorPredictions .prediction-desc').click();
+        assert.equal(app.currentSection, 'sectors');
+        assert.equal(app.sectorView.sector, PAYLOAD);
+        app.sectorView.close();
+    });
+
+    it('renders macro notes as text', () => {
+        app.switchSection('sectors');
+        const card = window.document.querySelector('#macroDrivers .driver-card');
+        assert.equal(window.document.querySelector('#macroDrivers img'), null);
+        assert.equal(card.querySelector('h4').textContent, PAYLOAD);
+        assert.equal(card.querySelector('p').textContent, PAYLOAD);
+        assert.equal(window.injected, undefined);
+    });
+});
@@ -0,0 +1,74 @@
+// Portfolio Builder (PortfolioPanel), driven through the page's own import
+// with the edge-case fixture as the bundled dataset
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { bootDashboard } from './dom.js';
+import { fixturePath } from './helpers.js';
+
+// Imports a file through the panel and resolves once it has re-rendered
+function importFile(window, panel, text, fileName) {
+    return new Promise(resolve => {
+        const render = panel.render;
+        panel.render = function () {
+            panel.render = render;
+            render.call(panel);
+            resolve();
+        };
+        panel.importFile(new window.File([text], fileName, { type: 'application/json' }));
+    });
+}
+
+describe('Portfolio Builder with markup in imported names', () => {
+    const PAYLOAD = '<img src=x onerror="window.injected=1">';
+    let window;
+    let app;
+
+    before(async () => {
+        ({ window, app } = await bootDashboard({
+            files: { 'data/indian_companies_financials.csv': fixturePath('edge-cases.csv') }
+        }));
+        app.switchSection('portfolios');
+        const portfolio = { name: PAYLOAD, basis: 'weight', holdings: [{ ticker: PAYLOAD, value: 1 }] };
+        await importFile(window, app.portfolioPanel, JSON.stringify(portfolio), 'payload.json');
+    });
+
+    after(() => window.close());
+
+    it('renders the portfolio name as text', () => {
+        const select = window.document.getElementById('portfolioSelect');
+        assert.equal(select.value, PAYLOAD);
+        assert.equal(select.options[0].textContent, PAYLOAD);
+    });
+
+    it('renders a ticker outside the dataset as text', () => {
+        const section = window.document.getElementById('portfolios');
+        assert.equal(section.querySelector('img'), null);
+        assert.equal(section.querySelector('#portfolioHoldings tbody td').textContent.startsWith(PAYLOAD.toUpperCase()), true);
+        assert.equal(section.querySelector('#portfolioSummary').textContent.includes(PAYLOAD.toUpperCase()), true);
+        assert.equal(window.injected, undefined);
+    });
+});
+
+describe('Portfolio Builder on the quarterly view', () => {
+    let window;
+    let app;
+
+    before(async () => {
+        ({ window, app } = await bootDashboard({
+            files: { 'data/indian_companies_financials.csv': fixturePath('quarterly.csv') }
+        }));
+        await app.setPeriodType('quarterly');
+    });
+
+    after(() => window.close());
+
+    it('takes forecast revenue growth one year ahead of the latest TTM point', () => {
+        const company = app.allAnalyzedData.find(c => c.ticker === 'QINFO');
+        const latest = company.years[company.years.length - 1];
+        const yearAhead = company.ml.revenueForecast.points.find(p => p.step === 4);
+        const analysis = new window.PortfolioAnalyzer(app.allAnalyzedData, app.analyzer)
+            .analyze({ name: 'Quarterly', basis: 'weight', holdings: [{ ticker: 'QINFO', value: 1 }] });
+        assert.equal(latest.period, 'ttm');
+        assert.equal(analysis.revenueGrowth, (yearAhead.value - latest.revenue) / latest.revenue * 100);
+    });
+});
@@ -0,0 +1,305 @@
+// Stock Explorer filters (App.renderStocks), driven through the page's own
+// controls with the edge-case fixture as the bundled dataset
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { bootDashboard } from './dom.js';
+import { fixturePath } from './helpers.js';
+
+describe('Stock Explorer filters', () => {
+    let window;
+    let document;
+    let app;
+    let errors;
+
+    before(async () => {
+        ({ window, app, errors } = await bootDashboard({
+            files: { 'data/indian_companies_financials.csv': fixturePath('edge-cases.csv') }
+        }));
+        document = window.document;
+    });
+
+    after(() => window.close());
+
+    // Back to all stocks between tests
+    beforeEach(() => {
+        document.querySelector('.category-tab[data-category="all"]').click();
+        setSelect('sectorFilter', 'all');
+        setSelect('riskFilter', 'all');
+        app.searchQuery = '';
+        app.renderStocks();
+    });
+
+    function setSelect(id, value) {
+        const select = document.getElementById(id);
+        select.value = value;
+        select.dispatchEvent(new window.Event('change'));
+    }
+
+    function shownTickers() {
+        return [...document.querySelectorAll('#stocksGrid .company-ticker')].map(el => el.textContent).sort();
+    }
+
+    it('shows every company before filtering', () => {
+        assert.deepEqual(errors, []);
+        assert.deepEqual(shownTickers(), ['HIDEBT', 'NAMCAP', 'NEGEQ', 'ONEYR', 'PRUBANK', 'STEADY', 'STRESSED', 'TWOYR', 'ZEROREV']);
+    });
+
+    it('filters by category tab', () => {
+        document.querySelector('.category-tab[data-category="growth"]').click();
+        assert.deepEqual(shownTickers(), ['NAMCAP', 'PRUBANK', 'STEADY']);
+
+        document.querySelector('.category-tab[data-category="overvalued"]').click();
+        assert.deepEqual(shownTickers(), ['HIDEBT']);
+    });
+
+    it('filters by sector', () => {
+        setSelect('sectorFilter', 'Banking/Financial Services');
+        assert.deepEqual(shownTickers(), ['PRUBANK', 'STRESSED']);
+    });
+
+    it('filters by risk level', () => {
+        setSelect('riskFilter', 'high');
+        assert.deepEqual(shownTickers(), ['HIDEBT', 'STRESSED']);
+    });
+
+    it('combines sector and risk filters', () => {
+        setSelect('sectorFilter', 'Defense/Aerospace');
+        setSelect('riskFilter', 'low');
+        assert.deepEqual(shownTickers(), ['NAMCAP', 'ONEYR', 'TWOYR', 'ZEROREV']);
+    });
+
+    it('searches names, tickers and sectors after the debounce', async () => {
+        const search = document.getElementById('searchInput');
+        search.value = 'Bank';
+        search.dispatchEvent(new window.Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 350));
+        assert.deepEqual(shownTickers(), ['PRUBANK', 'STRESSED']);
+    });
+
+    it('says so when nothing matches', () => {
+        document.querySelector('.category-tab[data-category="undervalued"]').click();
+        assert.deepEqual(shownTickers(), []);
+        assert.match(document.getElementById('stocksGrid').textContent, /No companies found matching filters\./);
+    });
+
+    it('badges companies without market cap', () => {
+        const flagged = [...document.querySelectorAll('#stocksGrid .company-card')]
+            .filter(card => card.querySelector('.badge.no-valuation'))
+            .map(card => card.querySelector('.company-ticker').textContent);
+        assert.deepEqual(flagged, ['NAMCAP']);
+    });
+
+    it('opens a company from its card', () => {
+        document.querySelector('#stocksGrid .company-card[data-ticker="STEADY"] .company-name').click();
+        assert.equal(app.openTicker, 'STEADY');
+        app.closeCompanyDetails();
+    });
+});
+
+describe('Stock Explorer with markup in uploaded names', () => {
+    const PAYLOAD = '<img src=x onerror="window.injected=1">';
+    // Upper case, as watchlists store tickers
+    const TICKER = `X'${PAYLOAD.toUpperCase()}`;
+    let window;
+    let app;
+
+    before(async () => {
+        ({ window, app } = await bootDashboard({
+            files: { 'data/indian_companies_financials.csv': fixturePath('edge-cases.csv') }
+        }));
+        const rows = [2022, 2023, 2024].map(year => ({
+            Sector: PAYLOAD,
+            Company: PAYLOAD,
+            Ticker: TICKER,
+            FY: `FY${year}`,
+            Revenue_Cr: 1000,
+            Net_Profit_Cr: 100,
+            Total_Debt_Cr: 100,
+            Total_Equity_Cr: 1000,
+            Market_Cap_Cr: 5000
+        }));
+        await app.loadUploadedDataset(rows, 'payload.csv');
+        app.switchSection('stocks');
+    });
+
+    after(() => window.close());
+
+    it('renders names, sectors and tickers as text', () => {
+        const card = window.document.querySelector('#stocksGrid .company-card');
+        assert.equal(card.querySelector('img'), null);
+        assert.equal(card.querySelector('.company-name').textContent, PAYLOAD);
+        assert.equal(card.querySelector('.company-ticker').textContent, TICKER);
+        assert.equal(window.injected, undefined);
+    });
+
+    it('adds the company to the comparison from its card', () => {
+        window.document.querySelector('#stocksGrid .compare-toggle').click();
+        assert.deepEqual([...app.compareView.selected], [TICKER]);
+        assert.equal(window.document.querySelector('#compareChips').textContent.trim().startsWith(TICKER), true);
+        assert.equal(window.document.querySelector('#compareChips img'), null);
+        window.document.querySelector('#compareChips .compare-chip-remove').click();
+        assert.equal(app.compareView.selected.length, 0);
+    });
+
+    it('lists the sector in a screen rule as text', () => {
+        const document = window.document;
+        const screener = app.screener;
+        document.querySelector('#screenBuilder [data-action="add-rule"]').click();
+        const field = document.querySelector('#screenBuilder [data-prop="field"]');
+        field.value = 'sector';
+        field.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+        const value = document.querySelector('#screenBuilder select[data-prop="value"]');
+        assert.equal(value.value, PAYLOAD);
+        assert.equal(document.querySelector('#screenBuilder img'), null);
+        assert.equal(document.querySelectorAll('#stocksGrid .company-card').length, 1);
+        assert.equal(app.screener, screener);
+        app.screenerPanel.loadScreen('');
+    });
+
+    it('renders table cells as text and opens the company from its row', () => {
+        const document = window.document;
+        document.querySelector('.view-toggle[data-view="table"]').click();
+        const row = document.querySelector('#stocksTable tbody tr');
+        assert.equal(document.querySelector('#stocksTable img'), null);
+        assert.equal(row.cells[0].textContent, PAYLOAD);
+        assert.equal(row.cells[1].textContent, TICKER);
+        row.cells[0].click();
+        assert.equal(app.openTicker, TICKER);
+        app.closeCompanyDetails();
+        document.querySelector('.view-toggle[data-view="cards"]').click();
+    });
+
+    it('opens the company and shows the header as text', () => {
+        window.document.querySelector('#stocksGrid .company-card .company-name').click();
+        assert.equal(app.openTicker, TICKER);
+        assert.equal(window.document.querySelector('#modalBody h2').textContent, PAYLOAD);
+        assert.equal(window.document.querySelector('#modalBody img'), null);
+        app.closeCompanyDetails();
+    });
+
+    it('exports company and sector reports with names as text', () => {
+        const parse = html => new window.DOMParser().parseFromString(html, 'text/html');
+        const company = parse(app.reports.companyReport(TICKER).html);
+        assert.equal(company.querySelector('img'), null);
+        assert.equal(company.title, `${PAYLOAD} (${TICKER}) - Research Note`);
+        assert.equal(company.querySelector('h1').textContent, PAYLOAD);
+
+        const sector = parse(app.reports.sectorReport(PAYLOAD).html);
+        assert.equal(sector.querySelector('img'), null);
+        assert.equal(sector.querySelector('h1').textContent, PAYLOAD);
+        assert.equal(sector.querySelector('h3').textContent, `${PAYLOAD} (${TICKER})`);
+    });
+
+    it('exports the report from the company details', () => {
+        const exports = [];
+        const original = app.reports.export;
+        app.reports.export = (...args) => exports.push(args);
+        app.showCompanyDetails(TICKER);
+        window.document.querySelector('#modalBody .report-btn[data-format="pdf"]').click();
+        app.reports.export = original;
+        app.closeCompanyDetails();
+        assert.deepEqual(exports.map(args => [...args]), [['company', TICKER, 'pdf']]);
+    });
+
+    it('lists the company in scenario results as text', () => {
+        const document = window.document;
+        document.querySelector('.nav-btn[data-section="scenarios"]').click();
+        const applyTo = document.getElementById('scenarioApplyTo');
+        applyTo.value = `sector:${PAYLOAD}`;
+        applyTo.dispatchEvent(new window.Event('change'));
+
+        const section = document.getElementById('scenarios');
+        assert.equal(section.querySelector('img'), null);
+        const row = section.querySelector('#scenarioResults .company-link');
+        assert.equal(row.cells[0].textContent.startsWith(PAYLOAD), true);
+        row.click();
+        assert.equal(app.openTicker, TICKER);
+        app.closeCompanyDetails();
+    });
+
+    it('opens the sector from its tile and lists constituents as text', () => {
+        const document = window.document;
+        document.querySelector('.nav-btn[data-section="sectors"]').click();
+        const tile = [...document.querySelectorAll('#sectorTiles .sector-tile')]
+            .find(el => el.dataset.sector === PAYLOAD);
+        assert.equal(document.querySelector('#sectorTiles img'), null);
+        assert.equal(tile.querySelector('.sector-tile-name').textContent, PAYLOAD);
+        tile.click();
+
+        assert.equal(app.sectorView.sector, PAYLOAD);
+        assert.equal(document.querySelector('#sectorDetail img'), null);
+        document.querySelector('#sectorConstituents .company-link').click();
+        assert.equal(app.openTicker, TICKER);
+        app.closeCompanyDetails();
+        app.sectorView.close();
+    });
+
+    it('watches the company from its details and lists it as text', () => {
+        const document = window.document;
+        app.showCompanyDetails(TICKER);
+        const toggle = document.querySelector('#modalBody .watch-toggle');
+        toggle.click();
+        assert.equal(toggle.textContent, window.WatchlistPanel.toggleLabel(true));
+        assert.deepEqual([...app.watchlistPanel.store.watchedTickers()], [TICKER]);
+        app.closeCompanyDetails();
+
+        app.switchSection('watchlists');
+        const members = document.getElementById('watchlistMembers');
+        assert.equal(members.querySelector('img'), null);
+        const link = members.querySelector('.company-link');
+        assert.equal(link.textContent.trim().startsWith(PAYLOAD), true);
+        link.click();
+        assert.equal(app.openTicker, TICKER);
+        app.closeCompanyDetails();
+    });
+});
+
+describe('Re-scoring after a view, profile or policy change', () => {
+    let window;
+    let app;
+    let runs;
+
+    before(async () => {
+        ({ window, app } = await bootDashboard({
+            files: { 'data/indian_companies_financials.csv': fixturePath('quarterly.csv') }
+        }));
+        runs = [];
+        const run = app.pipeline.run.bind(app.pipeline);
+        app.pipeline.run = (...args) => {
+            const result = run(...args);
+            runs.push(result);
+            return result;
+        };
+    });
+
+    after(() => window.close());
+
+    // Change a control and wait for its re-score and the listener after it
+    async function change(id, value) {
+        const select = window.document.getElementById(id);
+        select.value = value;
+        select.dispatchEvent(new window.Event('change'));
+        await runs[runs.length - 1];
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    it('scores the quarterly view through the analytics pipeline', async () => {
+        await change('periodToggle', 'quarterly');
+        assert.equal(runs.length, 1);
+        assert.equal(app.dataLoader.periodType, 'quarterly');
+        const company = app.allAnalyzedData.find(c => c.ticker === 'QINFO');
+        assert.equal(company.years[company.years.length - 1].period, 'ttm');
+    });
+
+    it('re-scores a scoring profile through the analytics pipeline', async () => {
+        await app.scoringPanel.applyDraft();
+        assert.equal(runs.length, 2);
+    });
+
+    it('re-scores after a validation policy change through the analytics pipeline', async () => {
+        await change('validationPolicy', 'drop');
+        assert.equal(runs.length, 3);
+        assert.equal(app.dataLoader.validationPolicy, 'drop');
+    });
+});
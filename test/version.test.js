@@ -0,0 +1,11 @@
+// APP_VERSION must match the code it ships with, or browsers keep serving
+// scores cached by the previous release
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeAppVersion, readAppVersion } from '../node/app-version.js';
+
+describe('app version', () => {
+    it('is the hash of the current code', () => {
+        assert.equal(readAppVersion(), computeAppVersion(), 'js/version.js is out of date - run npm run build:version');
+    });
+});